@@ -1,4 +1,10 @@
 const fs = require('fs').promises;
+const path = require('path');
+
+const FILE_OWNED_RELATIONSHIPS = ['defines', 'imports', 'exports', 'documents', 'contains'];
+
+// What a workflow job that deploys something tends to run or be called
+const DEPLOY_PATTERN = /\b(?:deploy\w*|release|kubectl|helm|kustomize|skaffold|argocd|docker\s+push|docker[\s-]compose\s+up|compose\s+up)\b/i;
 
 class KnowledgeGraph {
   constructor() {
@@ -7,6 +13,7 @@ class KnowledgeGraph {
     this.repositories = new Map();
     this.nodeIdCounter = 0;
     this.edgeIdCounter = 0;
+    this.pendingEdges = [];
   }
 
   generateNodeId() {
@@ -52,11 +59,24 @@ class KnowledgeGraph {
   }
 
   async addRepository(parsedRepo) {
+    // Re-adding a repository replaces its previous snapshot
+    this.removeRepository(parsedRepo.repository);
+
     const repoId = this.addNode('repository', {
       url: parsedRepo.repository,
       owner: parsedRepo.owner,
       name: parsedRepo.repo,
       branch: parsedRepo.branch,
+      commit: parsedRepo.commit,
+      ref: parsedRepo.ref,
+      filterFingerprint: parsedRepo.filterFingerprint,
+      source: parsedRepo.source,
+      archive: parsedRepo.archive ? {
+        name: parsedRepo.archive.name,
+        path: parsedRepo.archive.path,
+        checksum: parsedRepo.archive.checksum,
+        format: parsedRepo.archive.format
+      } : undefined,
       metadata: parsedRepo.metadata
     });
     
@@ -65,10 +85,504 @@ class KnowledgeGraph {
     for (const file of parsedRepo.files) {
       await this.addFileToGraph(file, repoId);
     }
+    this.finishBatch();
     
     return repoId;
   }
 
+  async updateRepository(parsedRepo, changes) {
+    const repoId = this.repositories.get(parsedRepo.repository);
+    if (!repoId) {
+      return this.addRepository(parsedRepo);
+    }
+
+    const stalePaths = new Set([
+      ...changes.added,
+      ...changes.modified,
+      ...changes.deleted,
+      ...changes.renamed.flatMap(rename => [rename.from, rename.to])
+    ]);
+    const staleFileIds = new Set(
+      this.getRepositoryFiles(repoId)
+        .filter(node => stalePaths.has(node.data.relativePath))
+        .map(node => node.id)
+    );
+
+    this.removeFiles(staleFileIds);
+
+    for (const file of parsedRepo.files) {
+      await this.addFileToGraph(file, repoId);
+    }
+    this.finishBatch();
+
+    const repoNode = this.nodes.get(repoId);
+    const files = this.getRepositoryFiles(repoId);
+    const languages = {};
+    for (const file of files) {
+      if (file.data.type && file.data.type !== 'generic') {
+        languages[file.data.type] = (languages[file.data.type] || 0) + 1;
+      }
+    }
+
+    repoNode.data = {
+      ...repoNode.data,
+      branch: parsedRepo.branch,
+      commit: parsedRepo.commit,
+      ref: parsedRepo.ref,
+      filterFingerprint: parsedRepo.filterFingerprint,
+      metadata: {
+        ...repoNode.data.metadata,
+        totalFiles: files.length,
+        languages,
+        timestamp: parsedRepo.metadata.timestamp
+      }
+    };
+    repoNode.timestamp = new Date().toISOString();
+
+    return repoId;
+  }
+
+  getRepositoryCommit(url) {
+    const repoNode = this.nodes.get(this.repositories.get(url));
+    return repoNode && repoNode.data ? repoNode.data.commit || null : null;
+  }
+
+  getRepositoryFilterFingerprint(url) {
+    const repoNode = this.nodes.get(this.repositories.get(url));
+    return repoNode && repoNode.data ? repoNode.data.filterFingerprint || null : null;
+  }
+
+  // Links a submodule's repository node to its parent with a submodule_of
+  // edge, replacing the link from an earlier load
+  linkSubmodule(parentUrl, submoduleUrl, metadata = {}) {
+    const parentId = this.repositories.get(parentUrl);
+    const submoduleId = this.repositories.get(submoduleUrl);
+    if (!parentId || !submoduleId) {
+      return null;
+    }
+
+    for (const [id, edge] of this.edges) {
+      if (!Array.isArray(edge) && edge.source === submoduleId && edge.target === parentId &&
+          edge.relationship === 'submodule_of') {
+        this.edges.delete(id);
+      }
+    }
+    if (this.edges.has(submoduleId)) {
+      this.edges.set(submoduleId, this.edges.get(submoduleId)
+        .filter(edge => !(edge.target === parentId && edge.relationship === 'submodule_of')));
+    }
+
+    return this.addEdge(submoduleId, parentId, 'submodule_of', metadata);
+  }
+
+  getRepositoryFiles(repoId) {
+    const files = [];
+    for (const [id, edge] of this.edges) {
+      if (!Array.isArray(edge) && edge.source === repoId && edge.relationship === 'contains') {
+        const node = this.nodes.get(edge.target);
+        if (node && node.type === 'file') {
+          files.push(node);
+        }
+      }
+    }
+    return files;
+  }
+
+  removeRepository(url) {
+    const repoId = this.repositories.get(url);
+    if (!repoId) {
+      return false;
+    }
+
+    this.removeHistory(url);
+    this.removeIssues(url);
+    this.removeWorkspaces(url);
+    this.removeFiles(new Set(this.getRepositoryFiles(repoId).map(node => node.id)));
+    this.removeNodes(new Set([repoId]));
+    this.repositories.delete(url);
+    return true;
+  }
+
+  // Removes file nodes together with the nodes they own (functions,
+  // classes, imports, headings, ...).
+  removeFiles(fileIds) {
+    const removed = new Set(fileIds);
+
+    for (const [id, edge] of this.edges) {
+      if (!Array.isArray(edge) && fileIds.has(edge.source) && FILE_OWNED_RELATIONSHIPS.includes(edge.relationship)) {
+        removed.add(edge.target);
+      }
+    }
+
+    this.removeNodes(removed);
+    return removed.size;
+  }
+
+  removeNodes(nodeIds) {
+    for (const nodeId of nodeIds) {
+      this.nodes.delete(nodeId);
+      this.edges.delete(nodeId);
+    }
+
+    for (const [id, edge] of this.edges) {
+      if (Array.isArray(edge)) {
+        const remaining = edge.filter(e => !nodeIds.has(e.source) && !nodeIds.has(e.target));
+        if (remaining.length !== edge.length) {
+          this.edges.set(id, remaining);
+        }
+      } else if (nodeIds.has(edge.source) || nodeIds.has(edge.target)) {
+        this.edges.delete(id);
+      }
+    }
+  }
+
+  // Adds commit and author nodes for a repository's history window, replacing
+  // any history from an earlier load. Commits get `modified` edges to the
+  // files they touched and, through blame, to the functions whose current
+  // lines they wrote; authors get `authored` edges to their commits and to
+  // those files and functions.
+  addHistory(url, history) {
+    const repoId = this.repositories.get(url);
+    if (!repoId) {
+      return null;
+    }
+
+    this.removeHistory(url);
+
+    const filesByPath = new Map(this.getRepositoryFiles(repoId).map(node => [node.data.relativePath, node]));
+    for (const fileNode of filesByPath.values()) {
+      delete fileNode.data.history;
+    }
+    const authors = new Map(this.findNodesByType('author').map(node => [node.data.email, node.id]));
+    const commitIds = new Map();
+    const commitAuthors = new Map();
+    const metadata = { repository: url };
+
+    const getAuthorId = (name, email) => {
+      if (!authors.has(email)) {
+        authors.set(email, this.addNode('author', { name, email }));
+      }
+      return authors.get(email);
+    };
+
+    for (const commit of history.commits) {
+      const commitId = this.addNode('commit', {
+        sha: commit.sha,
+        message: commit.message,
+        author: commit.author,
+        email: commit.email,
+        date: commit.date,
+        repository: url,
+        files: commit.files.map(change => change.path)
+      });
+      const authorId = getAuthorId(commit.author, commit.email);
+      commitIds.set(commit.sha, commitId);
+      commitAuthors.set(commit.sha, authorId);
+
+      this.addEdge(authorId, commitId, 'authored', metadata);
+      for (const change of commit.files) {
+        const fileNode = filesByPath.get(change.path);
+        if (fileNode) {
+          this.addEdge(commitId, fileNode.id, 'modified', { ...metadata, status: change.status });
+        }
+      }
+    }
+
+    for (const [filePath, summary] of Object.entries(history.files)) {
+      const fileNode = filesByPath.get(filePath);
+      if (!fileNode) {
+        continue;
+      }
+
+      fileNode.data.history = {
+        churn: summary.churn,
+        lastCommit: summary.lastCommit,
+        lastModified: summary.lastModified,
+        lastAuthor: summary.lastAuthor,
+        authors: summary.authors.map(author => author.name)
+      };
+      for (const author of summary.authors) {
+        this.addEdge(getAuthorId(author.name, author.email), fileNode.id, 'authored', {
+          ...metadata,
+          commits: author.commits
+        });
+      }
+    }
+
+    for (const [filePath, ranges] of Object.entries(history.blame || {})) {
+      const fileNode = filesByPath.get(filePath);
+      if (fileNode) {
+        this.addFunctionHistory(fileNode, ranges, commitIds, commitAuthors, metadata);
+      }
+    }
+
+    return commitIds.size;
+  }
+
+  addFunctionHistory(fileNode, ranges, commitIds, commitAuthors, metadata) {
+    for (const func of this.getFunctionRanges(fileNode)) {
+      const linesByCommit = new Map();
+
+      for (const range of ranges) {
+        const overlap = Math.min(func.end, range.end) - Math.max(func.start, range.start) + 1;
+        if (overlap > 0) {
+          linesByCommit.set(range.commit, (linesByCommit.get(range.commit) || 0) + overlap);
+        }
+      }
+
+      const linesByAuthor = new Map();
+      for (const [sha, lines] of linesByCommit) {
+        this.addEdge(commitIds.get(sha), func.node.id, 'modified', { ...metadata, lines });
+        const authorId = commitAuthors.get(sha);
+        linesByAuthor.set(authorId, (linesByAuthor.get(authorId) || 0) + lines);
+      }
+      for (const [authorId, lines] of linesByAuthor) {
+        this.addEdge(authorId, func.node.id, 'authored', { ...metadata, lines });
+      }
+    }
+  }
+
+  // Functions without a recorded end line are taken to run until the next
+  // function starts
+  getFunctionRanges(fileNode) {
+    const functions = (this.edges.get(fileNode.id) || [])
+      .filter(edge => edge.relationship === 'defines')
+      .map(edge => this.nodes.get(edge.target))
+      .filter(node => node && node.type === 'function' && node.data.line)
+      .sort((a, b) => a.data.line - b.data.line);
+
+    return functions.map((node, index) => ({
+      node,
+      start: node.data.line,
+      end: node.data.endLine ||
+        (index + 1 < functions.length ? functions[index + 1].data.line - 1 : Infinity)
+    }));
+  }
+
+  // Adds issue and pull_request nodes for a repository, replacing those from
+  // an earlier load. Pull requests link to the files and functions their
+  // diffs and review comments touch and to the issues they resolve; issues
+  // link to files and functions their text mentions.
+  addIssues(url, { issues = [], pullRequests = [] }) {
+    const repoId = this.repositories.get(url);
+    if (!repoId) {
+      return null;
+    }
+
+    this.removeIssues(url);
+
+    const files = this.getRepositoryFiles(repoId);
+    const filesByPath = new Map(files.map(node => [node.data.relativePath, node]));
+    const issueIds = new Map();
+    const functionsByName = groupBy(
+      files.flatMap(fileNode => this.getFunctionRanges(fileNode).map(func => func.node)),
+      node => node.data.name
+    );
+    const overlapping = (fileNode, ranges) => this.getFunctionRanges(fileNode)
+      .filter(func => ranges.some(range => range.start <= func.end && range.end >= func.start));
+
+    for (const issue of issues) {
+      const issueId = this.addNode('issue', { ...issue, repository: url });
+      issueIds.set(issue.number, issueId);
+      this.linkMentions(issueId, [issue.title, issue.body, ...issue.comments.map(c => c.body)].join('\n'), files, functionsByName);
+    }
+
+    for (const pullRequest of pullRequests) {
+      const pullId = this.addNode('pull_request', {
+        ...pullRequest,
+        files: pullRequest.files.map(file => file.path),
+        repository: url
+      });
+
+      for (const file of pullRequest.files) {
+        const fileNode = filesByPath.get(file.path);
+        if (!fileNode) continue;
+
+        this.addEdge(pullId, fileNode.id, 'changes', {
+          status: file.status,
+          additions: file.additions,
+          deletions: file.deletions
+        });
+        for (const func of overlapping(fileNode, file.changedLines || [])) {
+          this.addEdge(pullId, func.node.id, 'changes');
+        }
+      }
+
+      for (const comment of pullRequest.reviewComments) {
+        const fileNode = filesByPath.get(comment.path);
+        if (!fileNode) continue;
+
+        const line = comment.line ? [{ start: comment.line, end: comment.line }] : [];
+        const targets = [fileNode, ...overlapping(fileNode, line).map(func => func.node)];
+        for (const target of targets) {
+          this.addEdge(pullId, target.id, 'discusses', { author: comment.author, line: comment.line });
+        }
+      }
+
+      for (const number of pullRequest.resolves) {
+        if (issueIds.has(number)) {
+          this.addEdge(pullId, issueIds.get(number), 'resolves');
+        }
+      }
+    }
+
+    return issueIds.size + pullRequests.length;
+  }
+
+  // Issues rarely link code explicitly, so look for repository paths and
+  // calls like `parseConfig()` in their text. The text is tokenized once
+  // and the called names looked up among the repository's functions.
+  linkMentions(nodeId, text, files, functionsByName) {
+    for (const fileNode of files) {
+      const relativePath = (fileNode.data.relativePath || '').split('\\').join('/');
+      if (relativePath && text.includes(relativePath)) {
+        this.addEdge(nodeId, fileNode.id, 'references');
+      }
+    }
+
+    const called = new Set();
+    for (const match of text.matchAll(/\b([A-Za-z_$][\w$]*)\s*\(/g)) {
+      called.add(match[1]);
+    }
+    for (const name of called) {
+      if (name.length <= 3) continue;
+      for (const node of functionsByName.get(name) || []) {
+        this.addEdge(nodeId, node.id, 'references');
+      }
+    }
+  }
+
+  removeIssues(url) {
+    this.removeNodes(new Set(
+      [...this.findNodesByType('issue'), ...this.findNodesByType('pull_request')]
+        .filter(node => node.data.repository === url)
+        .map(node => node.id)
+    ));
+  }
+
+  // Drops a repository's commit nodes and history edges, plus authors that
+  // no longer have any history in the graph
+  removeHistory(url) {
+    const commitIds = new Set(
+      this.findNodesByType('commit').filter(node => node.data.repository === url).map(node => node.id)
+    );
+    this.removeNodes(commitIds);
+    this.removeEdgesWhere(edge => this.isHistoryEdge(edge, url));
+
+    const activeAuthors = new Set();
+    for (const [id, edge] of this.edges) {
+      if (!Array.isArray(edge) && edge.relationship === 'authored') {
+        activeAuthors.add(edge.source);
+      }
+    }
+    this.removeNodes(new Set(
+      this.findNodesByType('author').filter(node => !activeAuthors.has(node.id)).map(node => node.id)
+    ));
+  }
+
+  // Removes matching edges along with their adjacency entries
+  removeEdgesWhere(predicate) {
+    for (const [id, edge] of this.edges) {
+      if (Array.isArray(edge)) {
+        const remaining = edge.filter(e => !predicate(e));
+        if (remaining.length !== edge.length) {
+          this.edges.set(id, remaining);
+        }
+      } else if (predicate(edge)) {
+        this.edges.delete(id);
+      }
+    }
+  }
+
+  isHistoryEdge(edge, url) {
+    return (edge.relationship === 'authored' || edge.relationship === 'modified') &&
+      edge.metadata && edge.metadata.repository === url;
+  }
+
+  // Adds a package node per workspace member, replacing those from an
+  // earlier load. Packages hang off the repository, contain the files under
+  // their directory (the deepest member wins when members nest) and get
+  // depends_on edges to the other members they depend on.
+  addWorkspaces(url, workspaces) {
+    const repoId = this.repositories.get(url);
+    if (!repoId) {
+      return null;
+    }
+
+    this.removeWorkspaces(url);
+
+    const files = this.getRepositoryFiles(repoId);
+    for (const fileNode of files) {
+      delete fileNode.data.package;
+    }
+    if (!workspaces || workspaces.packages.length === 0) {
+      return 0;
+    }
+
+    const packageIds = new Map();
+    for (const pkg of workspaces.packages) {
+      const packageId = this.addNode('package', { ...pkg, repository: url });
+      packageIds.set(pkg.name, packageId);
+      this.addEdge(repoId, packageId, 'contains', { repository: url });
+    }
+
+    const deepestFirst = [...workspaces.packages].sort((a, b) => b.path.length - a.path.length);
+    for (const fileNode of files) {
+      const relativePath = (fileNode.data.relativePath || '').split('\\').join('/');
+      const owner = deepestFirst.find(pkg => pkg.path === '' || relativePath.startsWith(`${pkg.path}/`));
+      if (owner) {
+        fileNode.data.package = owner.name;
+        this.addEdge(packageIds.get(owner.name), fileNode.id, 'contains', { repository: url });
+      }
+    }
+
+    for (const pkg of workspaces.packages) {
+      for (const dependency of pkg.dependsOn) {
+        if (packageIds.has(dependency.name)) {
+          this.addEdge(packageIds.get(pkg.name), packageIds.get(dependency.name), 'depends_on', {
+            type: dependency.type,
+            repository: url
+          });
+        }
+      }
+    }
+
+    return packageIds.size;
+  }
+
+  removeWorkspaces(url) {
+    this.removeNodes(new Set(
+      this.findNodesByType('package').filter(node => node.data.repository === url).map(node => node.id)
+    ));
+  }
+
+  // Ids of the named package nodes (optionally within one repository), the
+  // files they contain and everything those files own, for scoping queries
+  // and contexts to a workspace member
+  getPackageScope(name, url = null) {
+    const scope = new Set(
+      this.findNodesByType('package')
+        .filter(node => node.data.name === name && (!url || node.data.repository === url))
+        .map(node => node.id)
+    );
+    const packageIds = new Set(scope);
+    const fileIds = new Set();
+
+    for (const [id, edge] of this.edges) {
+      if (!Array.isArray(edge) && packageIds.has(edge.source) && edge.relationship === 'contains') {
+        fileIds.add(edge.target);
+        scope.add(edge.target);
+      }
+    }
+    for (const [id, edge] of this.edges) {
+      if (!Array.isArray(edge) && fileIds.has(edge.source) && FILE_OWNED_RELATIONSHIPS.includes(edge.relationship)) {
+        scope.add(edge.target);
+      }
+    }
+
+    return scope;
+  }
+
   async addPath(parsedPath) {
     const pathId = this.addNode('path', {
       path: parsedPath.path,
@@ -81,17 +595,31 @@ class KnowledgeGraph {
         await this.addFileToGraph(file, pathId);
       }
     }
+    this.finishBatch();
     
     return pathId;
   }
 
   async addFile(parsedFile) {
-    return await this.addFileToGraph(parsedFile, null);
+    const fileId = await this.addFileToGraph(parsedFile, null);
+    this.finishBatch();
+    return fileId;
+  }
+
+  // Adds several files and relinks the graph once they are all in
+  async addFiles(parsedFiles) {
+    const fileIds = [];
+    for (const parsedFile of parsedFiles) {
+      fileIds.push(await this.addFileToGraph(parsedFile, null));
+    }
+    this.finishBatch();
+    return fileIds;
   }
 
   async addFileToGraph(file, parentId) {
     const fileId = this.addNode('file', {
       path: file.path,
+      relativePath: file.relativePath,
       extension: file.extension,
       size: file.size,
       type: file.type,
@@ -100,35 +628,79 @@ class KnowledgeGraph {
       classes: file.classes,
       imports: file.imports,
       exports: file.exports,
-      comments: file.comments
+      comments: file.comments,
+      packageName: file.packageName,
+      modulePath: file.modulePath,
+      namespace: file.namespace,
+      impls: file.impls,
+      format: file.format,
+      repository: file.repository,
+      commit: file.commit,
+      ref: file.ref
     });
     
     if (parentId) {
       this.addEdge(parentId, fileId, 'contains');
     }
     
+    const methods = [];
     if (file.functions) {
       for (const func of file.functions) {
         const funcId = this.addNode('function', {
           name: func.name,
           file: file.path,
           line: func.line,
-          type: func.type
+          endLine: func.endLine,
+          type: func.type,
+          kind: func.kind,
+          className: func.className,
+          object: func.object,
+          static: func.static,
+          params: func.params,
+          async: func.async,
+          generator: func.generator,
+          receiver: func.receiver,
+          results: func.results,
+          trait: func.trait,
+          visibility: func.visibility,
+          declaration: func.declaration,
+          qualifiedName: func.qualifiedName,
+          namespace: func.namespace
         });
         this.addEdge(fileId, funcId, 'defines');
+        if (func.className && !func.receiver) {
+          methods.push({ funcId, className: func.className });
+        }
       }
     }
     
+    const classIds = new Map();
     if (file.classes) {
       for (const cls of file.classes) {
         const classId = this.addNode('class', {
           name: cls.name,
           file: file.path,
           line: cls.line,
+          endLine: cls.endLine,
           extends: cls.extends,
-          implements: cls.implements
+          implements: cls.implements,
+          members: cls.members,
+          kind: cls.kind,
+          structural: cls.structural,
+          embeds: cls.embeds,
+          fields: cls.fields,
+          methods: cls.methods,
+          variants: cls.variants,
+          supertraits: cls.supertraits,
+          derives: cls.derives,
+          visibility: cls.visibility,
+          namespace: cls.namespace,
+          mixins: cls.mixins,
+          qualifiedName: cls.qualifiedName,
+          bases: cls.bases
         });
         this.addEdge(fileId, classId, 'defines');
+        classIds.set(cls.name, classId);
         
         if (cls.extends) {
           const parentClassNodes = this.findNodesByProperty('name', cls.extends, 'class');
@@ -136,14 +708,67 @@ class KnowledgeGraph {
             this.addEdge(classId, parentNode.id, 'extends');
           }
         }
+
+        // Re-link subclasses that were added before this class (or whose
+        // parent was just re-indexed)
+        const childClassNodes = this.findNodesByProperty('extends', cls.name, 'class');
+        for (const childNode of childClassNodes) {
+          if (childNode.id !== classId) {
+            this.addEdge(childNode.id, classId, 'extends');
+          }
+        }
+      }
+    }
+    
+    for (const method of methods) {
+      if (classIds.has(method.className)) {
+        this.addEdge(method.funcId, classIds.get(method.className), 'method_of');
+      }
+    }
+    
+    if (file.components) {
+      for (const component of file.components) {
+        const componentId = this.addNode('component', {
+          ...component,
+          file: file.path
+        });
+        this.addEdge(fileId, componentId, 'defines');
       }
     }
     
+    if (file.routes) {
+      for (const route of file.routes) {
+        const routeId = this.addNode('route', {
+          ...route,
+          file: file.path
+        });
+        this.addEdge(fileId, routeId, 'defines');
+      }
+    }
+    
+    if (file.macros) {
+      for (const macro of file.macros) {
+        const macroId = this.addNode('macro', {
+          ...macro,
+          file: file.path
+        });
+        this.addEdge(fileId, macroId, 'defines');
+      }
+    }
+    
+    // Parsers that resolve bindings describe each import and export
+    // statement in detail, in the same order as the plain lists
+    const importDetails = groupBy(file.importDetails || [], detail => detail.source);
+    const exportDetails = groupBy(file.exportDetails || [], detail =>
+      detail.name === 'default' && detail.local ? detail.local : detail.name);
+    
     if (file.imports) {
       for (const imp of file.imports) {
+        const detail = (importDetails.get(imp) || []).shift();
         const importId = this.addNode('import', {
           module: imp,
-          file: file.path
+          file: file.path,
+          ...(detail ? { kind: detail.kind, names: detail.names, line: detail.line, typeOnly: detail.typeOnly, system: detail.system } : {})
         });
         this.addEdge(fileId, importId, 'imports');
         
@@ -156,9 +781,11 @@ class KnowledgeGraph {
     
     if (file.exports) {
       for (const exp of file.exports) {
+        const detail = (exportDetails.get(exp) || []).shift();
         const exportId = this.addNode('export', {
           name: exp,
-          file: file.path
+          file: file.path,
+          ...(detail ? { kind: detail.kind, exported: detail.name, source: detail.source || null, line: detail.line } : {})
         });
         this.addEdge(fileId, exportId, 'exports');
       }
@@ -196,9 +823,489 @@ class KnowledgeGraph {
       }
     }
     
+    if (file.nodes || file.edges) {
+      this.addPluginNodes(fileId, file);
+    }
+    
     return fileId;
   }
 
+  // Nodes and edges emitted by parser plugins. Each node ({ key, type, data })
+  // is defined by the file so it goes away with it. An edge end is either
+  // a node key from the same file, 'file' for the file itself, or
+  // { type, name } for nodes anywhere in the graph; those are resolved once
+  // the whole batch of files has been added.
+  addPluginNodes(fileId, file) {
+    const keys = new Map([['file', [fileId]]]);
+
+    for (const node of file.nodes || []) {
+      const nodeId = this.addNode(node.type, { ...node.data, file: file.path });
+      this.addEdge(fileId, nodeId, 'defines');
+      if (node.key !== undefined) {
+        keys.set(node.key, [...(keys.get(node.key) || []), nodeId]);
+      }
+    }
+
+    const resolve = end => typeof end === 'object' && end !== null ? end : keys.get(end) || [];
+    for (const edge of file.edges || []) {
+      this.pendingEdges.push({ ...edge, source: resolve(edge.source), target: resolve(edge.target) });
+    }
+  }
+
+  // Relationships that can only be worked out once every file of a batch
+  // is in the graph. The linkers below derive edges from the whole graph,
+  // so all of their edges (tagged with metadata.derived) are dropped in one
+  // sweep and rebuilt from a single index of the nodes. Adding files one at
+  // a time with addFile leaves this to the caller, once per load.
+  finishBatch() {
+    const index = this.indexNodes();
+    this.linkPendingEdges(index);
+    this.removeEdgesWhere(edge => Boolean(edge.metadata && edge.metadata.derived));
+    this.linkStructuralTypes(index);
+    this.linkCrates(index);
+    this.linkDeclaredTypes(index);
+    this.linkRoutes(index);
+    this.linkHeaders(index);
+    this.linkDeployments(index);
+  }
+
+  // Nodes by type (and, built on first use, by name) from one scan of the
+  // graph, file path -> repository URL, and the outgoing edges and
+  // file-owned nodes the linkers look up
+  indexNodes() {
+    const byType = groupBy(this.nodes.values(), node => node.type);
+    let byName = null;
+    const outgoing = (nodeId, relationship) => (this.edges.get(nodeId) || [])
+      .filter(edge => edge.relationship === relationship);
+
+    return {
+      ofType: type => byType.get(type) || [],
+      named: (name, type = null) => {
+        byName = byName || groupBy([...this.nodes.values()].filter(node => node.data), node => node.data.name);
+        return (byName.get(name) || []).filter(node => !type || node.type === type);
+      },
+      repositories: new Map((byType.get('file') || []).map(node => [node.data.path, node.data.repository])),
+      outgoing,
+      owned: (fileNode, type) => outgoing(fileNode.id, type === 'import' ? 'imports' : 'defines')
+        .map(edge => this.nodes.get(edge.target))
+        .filter(node => node && node.type === type)
+    };
+  }
+
+  linkPendingEdges(index) {
+    const resolve = end => Array.isArray(end)
+      ? end.filter(id => this.nodes.has(id))
+      : index.named(end.name, end.type || null).map(node => node.id);
+
+    for (const edge of this.pendingEdges) {
+      for (const sourceId of resolve(edge.source)) {
+        for (const targetId of resolve(edge.target)) {
+          this.addEdge(sourceId, targetId, edge.relationship, edge.metadata || {});
+        }
+      }
+    }
+    this.pendingEdges = [];
+  }
+
+  // Go methods may be declared in any file of their package and types
+  // satisfy interfaces implicitly, so the method_of, embeds and implements
+  // edges of structural types are rebuilt from the whole graph after each
+  // batch. Types are matched by name within a directory (a Go package);
+  // a type implements an interface when its methods, including those
+  // promoted from embedded types, cover the interface's method set.
+  // Pointer and value receivers are not told apart.
+  linkStructuralTypes(index) {
+    const packages = new Map();
+    const typeKey = (file, name) => `${path.dirname(file)}\0${name}`;
+    for (const node of index.ofType('class')) {
+      if (node.data.structural) {
+        packages.set(typeKey(node.data.file, node.data.name), node);
+      }
+    }
+    if (packages.size === 0) {
+      return;
+    }
+
+    const declaredMethods = new Map();
+    for (const node of index.ofType('function')) {
+      const type = node.data.receiver && packages.get(typeKey(node.data.file, node.data.receiver));
+      if (type) {
+        this.addEdge(node.id, type.id, 'method_of', { derived: 'structural' });
+        declaredMethods.set(type.id, [...(declaredMethods.get(type.id) || []), node.data.name]);
+      }
+    }
+
+    const embedded = node => (node.data.embeds || [])
+      .map(name => packages.get(typeKey(node.data.file, name)))
+      .filter(Boolean);
+
+    const methodSet = (node, seen = new Set()) => {
+      const methods = new Set(node.data.kind === 'interface'
+        ? node.data.methods || []
+        : declaredMethods.get(node.id) || []);
+      seen.add(node.id);
+      for (const inner of embedded(node)) {
+        if (!seen.has(inner.id)) {
+          methodSet(inner, seen).forEach(method => methods.add(method));
+        }
+      }
+      return methods;
+    };
+
+    const types = [...packages.values()];
+    const methodSets = new Map(types.map(node => [node.id, methodSet(node)]));
+    for (const node of types) {
+      for (const inner of embedded(node)) {
+        this.addEdge(node.id, inner.id, 'embeds', { derived: 'structural' });
+      }
+    }
+
+    for (const iface of types.filter(node => node.data.kind === 'interface')) {
+      const required = [...methodSets.get(iface.id)];
+      if (required.length === 0) continue;
+
+      for (const node of types) {
+        const methods = methodSets.get(node.id);
+        if (node.data.kind !== 'interface' && required.every(method => methods.has(method))) {
+          this.addEdge(node.id, iface.id, 'implements', { derived: 'structural' });
+        }
+      }
+    }
+  }
+
+  // Ties Rust files together per crate, rebuilding the edges after each
+  // batch: the crate node from each Cargo.toml contains the .rs files under
+  // its directory, impl blocks give their methods method_of edges (when the
+  // type lives in another file) and their type an implements edge to the
+  // trait, and `use` paths reference the file of the module they name.
+  // Names resolve within the file's crate first, then its repository.
+  linkCrates(index) {
+    const files = index.ofType('file').filter(node => node.data.type === 'rust');
+    if (files.length === 0) {
+      return;
+    }
+
+    const crates = index.ofType('crate')
+      .map(node => ({ node, dir: path.dirname(node.data.file) }))
+      .sort((a, b) => b.dir.length - a.dir.length);
+    const scopes = new Map();
+    const scopeOf = new Map();
+    const { outgoing, owned } = index;
+
+    for (const file of files) {
+      const crate = crates.find(candidate => file.data.path.startsWith(candidate.dir + path.sep));
+      const key = crate ? crate.node.id : `repository:${file.data.repository}`;
+      if (!scopes.has(key)) {
+        scopes.set(key, { crate: crate ? crate.node : null, repository: file.data.repository, types: new Map(), modules: new Map() });
+      }
+      const scope = scopes.get(key);
+      scopeOf.set(file.id, scope);
+
+      file.data.crate = crate ? crate.node.data.name : null;
+      if (crate) {
+        this.addEdge(crate.node.id, file.id, 'contains', { derived: 'rust' });
+      }
+
+      for (const type of owned(file, 'class')) {
+        scope.types.set(type.data.name, [...(scope.types.get(type.data.name) || []), type]);
+      }
+      const module = (file.data.modulePath || 'crate').replace(/^crate(::)?/, '');
+      if (!scope.modules.has(module) || path.basename(file.data.path) === 'lib.rs') {
+        scope.modules.set(module, file);
+      }
+    }
+
+    const lookup = (scope, name) => {
+      if (scope.types.has(name)) {
+        return scope.types.get(name);
+      }
+      return [...scopes.values()]
+        .filter(other => other.repository === scope.repository)
+        .flatMap(other => other.types.get(name) || []);
+    };
+
+    for (const file of files) {
+      const scope = scopeOf.get(file.id);
+
+      for (const func of owned(file, 'function')) {
+        if (func.data.className && outgoing(func.id, 'method_of').length === 0) {
+          for (const type of lookup(scope, func.data.className)) {
+            this.addEdge(func.id, type.id, 'method_of', { derived: 'rust' });
+          }
+        }
+      }
+
+      for (const impl of file.data.impls || []) {
+        if (!impl.trait || impl.negative) continue;
+        const traits = lookup(scope, impl.trait).filter(node => node.data.kind === 'trait');
+        for (const type of lookup(scope, impl.type)) {
+          for (const trait of traits) {
+            this.addEdge(type.id, trait.id, 'implements', { derived: 'rust' });
+          }
+        }
+      }
+
+      for (const imp of owned(file, 'import')) {
+        const target = this.resolveRustPath(imp.data.module, file, scope, scopes);
+        if (target) {
+          this.addEdge(imp.id, target.id, 'references', { derived: 'rust' });
+        }
+      }
+    }
+  }
+
+  // The file of the deepest module a `use` path names: crate::, self:: and
+  // super:: paths within the file's crate, and paths starting with the name
+  // of another crate in the same repository
+  resolveRustPath(usePath, file, scope, scopes) {
+    const segments = usePath.split('::');
+    const own = (file.data.modulePath || 'crate').split('::').slice(1);
+    let target = scope;
+    let rest;
+
+    if (segments[0] === 'crate') {
+      rest = segments.slice(1);
+    } else if (segments[0] === 'self' || segments[0] === 'super') {
+      const base = [...own];
+      let i = segments[0] === 'self' ? 1 : 0;
+      while (segments[i] === 'super') {
+        base.pop();
+        i++;
+      }
+      rest = [...base, ...segments.slice(i)];
+    } else {
+      target = [...scopes.values()].find(other => other.crate &&
+        other.repository === scope.repository && other.crate.data.crateName === segments[0]);
+      rest = segments.slice(1);
+    }
+    if (!target) {
+      return null;
+    }
+
+    for (let length = rest.length; length >= 0; length--) {
+      const module = target.modules.get(rest.slice(0, length).join('::'));
+      if (module && module.id !== file.id) {
+        return module;
+      }
+    }
+    return null;
+  }
+
+  // implements and includes edges for the interfaces and mixins classes
+  // name (PHP implements and traits, Ruby include/extend/prepend), rebuilt
+  // after each batch so either side can be re-indexed. Names resolve to
+  // classes in the same repository.
+  linkDeclaredTypes(index) {
+    const classes = index.ofType('class');
+    const declaring = classes.filter(node =>
+      (node.data.implements || []).length > 0 || (node.data.mixins || []).length > 0);
+    if (declaring.length === 0) {
+      return;
+    }
+
+    const { repositories } = index;
+    const byName = new Map();
+    for (const node of classes) {
+      const key = `${repositories.get(node.data.file)}\0${node.data.name}`;
+      byName.set(key, [...(byName.get(key) || []), node]);
+    }
+    const lookup = (node, name) => (byName.get(`${repositories.get(node.data.file)}\0${name}`) || [])
+      .filter(target => target.id !== node.id);
+
+    for (const node of declaring) {
+      for (const name of node.data.implements || []) {
+        for (const target of lookup(node, name)) {
+          this.addEdge(node.id, target.id, 'implements', { derived: 'declared' });
+        }
+      }
+      for (const mixin of node.data.mixins || []) {
+        for (const target of lookup(node, mixin.name)) {
+          this.addEdge(node.id, target.id, 'includes', { derived: 'declared', kind: mixin.kind });
+        }
+      }
+    }
+  }
+
+  // handled_by edges from route nodes to the controller actions serving
+  // them, rebuilt after each batch. Controllers are matched by class name
+  // within the route's repository; a namespaced controller such as Rails'
+  // Admin::UsersController prefers the class in that namespace.
+  linkRoutes(index) {
+    const routes = index.ofType('route').filter(node => node.data.controller && node.data.action);
+    if (routes.length === 0) {
+      return;
+    }
+
+    const { repositories } = index;
+    const controllers = new Map();
+    for (const node of index.ofType('class')) {
+      const key = `${repositories.get(node.data.file)}\0${node.data.name}`;
+      controllers.set(key, [...(controllers.get(key) || []), node]);
+    }
+    const actions = new Map();
+    for (const node of index.ofType('function')) {
+      if (node.data.className) {
+        const key = `${node.data.file}\0${node.data.className}\0${node.data.name}`;
+        actions.set(key, [...(actions.get(key) || []), node]);
+      }
+    }
+
+    for (const route of routes) {
+      const segments = route.data.controller.split('::');
+      const name = segments.pop();
+      const candidates = controllers.get(`${repositories.get(route.data.file)}\0${name}`) || [];
+      const namespaced = candidates.filter(node => node.data.namespace === segments.join('::'));
+
+      for (const controller of segments.length > 0 && namespaced.length > 0 ? namespaced : candidates) {
+        for (const action of actions.get(`${controller.data.file}\0${name}\0${route.data.action}`) || []) {
+          this.addEdge(route.id, action.id, 'handled_by', { derived: 'route' });
+        }
+      }
+    }
+  }
+
+  // Pairs C and C++ headers with the code behind them, rebuilding the edges
+  // after each batch: #include directives reference the file they name,
+  // function declarations get defined_by edges to their definitions and
+  // out-of-line member definitions (`void Foo::bar() {}`) get method_of
+  // edges to their class. Definitions are matched within the repository by
+  // qualified name, or by a suffix of it when a `using namespace` left the
+  // definition less qualified, and by parameter count between overloads.
+  linkHeaders(index) {
+    const files = index.ofType('file').filter(node => node.data.type === 'c' || node.data.type === 'cpp');
+    if (files.length === 0) {
+      return;
+    }
+
+    const { outgoing, owned } = index;
+    const repositoryFiles = groupBy(files, node => node.data.repository);
+    const qualifiedMatch = (a, b) => a === b || a.endsWith(`::${b}`) || b.endsWith(`::${a}`);
+
+    const functions = [];
+    const classes = new Map();
+    for (const file of files) {
+      for (const imp of owned(file, 'import')) {
+        const target = this.resolveInclude(imp, file, repositoryFiles.get(file.data.repository));
+        if (target) {
+          this.addEdge(imp.id, target.id, 'references', { derived: 'header' });
+        }
+      }
+
+      functions.push(...owned(file, 'function').map(node => ({ node, repository: file.data.repository })));
+      for (const node of owned(file, 'class')) {
+        const key = `${file.data.repository}\0${node.data.name}`;
+        classes.set(key, [...(classes.get(key) || []), node]);
+      }
+    }
+
+    const definitions = groupBy(
+      functions.filter(({ node }) => !node.data.declaration),
+      ({ node, repository }) => `${repository}\0${node.data.name}`
+    );
+
+    for (const { node, repository } of functions) {
+      const qualifiedName = node.data.qualifiedName || node.data.name;
+
+      if (node.data.declaration) {
+        const candidates = (definitions.get(`${repository}\0${node.data.name}`) || [])
+          .map(definition => definition.node)
+          .filter(definition => qualifiedMatch(definition.data.qualifiedName || definition.data.name, qualifiedName));
+        const exact = candidates.filter(definition => definition.data.qualifiedName === qualifiedName);
+        const named = exact.length > 0 ? exact : candidates;
+        const arity = (node.data.params || []).length;
+        const sameArity = named.filter(definition => (definition.data.params || []).length === arity);
+
+        for (const definition of sameArity.length > 0 || named.length !== 1 ? sameArity : named) {
+          this.addEdge(node.id, definition.id, 'defined_by', { derived: 'header' });
+        }
+      } else if (node.data.className && outgoing(node.id, 'method_of').length === 0) {
+        const owner = qualifiedName.split('::').slice(0, -1).join('::');
+        for (const cls of classes.get(`${repository}\0${node.data.className}`) || []) {
+          if (qualifiedMatch(cls.data.qualifiedName || cls.data.name, owner)) {
+            this.addEdge(node.id, cls.id, 'method_of', { derived: 'header' });
+          }
+        }
+      }
+    }
+  }
+
+  // The file an #include names: for "..." includes, the path relative to
+  // the including file; otherwise (or failing that) a file in the same
+  // repository whose path ends with it, preferring the one sharing the
+  // longest directory prefix with the including file
+  resolveInclude(include, file, candidates) {
+    const included = path.normalize(include.data.module);
+
+    if (!include.data.system) {
+      const local = path.join(path.dirname(file.data.path), included);
+      const match = candidates.find(node => node.data.path === local);
+      if (match && match.id !== file.id) {
+        return match;
+      }
+    }
+
+    const shared = node => {
+      let i = 0;
+      while (i < node.data.path.length && node.data.path[i] === file.data.path[i]) i++;
+      return i;
+    };
+    const matches = candidates.filter(node => node.id !== file.id &&
+      (node.data.path === included || node.data.path.endsWith(path.sep + included)));
+    return matches.sort((a, b) => shared(b) - shared(a))[0] || null;
+  }
+
+  // Ties configuration files together, rebuilding the edges after each
+  // batch. Kubernetes Services get selects edges to the workloads in their
+  // namespace whose pod labels match their selector. Workflow jobs that
+  // deploy (kubectl, helm, docker push, compose up, or a job or step named
+  // for deploying) get deploys edges to the services, Kubernetes resources
+  // and Helm charts they name, by name or image, within the repository.
+  linkDeployments(index) {
+    const { repositories } = index;
+    const resources = index.ofType('k8s_resource');
+    const matches = (selector, labels) => Object.entries(selector)
+      .every(([key, value]) => labels && labels[key] === value);
+
+    for (const service of resources.filter(node => node.data.kind === 'Service' && node.data.selector)) {
+      for (const workload of resources) {
+        if (workload.id !== service.id && workload.data.namespace === service.data.namespace &&
+          repositories.get(workload.data.file) === repositories.get(service.data.file) &&
+          matches(service.data.selector, workload.data.podLabels)) {
+          this.addEdge(service.id, workload.id, 'selects', { derived: 'deployment' });
+        }
+      }
+    }
+
+    const workflows = index.ofType('workflow');
+    if (workflows.length === 0) {
+      return;
+    }
+
+    const targets = [...index.ofType('service'), ...resources, ...index.ofType('helm_values')]
+      .filter(node => node.data.name)
+      .map(node => ({
+        node,
+        repository: repositories.get(node.data.file),
+        patterns: unique([node.data.name, ...imageNames(node.data)]).map(name =>
+          new RegExp(`(^|[^\\w.-])${escapeRegExp(name)}($|[^\\w.-])`, 'i'))
+      }));
+
+    for (const workflow of workflows) {
+      const repository = repositories.get(workflow.data.file);
+      for (const job of workflow.data.jobs || []) {
+        const text = [job.id, job.name, job.environment, job.uses, ...(job.steps || []).map(step =>
+          [step.name, step.uses, step.run, step.with ? JSON.stringify(step.with) : null].join('\n'))].join('\n');
+        if (!DEPLOY_PATTERN.test(text)) continue;
+
+        for (const target of targets) {
+          if (target.repository === repository && target.patterns.some(pattern => pattern.test(text))) {
+            this.addEdge(workflow.id, target.node.id, 'deploys', { derived: 'deployment', job: job.id });
+          }
+        }
+      }
+    }
+  }
+
   findNodesByType(type) {
     const results = [];
     for (const [id, node] of this.nodes) {
@@ -370,6 +1477,7 @@ class KnowledgeGraph {
     this.repositories.clear();
     this.nodeIdCounter = 0;
     this.edgeIdCounter = 0;
+    this.pendingEdges = [];
   }
 
   getStatistics() {
@@ -396,4 +1504,30 @@ class KnowledgeGraph {
   }
 }
 
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+// `ghcr.io/acme/api:1.2` -> `api`
+function imageNames(data) {
+  const images = [...(data.images || []), ...(data.image ? [data.image] : [])];
+  return images.map(image => image.split('@')[0].replace(/:[^/]*$/, '').split('/').pop()).filter(Boolean);
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
 module.exports = KnowledgeGraph;
\ No newline at end of file
@@ -1,17 +1,26 @@
+const EventEmitter = require('events');
 const GitHubLoader = require('./loaders/githubLoader');
 const FileParser = require('./parsers/fileParser');
 const KnowledgeGraph = require('./graph/knowledgeGraph');
 const QueryEngine = require('./query/queryEngine');
 const LLMIntegration = require('./llm/llmIntegration');
 const Cache = require('./utils/cache');
+const { Operation } = require('./utils/abort');
+const { redactUrl } = require('./utils/credentials');
 
-class GitHubKnowledgeGraphModule {
+// Emits progress events while loading. Each event is emitted under its own
+// name (repository:start, clone:start, clone:end, files:discovered,
+// file:parsed, nodes:added, repository:done, repository:failed) and again as
+// `progress`, with a { type, timestamp, repository, ... } payload.
+class GitHubKnowledgeGraphModule extends EventEmitter {
   constructor(config = {}) {
+    super();
     this.config = {
       cacheEnabled: true,
       cacheTTL: 3600000, // 1 hour default
       rateLimitDelay: 1000, // 1 second between API calls
       localStoragePath: './repos',
+      maxFileSize: 1024 * 1024, // 1 MB; larger files are skipped
       ...config
     };
 
@@ -21,54 +30,284 @@ class GitHubKnowledgeGraphModule {
     this.knowledgeGraph = new KnowledgeGraph();
     this.queryEngine = new QueryEngine(this.knowledgeGraph);
     this.llmIntegration = new LLMIntegration(this.knowledgeGraph);
+
+    for (const plugin of this.config.parsers || []) {
+      this.registerParser(plugin);
+    }
+
+    if (typeof this.config.onProgress === 'function') {
+      this.on('progress', this.config.onProgress);
+    }
+    this.reportProgress = (type, payload) => this.emitProgress(type, payload);
   }
 
-  async loadRepositories(repositories) {
+  // Teaches the parser a new language or file type and lets the loader pick
+  // up the files it matches. See FileParser.registerParser for the plugin
+  // shape.
+  registerParser(plugin) {
+    this.githubLoader.registerFileTypes(this.fileParser.registerParser(plugin));
+    return this;
+  }
+
+  emitProgress(type, payload = {}) {
+    const event = { type, timestamp: Date.now(), ...payload };
+    this.emit(type, event);
+    this.emit('progress', event);
+  }
+
+  // options.signal cancels the whole batch and rejects with its reason.
+  // options.timeout (default config.loadTimeout) bounds each repository; a
+  // timed-out repository is reported like any other failure. Repositories
+  // are only added to the graph once fully loaded and parsed.
+  async loadRepositories(repositories, options = {}) {
     const results = [];
     
-    for (const repo of repositories) {
+    for (const [index, repo] of repositories.entries()) {
+      const started = Date.now();
+      const label = redactUrl(repo.url || repo);
+      const operation = this.createOperation(options, this.config.loadTimeout);
+      // The configured URL only stands in until it has been parsed
+      let repository = label;
+
       try {
         if (this.config.cacheEnabled) {
-          const cached = this.cache.get(repo.url || repo);
+          const cached = this.cache.get(this.getRepositoryCacheKey(repo));
           if (cached) {
+            this.emitProgress('repository:done', {
+              repository: cached.repository,
+              files: cached.files.length,
+              cached: true,
+              durationMs: Date.now() - started
+            });
             results.push(cached);
             continue;
           }
         }
 
-        const repoData = await this.githubLoader.loadRepository(repo);
-        const parsedData = await this.fileParser.parseRepository(repoData);
-        
-        await this.knowledgeGraph.addRepository(parsedData);
+        const { url } = this.githubLoader.parseRepoConfig(repo);
+        repository = url;
+        this.emitProgress('repository:start', { repository: url, source: 'remote', index, total: repositories.length });
+        const repoData = await this.githubLoader.loadRepository(repo, {
+          previousCommit: this.knowledgeGraph.getRepositoryCommit(url),
+          getPreviousCommit: submoduleUrl => this.knowledgeGraph.getRepositoryCommit(submoduleUrl),
+          previousFilterFingerprint: this.knowledgeGraph.getRepositoryFilterFingerprint(url),
+          getPreviousFilterFingerprint: submoduleUrl => this.knowledgeGraph.getRepositoryFilterFingerprint(submoduleUrl),
+          onProgress: this.reportProgress,
+          signal: operation.signal
+        });
+        const parsedData = await this.addRepositoryData(repoData, operation);
         
         if (this.config.cacheEnabled) {
-          this.cache.set(repo.url || repo, parsedData);
+          this.cache.set(this.getRepositoryCacheKey(repo), parsedData);
         }
         
+        this.reportRepositoryDone(parsedData, started);
         results.push(parsedData);
       } catch (error) {
-        console.error(`Error loading repository ${repo.url || repo}:`, error.message);
-        results.push({ error: error.message, repository: repo });
+        const failure = this.getFailure(error, operation);
+        console.error(`Error loading repository ${repository}:`, failure.message);
+        this.emitProgress('repository:failed', { repository, error: failure.message, durationMs: Date.now() - started });
+        if (options.signal && options.signal.aborted) {
+          throw failure;
+        }
+        results.push({ error: failure.message, repository: repo });
       }
     }
     
     return results;
   }
 
-  async loadPaths(paths) {
+  createOperation(options, defaultTimeout) {
+    return new Operation({
+      signal: options.signal,
+      timeout: options.timeout !== undefined ? options.timeout : defaultTimeout
+    });
+  }
+
+  // A cancelled or timed-out operation reports its abort reason rather than
+  // whatever error the interrupted git process or request surfaced
+  getFailure(error, operation) {
+    return operation.signal.aborted ? operation.signal.reason : error;
+  }
+
+  // Adds a loaded repository and, recursively, its submodules to the graph.
+  // Everything is parsed before the graph is touched, and adding never
+  // yields to a timer or checks the signal, so a cancelled load cannot leave
+  // a repository half-added.
+  async addRepositoryData(repoData, operation = new Operation()) {
+    const parsedData = await this.parseRepositoryData(repoData, operation);
+    operation.throwIfAborted();
+    return this.addParsedRepository(parsedData);
+  }
+
+  async parseRepositoryData(repoData, operation) {
+    const parsedData = await this.fileParser.parseRepository(repoData, {
+      onProgress: this.reportProgress,
+      signal: operation.signal,
+      timeout: operation.remaining()
+    });
+
+    parsedData.submodules = [];
+    for (const submodule of repoData.submodules || []) {
+      parsedData.submodules.push({
+        name: submodule.name,
+        path: submodule.path,
+        commit: submodule.commit,
+        repository: await this.parseRepositoryData(submodule.repository, operation)
+      });
+    }
+
+    return parsedData;
+  }
+
+  async addParsedRepository(parsedData) {
+    const started = Date.now();
+    const nodesBefore = this.knowledgeGraph.getNodeCount();
+    const edgesBefore = this.knowledgeGraph.getEdgeCount();
+
+    if (parsedData.incremental) {
+      await this.knowledgeGraph.updateRepository(parsedData, parsedData.changes);
+    } else {
+      await this.knowledgeGraph.addRepository(parsedData);
+    }
+
+    if (parsedData.workspaces !== undefined) {
+      this.knowledgeGraph.addWorkspaces(parsedData.repository, parsedData.workspaces);
+    }
+    if (parsedData.history) {
+      this.knowledgeGraph.addHistory(parsedData.repository, parsedData.history);
+    }
+    if (parsedData.issues) {
+      this.knowledgeGraph.addIssues(parsedData.repository, parsedData.issues);
+    }
+
+    // Re-indexing replaces nodes, so these are net changes and may be negative
+    this.emitProgress('nodes:added', {
+      repository: parsedData.repository,
+      nodes: this.knowledgeGraph.getNodeCount() - nodesBefore,
+      edges: this.knowledgeGraph.getEdgeCount() - edgesBefore,
+      durationMs: Date.now() - started
+    });
+
+    for (const submodule of parsedData.submodules) {
+      await this.addParsedRepository(submodule.repository);
+      this.knowledgeGraph.linkSubmodule(parsedData.repository, submodule.repository.repository, {
+        name: submodule.name,
+        path: submodule.path,
+        commit: submodule.commit
+      });
+    }
+
+    return parsedData;
+  }
+
+  reportRepositoryDone(parsedData, started) {
+    this.emitProgress('repository:done', {
+      repository: parsedData.repository,
+      files: parsedData.files.length,
+      incremental: parsedData.incremental,
+      cached: false,
+      durationMs: Date.now() - started
+    });
+  }
+
+  getRepositoryCacheKey(repo) {
+    if (typeof repo === 'string') {
+      return repo;
+    }
+
+    const revision = repo.commit || repo.tag || repo.ref || repo.branch;
+    return revision ? `${repo.url}@${revision}` : repo.url;
+  }
+
+  // Takes the same signal and timeout options as loadRepositories
+  async loadLocalRepositories(repositories, options = {}) {
+    const results = [];
+
+    for (const [index, repo] of repositories.entries()) {
+      const started = Date.now();
+      const { url } = this.githubLoader.parseLocalConfig(repo);
+      const operation = this.createOperation(options, this.config.loadTimeout);
+
+      try {
+        this.emitProgress('repository:start', { repository: url, source: 'local', index, total: repositories.length });
+        const repoData = await this.githubLoader.loadLocalRepository(repo, {
+          onProgress: this.reportProgress,
+          signal: operation.signal
+        });
+        const parsedData = await this.addRepositoryData(repoData, operation);
+
+        this.reportRepositoryDone(parsedData, started);
+        results.push(parsedData);
+      } catch (error) {
+        const failure = this.getFailure(error, operation);
+        console.error(`Error loading local repository ${repo.path || repo}:`, failure.message);
+        this.emitProgress('repository:failed', { repository: url, error: failure.message, durationMs: Date.now() - started });
+        if (options.signal && options.signal.aborted) {
+          throw failure;
+        }
+        results.push({ error: failure.message, repository: repo });
+      }
+    }
+
+    return results;
+  }
+
+  // Takes the same signal and timeout options as loadRepositories
+  async loadArchives(archives, options = {}) {
+    const results = [];
+
+    for (const [index, archive] of archives.entries()) {
+      const started = Date.now();
+      const { url } = this.githubLoader.parseArchiveConfig(archive);
+      const operation = this.createOperation(options, this.config.loadTimeout);
+
+      try {
+        this.emitProgress('repository:start', { repository: url, source: 'archive', index, total: archives.length });
+        const repoData = await this.githubLoader.loadArchive(archive, {
+          onProgress: this.reportProgress,
+          signal: operation.signal
+        });
+        const parsedData = await this.addRepositoryData(repoData, operation);
+
+        this.reportRepositoryDone(parsedData, started);
+        results.push(parsedData);
+      } catch (error) {
+        const failure = this.getFailure(error, operation);
+        console.error(`Error loading archive ${archive.path || archive}:`, failure.message);
+        this.emitProgress('repository:failed', { repository: url, error: failure.message, durationMs: Date.now() - started });
+        if (options.signal && options.signal.aborted) {
+          throw failure;
+        }
+        results.push({ error: failure.message, archive });
+      }
+    }
+
+    return results;
+  }
+
+  // Takes the same signal and timeout options as loadRepositories
+  async loadPaths(paths, options = {}) {
     const results = [];
     
     for (const path of paths) {
+      const operation = this.createOperation(options, this.config.loadTimeout);
+
       try {
-        const pathData = await this.githubLoader.loadPath(path);
+        const pathData = await this.githubLoader.loadPath(path, { signal: operation.signal });
         const parsedData = await this.fileParser.parsePath(pathData);
         
+        operation.throwIfAborted();
         await this.knowledgeGraph.addPath(parsedData);
         
         results.push(parsedData);
       } catch (error) {
-        console.error(`Error loading path ${path}:`, error.message);
-        results.push({ error: error.message, path });
+        const failure = this.getFailure(error, operation);
+        console.error(`Error loading path ${redactUrl(path)}:`, failure.message);
+        if (options.signal && options.signal.aborted) {
+          throw failure;
+        }
+        results.push({ error: failure.message, path });
       }
     }
     
@@ -77,24 +316,33 @@ class GitHubKnowledgeGraphModule {
 
   async loadFiles(filePaths) {
     const results = [];
+    const parsedFiles = [];
     
     for (const filePath of filePaths) {
       try {
         const fileData = await this.fileParser.parseFile(filePath);
-        await this.knowledgeGraph.addFile(fileData);
+        parsedFiles.push(fileData);
         results.push(fileData);
       } catch (error) {
         console.error(`Error loading file ${filePath}:`, error.message);
         results.push({ error: error.message, filePath });
       }
     }
+    await this.knowledgeGraph.addFiles(parsedFiles);
     
     return results;
   }
 
-  async query(naturalLanguageQuery) {
+  // options.signal and options.timeout (default config.queryTimeout) abort
+  // the search; options.package scopes it to one workspace member
+  async query(naturalLanguageQuery, options = {}) {
     try {
-      return await this.queryEngine.query(naturalLanguageQuery);
+      return await this.queryEngine.query(naturalLanguageQuery, {
+        signal: options.signal,
+        package: options.package,
+        repository: options.repository,
+        timeout: options.timeout !== undefined ? options.timeout : this.config.queryTimeout
+      });
     } catch (error) {
       console.error('Query error:', error.message);
       throw error;
@@ -103,7 +351,10 @@ class GitHubKnowledgeGraphModule {
 
   async getContext(query, options = {}) {
     try {
-      return await this.llmIntegration.getContext(query, options);
+      return await this.llmIntegration.getContext(query, {
+        ...options,
+        timeout: options.timeout !== undefined ? options.timeout : this.config.queryTimeout
+      });
     } catch (error) {
       console.error('Context generation error:', error.message);
       throw error;
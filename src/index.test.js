@@ -1,6 +1,9 @@
 const GitHubKnowledgeGraphModule = require('./index');
+const { parseToml } = require('./utils/toml');
 const path = require('path');
 const fs = require('fs').promises;
+const os = require('os');
+const { execFileSync } = require('child_process');
 
 describe('GitHubKnowledgeGraphModule', () => {
   let module;
@@ -67,6 +70,1448 @@ describe('GitHubKnowledgeGraphModule', () => {
     });
   });
 
+  describe('JavaScript and TypeScript parsing', () => {
+    const parse = (fileName, content) => module.fileParser.parseFile(path.join('/virtual', fileName), content);
+
+    test('should extract functions, class members and components from the AST', async () => {
+      const parsed = await parse('App.jsx', [
+        "// function fake() {} in a comment",
+        "const label = 'class Fake {}';",
+        "export default function App({ title }, ...rest) {",
+        "  return <Layout><Button>{title}</Button></Layout>;",
+        "}",
+        "export class Store extends Base {",
+        "  static create(size = 1) { return new Store(); }",
+        "  get size() { return 0; }",
+        "  handle = async (event) => {};",
+        "  async *stream() {}",
+        "}",
+        "const api = { get(url) {}, post: function (url, body) {} };"
+      ].join('\n'));
+
+      expect(parsed.functions.map(f => [f.name, f.type, f.className || f.object || null])).toEqual([
+        ['App', 'regular', null],
+        ['create', 'method', 'Store'],
+        ['size', 'method', 'Store'],
+        ['handle', 'method', 'Store'],
+        ['stream', 'method', 'Store'],
+        ['get', 'method', 'api'],
+        ['post', 'method', 'api']
+      ]);
+      expect(parsed.functions[0]).toMatchObject({ line: 3, endLine: 5, params: ['{ title }', '...rest'], async: false });
+      expect(parsed.functions[4]).toMatchObject({ async: true, generator: true });
+      expect(parsed.classes).toEqual([expect.objectContaining({ name: 'Store', extends: 'Base', line: 6, endLine: 11 })]);
+      expect(parsed.classes[0].members.map(m => `${m.kind}:${m.name}`))
+        .toEqual(['method:create', 'getter:size', 'method:handle', 'method:stream']);
+      expect(parsed.components).toEqual([
+        { name: 'App', kind: 'function', line: 3, endLine: 5, renders: ['Layout', 'Button'] }
+      ]);
+      expect(parsed.comments).toEqual([{ text: '// function fake() {} in a comment', line: 1, type: 'single' }]);
+    });
+
+    test('should extract imports with their bindings and exports including re-exports', async () => {
+      const parsed = await parse('index.ts', [
+        "import React, { useState as useS } from 'react';",
+        "import type { Props } from './types';",
+        "const { join } = require('path');",
+        "export { helper, other as renamed } from './helpers';",
+        "export * from './all';",
+        "export const load = () => import('./lazy');",
+        "export interface Options extends Props { debug: boolean }",
+        "export default class Client implements Options { debug = false; }"
+      ].join('\n'));
+
+      expect(parsed.imports).toEqual(['react', './types', 'path', './helpers', './all', './lazy']);
+      expect(parsed.importDetails.map(i => [i.source, i.kind, i.names.map(n => `${n.imported}>${n.local}`), i.typeOnly]))
+        .toEqual([
+          ['react', 'import', ['default>React', 'useState>useS'], false],
+          ['./types', 'import', ['Props>Props'], true],
+          ['path', 'require', ['join>join'], false],
+          ['./helpers', 'reexport', ['helper>helper', 'other>renamed'], false],
+          ['./all', 'reexport', ['*>*'], false],
+          ['./lazy', 'dynamic', [], false]
+        ]);
+      expect(parsed.exports).toEqual(['helper', 'renamed', 'load', 'Options', 'Client']);
+      expect(parsed.exportDetails.find(e => e.name === 'default')).toMatchObject({ local: 'Client', kind: 'default' });
+      expect(parsed.interfaces).toEqual([expect.objectContaining({ name: 'Options', extends: ['Props'] })]);
+      expect(parsed.classes[0].implements).toEqual(['Options']);
+    });
+
+    test('should fall back to regexes when the source does not parse', async () => {
+      const parsed = await parse('broken.js', 'function ok() {}\nconst x = (;');
+
+      expect(parsed.functions.map(f => f.name)).toEqual(['ok']);
+    });
+
+    test('should link methods to their class in the graph', async () => {
+      const parsed = await parse('store.js', 'class Store {\n  save() {}\n}\nmodule.exports = { Store };');
+      await module.knowledgeGraph.addFile(parsed);
+      const graph = module.knowledgeGraph;
+
+      const save = graph.findNodesByProperty('name', 'save', 'function')[0];
+      const [edge] = graph.getNodeConnections(save.id, 'method_of');
+      expect(graph.nodes.get(edge.target).data.name).toBe('Store');
+      expect(save.data).toMatchObject({ className: 'Store', line: 2, endLine: 2 });
+      expect(graph.findNodesByType('export')[0].data).toMatchObject({ name: 'Store', kind: 'commonjs' });
+    });
+  });
+
+  describe('parser plugins', () => {
+    let localDir;
+    const protoParser = {
+      name: 'protobuf',
+      extensions: ['proto'],
+      parse: content => {
+        const messages = [...content.matchAll(/^message (\w+)/gm)].map(match => match[1]);
+        const rpcs = [...content.matchAll(/rpc (\w+)\((\w+)\)/g)];
+        return {
+          nodes: [
+            ...messages.map(name => ({ key: name, type: 'message', data: { name } })),
+            ...rpcs.map(([, name]) => ({ key: name, type: 'rpc', data: { name } }))
+          ],
+          edges: [
+            ...rpcs.map(([, name, input]) => ({ source: name, target: input, relationship: 'accepts' })),
+            ...rpcs.map(([, name]) => ({ source: name, target: { type: 'function', name: 'handleGetUser' }, relationship: 'implemented_by' }))
+          ]
+        };
+      }
+    };
+    const dockerParser = {
+      name: 'dockerfile',
+      filenames: ['Dockerfile'],
+      parse: content => ({ baseImage: (content.match(/^FROM (\S+)/m) || [])[1] })
+    };
+
+    beforeEach(async () => {
+      localDir = await fs.mkdtemp(path.join(os.tmpdir(), 'plugins-'));
+      await fs.writeFile(path.join(localDir, 'server.js'), 'function handleGetUser(request) {}');
+      await fs.writeFile(path.join(localDir, 'api.proto'), 'message GetUserRequest {}\nservice Users {\n  rpc GetUser(GetUserRequest) returns (User);\n}\n');
+      await fs.writeFile(path.join(localDir, 'Dockerfile'), 'FROM node:20-alpine\n');
+    });
+
+    afterEach(async () => {
+      await fs.rm(localDir, { recursive: true, force: true });
+    });
+
+    test('should index new file types and add the nodes and edges plugins emit', async () => {
+      const [plain] = await module.loadLocalRepositories([localDir]);
+      expect(plain.files.map(f => f.relativePath)).toEqual(['server.js']);
+
+      const withPlugins = new GitHubKnowledgeGraphModule({
+        cacheEnabled: false,
+        localStoragePath: './test-repos',
+        parsers: [protoParser]
+      }).registerParser(dockerParser);
+      const [result] = await withPlugins.loadLocalRepositories([localDir]);
+      const graph = withPlugins.knowledgeGraph;
+
+      expect(result.files.map(f => f.relativePath).sort()).toEqual(['Dockerfile', 'api.proto', 'server.js']);
+      expect(result.files.find(f => f.relativePath === 'Dockerfile')).toMatchObject({ type: 'dockerfile', baseImage: 'node:20-alpine' });
+
+      const rpc = graph.findNodesByType('rpc')[0];
+      const targets = relationship => graph.getNodeConnections(rpc.id, relationship)
+        .map(edge => graph.nodes.get(edge.target).data.name);
+      expect(rpc.data).toMatchObject({ name: 'GetUser', file: path.join(localDir, 'api.proto') });
+      expect(targets('accepts')).toEqual(['GetUserRequest']);
+      expect(targets('implemented_by')).toEqual(['handleGetUser']);
+
+      await withPlugins.loadLocalRepositories([localDir]);
+      expect(graph.findNodesByType('rpc')).toHaveLength(1);
+    });
+
+    test('should reject plugins without a parse function or file types', () => {
+      expect(() => module.registerParser({ extensions: ['.x'] })).toThrow('parse');
+      expect(() => module.registerParser({ parse: () => ({}) })).toThrow('extensions or filenames');
+    });
+  });
+
+  describe('Go parsing', () => {
+    const parse = (fileName, content) => module.fileParser.parseFile(path.join('/virtual/shop', fileName), content);
+
+    test('should extract the package, imports, functions, methods and types', async () => {
+      const parsed = await parse('server.go', [
+        'package shop',
+        '',
+        'import (',
+        '\t"fmt"',
+        '\tlog "github.com/sirupsen/logrus"',
+        '\t_ "embed"',
+        ')',
+        '',
+        '// Server serves orders. func Fake() {}',
+        'type Server struct {',
+        '\tBase',
+        '\tName, Addr string `json:"name"`',
+        '}',
+        '',
+        'type Store interface {',
+        '\tio.Closer',
+        '\tSave(order Order) error',
+        '}',
+        '',
+        'func New(name, addr string) *Server {',
+        '\treturn &Server{Name: "func Fake() {"}',
+        '}',
+        '',
+        'func (s *Server) Start() (err error) {',
+        '\treturn nil',
+        '}'
+      ].join('\n'));
+
+      expect(parsed).toMatchObject({ type: 'go', packageName: 'shop' });
+      expect(parsed.imports).toEqual(['fmt', 'github.com/sirupsen/logrus', 'embed']);
+      expect(parsed.importDetails.map(i => i.names)).toEqual([
+        [{ imported: '*', local: 'fmt' }],
+        [{ imported: '*', local: 'log' }],
+        []
+      ]);
+      expect(parsed.functions.map(f => [f.name, f.type, f.receiver || null, f.line, f.endLine])).toEqual([
+        ['New', 'function', null, 20, 22],
+        ['Start', 'method', 'Server', 24, 26]
+      ]);
+      expect(parsed.functions[0]).toMatchObject({ params: ['name string', 'addr string'], results: '*Server' });
+      expect(parsed.functions[1]).toMatchObject({ pointerReceiver: true, results: '(err error)' });
+      expect(parsed.classes).toEqual([
+        expect.objectContaining({ name: 'Server', kind: 'struct', line: 10, endLine: 13, embeds: ['Base'] }),
+        expect.objectContaining({ name: 'Store', kind: 'interface', embeds: ['io.Closer'], methods: ['Save'] })
+      ]);
+      expect(parsed.classes[0].fields).toEqual([{ name: 'Name', type: 'string' }, { name: 'Addr', type: 'string' }]);
+      expect(parsed.exports).toEqual(['New', 'Server', 'Store']);
+    });
+
+    test('should not stall on an unterminated receiver', async () => {
+      const started = Date.now();
+      const parsed = await parse('broken.go', `package shop\n\nfunc (${' '.repeat(60000)}\n\nfunc (s * Server) Stop() {}\n`);
+
+      expect(Date.now() - started).toBeLessThan(1000);
+      expect(parsed.functions.map(f => [f.name, f.receiver, f.pointerReceiver])).toEqual([['Stop', 'Server', true]]);
+    });
+
+    test('should link methods and implicit interface implementations across a package', async () => {
+      const graph = module.knowledgeGraph;
+      const files = {
+        'types.go': 'package shop\n\ntype Base struct{}\n\ntype Order struct {\n\tBase\n}\n\ntype Saver interface {\n\tSave() error\n}\n\ntype Store interface {\n\tSaver\n\tClose() error\n}\n',
+        'base.go': 'package shop\n\nfunc (b *Base) Close() error { return nil }\n',
+        'order.go': 'package shop\n\nfunc (o Order) Save() error { return nil }\n'
+      };
+      for (const [fileName, content] of Object.entries(files)) {
+        await graph.addFile(await parse(fileName, content));
+      }
+
+      const typeNamed = name => graph.findNodesByProperty('name', name, 'class')[0];
+      const targets = (node, relationship) => graph.getNodeConnections(node.id, relationship)
+        .map(edge => graph.nodes.get(edge.target).data.name)
+        .sort();
+      const save = graph.findNodesByProperty('name', 'Save', 'function')[0];
+
+      expect(targets(save, 'method_of')).toEqual(['Order']);
+      expect(targets(typeNamed('Order'), 'embeds')).toEqual(['Base']);
+      expect(targets(typeNamed('Order'), 'implements')).toEqual(['Saver', 'Store']);
+      expect(targets(typeNamed('Base'), 'implements')).toEqual([]);
+
+      graph.removeFiles(new Set(graph.findNodesByProperty('path', path.join('/virtual/shop', 'order.go'), 'file')
+        .map(node => node.id)));
+      graph.finishBatch();
+      expect(targets(typeNamed('Order'), 'implements')).toEqual([]);
+    });
+  });
+
+  describe('Rust parsing', () => {
+    let localDir;
+
+    afterEach(async () => {
+      if (localDir) {
+        await fs.rm(localDir, { recursive: true, force: true });
+        localDir = null;
+      }
+    });
+
+    test('should extract modules, use trees, functions, types and impl blocks', async () => {
+      const parsed = await module.fileParser.parseFile('/virtual/src/net/server.rs', [
+        "//! Serves requests. fn fake() {}",
+        "use std::{io::{self, Read}, fmt as f};",
+        "pub use self::config::Config;",
+        "mod config;",
+        "",
+        "#[derive(Debug, Clone)]",
+        "pub struct Server<T> {",
+        "    pub name: String,",
+        "    pub(crate) handlers: HashMap<String, Box<dyn Fn(T) -> u8>>,",
+        "}",
+        "",
+        "pub enum Shape { Circle { r: f64 }, Square(f64) }",
+        "",
+        "pub trait Handler: Send + 'static {",
+        "    fn handle(&self, req: &str) -> Result<(), Error>;",
+        "}",
+        "",
+        "impl<T: Send> Server<T> {",
+        "    pub(crate) async fn new<'a>(name: &'a str) -> Self { let brace = '{'; todo!() }",
+        "}",
+        "",
+        "impl<T> Handler for Server<T> {",
+        "    fn handle(&self, req: &str) -> Result<(), Error> { let s = r#\"}\"#; Ok(()) }",
+        "}"
+      ].join('\n'));
+
+      expect(parsed).toMatchObject({ type: 'rust', modulePath: 'crate::net::server' });
+      expect(parsed.modules).toEqual([{ name: 'config', line: 4, endLine: 4, inline: false, visibility: null }]);
+      expect(parsed.imports).toEqual(['std::io', 'std::io::Read', 'std::fmt', 'self::config::Config']);
+      expect(parsed.importDetails.map(i => [i.kind, i.names])).toEqual([
+        ['use', [{ imported: 'io', local: 'io' }]],
+        ['use', [{ imported: 'Read', local: 'Read' }]],
+        ['use', [{ imported: 'fmt', local: 'f' }]],
+        ['reexport', [{ imported: 'Config', local: 'Config' }]]
+      ]);
+      expect(parsed.functions.map(f => [f.name, f.className, f.trait || null, f.line, f.endLine])).toEqual([
+        ['handle', 'Handler', null, 15, 15],
+        ['new', 'Server', null, 19, 19],
+        ['handle', 'Server', 'Handler', 23, 23]
+      ]);
+      expect(parsed.functions[0]).toMatchObject({ declaration: true, static: false, results: 'Result<(), Error>' });
+      expect(parsed.functions[1]).toMatchObject({ visibility: 'pub(crate)', async: true, static: true, generics: "'a", params: ["name: &'a str"] });
+      expect(parsed.classes.map(c => [c.name, c.kind, c.line, c.endLine])).toEqual([
+        ['Server', 'struct', 7, 10],
+        ['Shape', 'enum', 12, 12],
+        ['Handler', 'trait', 14, 16]
+      ]);
+      expect(parsed.classes[0]).toMatchObject({ derives: ['Debug', 'Clone'], generics: 'T' });
+      expect(parsed.classes[0].fields.map(field => `${field.visibility} ${field.name}: ${field.type}`))
+        .toEqual(['pub name: String', 'pub(crate) handlers: HashMap<String, Box<dyn Fn(T) -> u8>>']);
+      expect(parsed.classes[1].variants).toEqual(['Circle', 'Square']);
+      expect(parsed.classes[2]).toMatchObject({ supertraits: ['Send'], methods: ['handle'] });
+      expect(parsed.impls.map(impl => [impl.type, impl.trait])).toEqual([['Server', null], ['Server', 'Handler']]);
+      expect(parsed.exports).toEqual(['Config', 'Server', 'Shape', 'Handler']);
+    });
+
+    test('should keep # inside quoted TOML strings', () => {
+      const toml = parseToml([
+        '[package] # the crate',
+        'name = "csharp-bindings"  # published name',
+        'description = "C# bindings"',
+        'repository = \'https://example.com/repo/#readme\'',
+        'keywords = ["c#", "ffi"] # search terms'
+      ].join('\n'));
+
+      expect(toml.package).toEqual({
+        name: 'csharp-bindings',
+        description: 'C# bindings',
+        repository: 'https://example.com/repo/#readme',
+        keywords: ['c#', 'ffi']
+      });
+    });
+
+    test('should link crates, impl blocks and use paths across files', async () => {
+      localDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rust-crate-'));
+      await fs.mkdir(path.join(localDir, 'src', 'models'), { recursive: true });
+      await fs.writeFile(path.join(localDir, 'Cargo.toml'), '[package]\nname = "order-service"\nversion = "0.2.0"\n\n[dependencies]\nserde = "1"\n');
+      await fs.writeFile(path.join(localDir, 'src', 'lib.rs'), 'pub mod models;\npub trait Store {\n    fn save(&self);\n}\n');
+      await fs.writeFile(path.join(localDir, 'src', 'models', 'mod.rs'), 'pub struct Order {\n    pub id: u64,\n}\n');
+      await fs.writeFile(path.join(localDir, 'src', 'store.rs'), [
+        'use crate::models::Order;',
+        'use crate::Store;',
+        '',
+        'impl Order {',
+        '    pub fn total(&self) -> u64 { 0 }',
+        '}',
+        '',
+        'impl Store for Order {',
+        '    fn save(&self) {}',
+        '}'
+      ].join('\n'));
+
+      const [result] = await module.loadLocalRepositories([localDir]);
+      const graph = module.knowledgeGraph;
+      const named = (name, type) => graph.findNodesByProperty('name', name, type)[0];
+      const targets = (node, relationship) => (graph.edges.get(node.id) || [])
+        .filter(edge => edge.relationship === relationship)
+        .map(edge => graph.nodes.get(edge.target));
+
+      expect(result.files.map(f => f.relativePath).sort())
+        .toEqual(['Cargo.toml', 'src/lib.rs', 'src/models/mod.rs', 'src/store.rs']);
+
+      const crate = named('order-service', 'crate');
+      expect(crate.data).toMatchObject({ crateName: 'order_service', version: '0.2.0' });
+      expect(targets(crate, 'contains').map(file => file.data.relativePath).sort())
+        .toEqual(['src/lib.rs', 'src/models/mod.rs', 'src/store.rs']);
+
+      expect(targets(named('total', 'function'), 'method_of').map(node => node.data.name)).toEqual(['Order']);
+      expect(targets(named('Order', 'class'), 'implements').map(node => node.data.name)).toEqual(['Store']);
+
+      const imports = graph.findNodesByType('import').filter(node => node.data.module.startsWith('crate::'));
+      expect(imports.map(node => [node.data.module, targets(node, 'references').map(file => file.data.relativePath)]))
+        .toEqual([['crate::models::Order', ['src/models/mod.rs']], ['crate::Store', ['src/lib.rs']]]);
+    });
+  });
+
+  describe('Ruby and PHP parsing', () => {
+    let localDir;
+
+    afterEach(async () => {
+      if (localDir) {
+        await fs.rm(localDir, { recursive: true, force: true });
+        localDir = null;
+      }
+    });
+
+    test('should extract Ruby modules, classes, mixins, methods and requires', async () => {
+      const parsed = await module.fileParser.parseFile('/virtual/app/models/user.rb', [
+        "require 'json'",
+        "",
+        "# class Fake; end",
+        "module Accounts",
+        "  class User < ApplicationRecord",
+        "    include Comparable, Auditable",
+        "    extend Finders",
+        "",
+        "    def initialize(name, email: nil)",
+        "      items.each do |item|",
+        "        puts \"#{item} end\"",
+        "      end",
+        "      value = if name then 1 else 2 end",
+        "    end",
+        "",
+        "    def self.find_by_email(email) = where(email: email).first",
+        "",
+        "    private",
+        "",
+        "    def secret?",
+        "      true",
+        "    end",
+        "  end",
+        "end"
+      ].join('\n'));
+
+      expect(parsed.type).toBe('ruby');
+      expect(parsed.imports).toEqual(['json']);
+      expect(parsed.classes.map(c => [c.name, c.kind, c.line, c.endLine, c.extends, c.namespace])).toEqual([
+        ['Accounts', 'module', 4, 24, null, null],
+        ['User', 'class', 5, 23, 'ApplicationRecord', 'Accounts']
+      ]);
+      expect(parsed.classes[1].mixins).toEqual([
+        { name: 'Comparable', kind: 'include' },
+        { name: 'Auditable', kind: 'include' },
+        { name: 'Finders', kind: 'extend' }
+      ]);
+      expect(parsed.functions.map(f => [f.name, f.className, f.line, f.endLine, f.static, f.visibility])).toEqual([
+        ['initialize', 'User', 9, 14, false, 'public'],
+        ['find_by_email', 'User', 16, 16, true, 'public'],
+        ['secret?', 'User', 20, 22, false, 'private']
+      ]);
+      expect(parsed.functions[0].params).toEqual(['name', 'email: nil']);
+    });
+
+    test('should extract PHP namespaces, classes, traits, methods and imports', async () => {
+      const parsed = await module.fileParser.parseFile('/virtual/app/Http/Controllers/UserController.php', [
+        "<?php",
+        "namespace App\\Http\\Controllers;",
+        "",
+        "use App\\Models\\User;",
+        "use App\\Http\\{Requests\\StoreUser, Resources\\UserResource as Res};",
+        "require_once __DIR__ . '/helpers.php';",
+        "",
+        "// class Fake {}",
+        "final class UserController extends Controller implements HasMiddleware",
+        "{",
+        "    use AuthorizesRequests, Loggable;",
+        "",
+        "    public function index(Request $request): JsonResponse",
+        "    {",
+        "        return User::all()->map(function ($user) use ($request) { return \"}\"; });",
+        "    }",
+        "",
+        "    protected static function helper(int $a, array $b = [1, 2]): ?string { return null; }",
+        "}",
+        "",
+        "interface Shape",
+        "{",
+        "    public function area(): float;",
+        "}",
+        "?>",
+        "<p>Don't { parse } this</p>"
+      ].join('\n'));
+
+      expect(parsed).toMatchObject({ type: 'php', namespace: 'App\\Http\\Controllers' });
+      expect(parsed.imports).toEqual(['App\\Models\\User', 'App\\Http\\Requests\\StoreUser', 'App\\Http\\Resources\\UserResource', '/helpers.php']);
+      expect(parsed.importDetails[2].names).toEqual([{ imported: 'UserResource', local: 'Res' }]);
+      expect(parsed.classes.map(c => [c.name, c.kind, c.line, c.endLine, c.extends])).toEqual([
+        ['UserController', 'class', 9, 19, 'Controller'],
+        ['Shape', 'interface', 21, 24, null]
+      ]);
+      expect(parsed.classes[0]).toMatchObject({
+        implements: ['HasMiddleware'],
+        mixins: [{ name: 'AuthorizesRequests', kind: 'trait' }, { name: 'Loggable', kind: 'trait' }],
+        modifiers: ['final']
+      });
+      expect(parsed.functions.map(f => [f.name, f.className, f.line, f.endLine, f.visibility, f.static])).toEqual([
+        ['index', 'UserController', 13, 16, 'public', false],
+        ['helper', 'UserController', 18, 18, 'protected', true],
+        ['area', 'Shape', 23, 23, 'public', false]
+      ]);
+      expect(parsed.functions[1]).toMatchObject({ params: ['int $a', 'array $b = [1, 2]'], results: '?string' });
+      expect(parsed.functions[2].declaration).toBe(true);
+    });
+
+    test('should add Rails and Laravel routes handled by controller actions', async () => {
+      localDir = await fs.mkdtemp(path.join(os.tmpdir(), 'routes-'));
+      const write = async (relativePath, content) => {
+        await fs.mkdir(path.dirname(path.join(localDir, relativePath)), { recursive: true });
+        await fs.writeFile(path.join(localDir, relativePath), content);
+      };
+      await write('rails/config/routes.rb', [
+        'Rails.application.routes.draw do',
+        "  root 'home#index'",
+        '  namespace :admin do',
+        '    resources :users, only: [:index, :show] do',
+        '      member do',
+        '        post :lock',
+        '      end',
+        '    end',
+        '  end',
+        'end'
+      ].join('\n'));
+      await write('rails/app/controllers/admin/users_controller.rb', [
+        'module Admin',
+        '  class UsersController < ApplicationController',
+        '    include Auditable',
+        '    def index; end',
+        '    def lock',
+        '    end',
+        '  end',
+        'end'
+      ].join('\n'));
+      await write('rails/app/models/concerns/auditable.rb', 'module Auditable\nend\n');
+      await write('laravel/routes/web.php', [
+        '<?php',
+        "Route::prefix('admin')->group(function () {",
+        "    Route::get('/stats', [DashboardController::class, 'stats']);",
+        '});',
+        "Route::resource('photos', PhotoController::class)->only(['show']);"
+      ].join('\n'));
+      await write('laravel/app/Http/Controllers/DashboardController.php', [
+        '<?php',
+        'class DashboardController extends Controller implements Reporting',
+        '{',
+        '    public function stats() {}',
+        '}',
+        'interface Reporting {}'
+      ].join('\n'));
+
+      await module.loadLocalRepositories([localDir]);
+      const graph = module.knowledgeGraph;
+      const routes = graph.findNodesByType('route');
+      const handler = route => (graph.edges.get(route.id) || [])
+        .filter(edge => edge.relationship === 'handled_by')
+        .map(edge => `${graph.nodes.get(edge.target).data.className}#${graph.nodes.get(edge.target).data.name}`);
+
+      expect(routes
+        .map(route => [route.data.method, route.data.path, route.data.controller, route.data.action, handler(route)])
+        .sort((a, b) => a[1].localeCompare(b[1])))
+        .toEqual([
+          ['GET', '/', 'HomeController', 'index', []],
+          ['GET', '/admin/stats', 'DashboardController', 'stats', ['DashboardController#stats']],
+          ['GET', '/admin/users', 'Admin::UsersController', 'index', ['UsersController#index']],
+          ['GET', '/admin/users/:id', 'Admin::UsersController', 'show', []],
+          ['POST', '/admin/users/:id/lock', 'Admin::UsersController', 'lock', ['UsersController#lock']],
+          ['GET', '/photos/{photo}', 'PhotoController', 'show', []]
+        ]);
+
+      const targets = (name, relationship) => (graph.edges.get(graph.findNodesByProperty('name', name, 'class')[0].id) || [])
+        .filter(edge => edge.relationship === relationship)
+        .map(edge => graph.nodes.get(edge.target).data.name);
+      expect(targets('UsersController', 'includes')).toEqual(['Auditable']);
+      expect(targets('DashboardController', 'implements')).toEqual(['Reporting']);
+    });
+  });
+
+  describe('C and C++ parsing', () => {
+    let localDir;
+
+    afterEach(async () => {
+      if (localDir) {
+        await fs.rm(localDir, { recursive: true, force: true });
+        localDir = null;
+      }
+    });
+
+    test('should extract includes, macros, namespaces, types and declarations', async () => {
+      const parsed = await module.fileParser.parseFile('/virtual/include/shape.h', [
+        '#include <vector>',
+        '#include "util/math.h" // class Fake {};',
+        '#define MAX_SIDES 16',
+        '#define AREA(w, h) ((w) * \\',
+        '  (h))',
+        '',
+        'namespace geo {',
+        '',
+        'class Shape {',
+        'public:',
+        '  virtual ~Shape();',
+        '  virtual double area() const = 0;',
+        'protected:',
+        '  int sides_;',
+        '};',
+        '',
+        'template <typename T>',
+        'class Square final : public Shape, private Named<T> {',
+        'public:',
+        '  explicit Square(double side) : side_(side), cache_{0} {}',
+        '  bool operator==(const Square &other) const;',
+        'private:',
+        '  double side_;',
+        '};',
+        '',
+        'enum class Color : int { Red = 1, Green, Blue };',
+        'double perimeter(const Shape &shape, int scale = 1);',
+        'std::string label("}{");',
+        '',
+        '}',
+        '',
+        'typedef struct {',
+        '  int x, y;',
+        '} Point;'
+      ].join('\n'));
+
+      expect(parsed.type).toBe('cpp');
+      expect(parsed.imports).toEqual(['vector', 'util/math.h']);
+      expect(parsed.importDetails.map(i => [i.kind, i.system])).toEqual([['include', true], ['include', false]]);
+      expect(parsed.macros.map(m => [m.name, m.params, m.value, m.line, m.endLine])).toEqual([
+        ['MAX_SIDES', null, '16', 3, 3],
+        ['AREA', ['w', 'h'], '((w) * (h))', 4, 5]
+      ]);
+      expect(parsed.namespaces).toEqual([{ name: 'geo', line: 7, endLine: 30 }]);
+      expect(parsed.classes.map(c => [c.qualifiedName, c.kind, c.line, c.endLine, c.extends])).toEqual([
+        ['geo::Shape', 'class', 9, 15, null],
+        ['geo::Square', 'class', 17, 24, 'Shape'],
+        ['geo::Color', 'enum', 26, 26, null],
+        ['Point', 'struct', 32, 34, null]
+      ]);
+      expect(parsed.classes[1]).toMatchObject({ bases: ['Shape', 'Named<T>'], template: 'typename T', methods: ['Square', 'operator=='] });
+      expect(parsed.classes[2].variants).toEqual(['Red', 'Green', 'Blue']);
+      expect(parsed.classes[3].fields).toEqual([{ name: 'x', type: 'int' }, { name: 'y', type: 'int' }]);
+      expect(parsed.functions.map(f => [f.qualifiedName, f.declaration, f.access || null, f.line])).toEqual([
+        ['geo::Shape::~Shape', true, 'public', 11],
+        ['geo::Shape::area', true, 'public', 12],
+        ['geo::Square::Square', false, 'public', 20],
+        ['geo::Square::operator==', true, 'public', 21],
+        ['geo::perimeter', true, null, 27]
+      ]);
+      expect(parsed.functions[1]).toMatchObject({ virtual: true, pure: true, const: true, results: 'double' });
+      expect(parsed.functions[4].params).toEqual(['const Shape &shape', 'int scale = 1']);
+
+      const c = await module.fileParser.parseFile('/virtual/src/add.c', 'static int add(int a, int b) { return a + b; }\nvoid reset(void);\n');
+      expect(c.type).toBe('c');
+      expect(c.functions.map(f => [f.name, f.declaration, f.static, f.params])).toEqual([
+        ['add', false, true, ['int a', 'int b']],
+        ['reset', true, false, []]
+      ]);
+    });
+
+    test('should link includes and declarations to their definitions', async () => {
+      localDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cpp-project-'));
+      await fs.mkdir(path.join(localDir, 'include', 'geo'), { recursive: true });
+      await fs.mkdir(path.join(localDir, 'src'), { recursive: true });
+      await fs.writeFile(path.join(localDir, 'include', 'geo', 'shape.h'), [
+        '#pragma once',
+        'namespace geo {',
+        'class Shape {',
+        'public:',
+        '  double area() const;',
+        '  double scaled(double factor) const;',
+        '};',
+        'int count_shapes();',
+        '}'
+      ].join('\n'));
+      await fs.writeFile(path.join(localDir, 'src', 'shape.cpp'), [
+        '#include <geo/shape.h>',
+        '#include "local.h"',
+        'using namespace geo;',
+        '',
+        'double Shape::area() const { return 0; }',
+        'double Shape::scaled(double factor) const { return area() * factor; }',
+        'namespace geo {',
+        'int count_shapes() { return 1; }',
+        '}'
+      ].join('\n'));
+      await fs.writeFile(path.join(localDir, 'src', 'local.h'), 'void helper(void);\n');
+
+      await module.loadLocalRepositories([localDir]);
+      const graph = module.knowledgeGraph;
+      const targets = (node, relationship) => (graph.edges.get(node.id) || [])
+        .filter(edge => edge.relationship === relationship)
+        .map(edge => graph.nodes.get(edge.target));
+      const functions = graph.findNodesByType('function');
+      const declaration = name => functions.find(node => node.data.name === name && node.data.declaration);
+      const definition = name => functions.find(node => node.data.name === name && !node.data.declaration);
+
+      const imports = graph.findNodesByType('import').filter(node => node.data.kind === 'include');
+      expect(imports.map(node => [node.data.module, targets(node, 'references').map(file => file.data.relativePath)]))
+        .toEqual([['geo/shape.h', ['include/geo/shape.h']], ['local.h', ['src/local.h']]]);
+
+      for (const name of ['area', 'scaled', 'count_shapes']) {
+        expect(targets(declaration(name), 'defined_by')).toEqual([definition(name)]);
+      }
+      expect(targets(definition('area'), 'method_of').map(node => node.data.qualifiedName)).toEqual(['geo::Shape']);
+
+      const context = await module.getContext('scaled', { maxNodes: 10 });
+      expect(context.filesWithContent.map(file => path.relative(localDir, file.path)).sort())
+        .toEqual([path.join('include', 'geo', 'shape.h'), path.join('src', 'shape.cpp')]);
+    });
+
+    test('should index .cc and .hh files when loading a repository', async () => {
+      localDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cc-project-'));
+      await fs.writeFile(path.join(localDir, 'util.hh'), 'int clamp(int value, int low, int high);\n');
+      await fs.writeFile(path.join(localDir, 'util.cc'), [
+        '#include "util.hh"',
+        'int clamp(int value, int low, int high) { return value < low ? low : value > high ? high : value; }'
+      ].join('\n'));
+
+      const [result] = await module.loadLocalRepositories([localDir]);
+      const graph = module.knowledgeGraph;
+      const targets = (node, relationship) => (graph.edges.get(node.id) || [])
+        .filter(edge => edge.relationship === relationship)
+        .map(edge => graph.nodes.get(edge.target));
+
+      expect(result.files.map(f => f.relativePath).sort()).toEqual(['util.cc', 'util.hh']);
+      const clamps = graph.findNodesByProperty('name', 'clamp', 'function');
+      expect(clamps.map(node => [path.basename(node.data.file), node.data.declaration]).sort())
+        .toEqual([['util.cc', false], ['util.hh', true]]);
+
+      const [include] = graph.findNodesByType('import').filter(node => node.data.module === 'util.hh');
+      expect(targets(include, 'references').map(file => file.data.relativePath)).toEqual(['util.hh']);
+    });
+  });
+
+  describe('YAML parsing', () => {
+    let localDir;
+
+    afterEach(async () => {
+      if (localDir) {
+        await fs.rm(localDir, { recursive: true, force: true });
+        localDir = null;
+      }
+    });
+
+    test('should parse multi-document files with anchors and recognize config formats', async () => {
+      const manifests = await module.fileParser.parseFile('/virtual/k8s/api.yaml', [
+        'apiVersion: apps/v1',
+        'kind: Deployment',
+        'metadata:',
+        '  name: api',
+        '  labels: &labels',
+        '    app: api',
+        'spec:',
+        '  selector:',
+        '    matchLabels: *labels',
+        '  template:',
+        '    metadata:',
+        '      labels: *labels',
+        '    spec:',
+        '      containers:',
+        '        - name: api',
+        '          image: ghcr.io/acme/api:1.4.2',
+        '---',
+        'apiVersion: v1',
+        'kind: Service',
+        'metadata: { name: api, namespace: prod }',
+        'spec:',
+        '  selector: { app: api }'
+      ].join('\n'));
+
+      expect(manifests).toMatchObject({ type: 'yaml', format: 'kubernetes', structure: { type: 'array', length: 2 } });
+      expect(manifests.nodes.map(node => [node.type, node.data.kind, node.data.name, node.data.line])).toEqual([
+        ['k8s_resource', 'Deployment', 'api', 1],
+        ['k8s_resource', 'Service', 'api', 18]
+      ]);
+      expect(manifests.nodes[0].data).toMatchObject({
+        selector: { app: 'api' },
+        podLabels: { app: 'api' },
+        images: ['ghcr.io/acme/api:1.4.2']
+      });
+      expect(manifests.nodes[1].data).toMatchObject({ namespace: 'prod', selector: { app: 'api' }, images: [] });
+
+      const workflow = await module.fileParser.parseFile('/virtual/.github/workflows/ci.yml', [
+        'name: CI',
+        'on:',
+        '  push:',
+        '    branches: [main]',
+        '  pull_request:',
+        'jobs:',
+        '  test:',
+        '    runs-on: ubuntu-latest',
+        '    steps:',
+        '      - uses: actions/checkout@v4',
+        '      - run: npm test',
+        '  deploy:',
+        '    needs: test',
+        '    uses: ./.github/workflows/deploy.yml'
+      ].join('\n'));
+
+      expect(workflow.format).toBe('github-actions');
+      expect(workflow.nodes.map(node => node.type)).toEqual(['workflow']);
+      expect(workflow.nodes[0].data).toMatchObject({
+        name: 'CI',
+        triggers: ['push', 'pull_request'],
+        actions: ['actions/checkout@v4', './.github/workflows/deploy.yml']
+      });
+      expect(workflow.nodes[0].data.jobs.map(job => [job.id, job.runsOn, job.needs, job.steps.length]))
+        .toEqual([['test', 'ubuntu-latest', [], 2], ['deploy', null, ['test'], 0]]);
+
+      const compose = await module.fileParser.parseFile('/virtual/docker-compose.yml', [
+        'x-defaults: &defaults',
+        '  restart: always',
+        'services:',
+        '  web:',
+        '    <<: *defaults',
+        '    build: ./web',
+        '    ports: ["8080:80"]',
+        '    depends_on: [db]',
+        '  db:',
+        '    image: postgres:16'
+      ].join('\n'));
+
+      expect(compose.format).toBe('docker-compose');
+      expect(compose.keys.slice(0, 4)).toEqual([
+        { key: 'x-defaults', indent: 0, line: 1 },
+        { key: 'restart', indent: 2, line: 2 },
+        { key: 'services', indent: 0, line: 3 },
+        { key: 'web', indent: 2, line: 4 }
+      ]);
+      expect(compose.nodes.map(node => [node.type, node.data.name, node.data.image, node.data.build, node.data.line])).toEqual([
+        ['service', 'web', null, './web', 4],
+        ['service', 'db', 'postgres:16', null, 9]
+      ]);
+      expect(compose.edges).toEqual([{ source: 'service:web', target: 'service:db', relationship: 'depends_on' }]);
+
+      const values = await module.fileParser.parseFile('/virtual/charts/billing/values.yaml',
+        'replicaCount: 2\nimage:\n  repository: acme/billing\n  tag: "2.0"\nsidecar:\n  image: envoyproxy/envoy:v1.29\n');
+      expect(values.format).toBe('helm-values');
+      expect(values.nodes[0].data).toMatchObject({ chart: 'billing', images: ['acme/billing:2.0', 'envoyproxy/envoy:v1.29'] });
+
+      const invalid = await module.fileParser.parseFile('/virtual/broken.yml', 'a: [1, 2\nb: c\n');
+      expect(invalid).toMatchObject({ type: 'yaml', error: 'Invalid YAML' });
+    });
+
+    test('should link workflows to what they deploy and services to their workloads', async () => {
+      localDir = await fs.mkdtemp(path.join(os.tmpdir(), 'yaml-config-'));
+      await fs.mkdir(path.join(localDir, '.github', 'workflows'), { recursive: true });
+      await fs.mkdir(path.join(localDir, 'k8s'), { recursive: true });
+      await fs.writeFile(path.join(localDir, '.github', 'workflows', 'deploy.yml'), [
+        'name: Deploy',
+        'on: [push]',
+        'jobs:',
+        '  lint:',
+        '    runs-on: ubuntu-latest',
+        '    steps:',
+        '      - run: npx eslint api worker',
+        '  ship:',
+        '    runs-on: ubuntu-latest',
+        '    steps:',
+        '      - run: docker push ghcr.io/acme/api-server:${{ github.sha }}',
+        '      - run: kubectl rollout restart deployment/worker'
+      ].join('\n'));
+      await fs.writeFile(path.join(localDir, 'k8s', 'app.yaml'), [
+        'apiVersion: apps/v1',
+        'kind: Deployment',
+        'metadata: { name: api }',
+        'spec:',
+        '  template:',
+        '    metadata: { labels: { app: api } }',
+        '    spec:',
+        '      containers: [{ name: api, image: "ghcr.io/acme/api-server:latest" }]',
+        '---',
+        'apiVersion: apps/v1',
+        'kind: Deployment',
+        'metadata: { name: worker }',
+        'spec:',
+        '  template:',
+        '    metadata: { labels: { app: worker } }',
+        '    spec:',
+        '      containers: [{ name: worker, image: acme/worker }]'
+      ].join('\n'));
+      await fs.writeFile(path.join(localDir, 'k8s', 'service.yaml'),
+        'apiVersion: v1\nkind: Service\nmetadata: { name: api-svc }\nspec:\n  selector: { app: api }\n');
+
+      await module.loadLocalRepositories([localDir]);
+      const graph = module.knowledgeGraph;
+      const targets = (node, relationship) => (graph.edges.get(node.id) || [])
+        .filter(edge => edge.relationship === relationship)
+        .map(edge => [graph.nodes.get(edge.target).data.name, edge.metadata.job]);
+
+      const [workflow] = graph.findNodesByType('workflow');
+      expect(workflow.data.name).toBe('Deploy');
+      expect(targets(workflow, 'deploys').sort()).toEqual([['api', 'ship'], ['worker', 'ship']]);
+
+      const service = graph.findNodesByProperty('name', 'api-svc', 'k8s_resource')[0];
+      expect(targets(service, 'selects')).toEqual([['api', undefined]]);
+    });
+  });
+
+  describe('loadLocalRepositories', () => {
+    let localDir;
+
+    beforeEach(async () => {
+      localDir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-repo-'));
+      await fs.mkdir(path.join(localDir, 'src'));
+      await fs.writeFile(path.join(localDir, 'src', 'app.js'), 'function start() { return true; }');
+      await fs.writeFile(path.join(localDir, 'README.md'), '# Local App');
+    });
+
+    afterEach(async () => {
+      await fs.rm(localDir, { recursive: true, force: true });
+    });
+
+    test('should index a plain directory in place', async () => {
+      const results = await module.loadLocalRepositories([{ path: localDir }]);
+
+      expect(results).toHaveLength(1);
+      expect(results[0].error).toBeUndefined();
+      expect(results[0].source).toBe('local');
+      expect(results[0].commit).toBeNull();
+      expect(results[0].files.map(f => f.relativePath).sort()).toEqual(['README.md', path.join('src', 'app.js')]);
+      expect(module.getStats().repositories).toBe(1);
+    });
+
+    test('should record the current commit of a git working tree', async () => {
+      const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: localDir });
+      git('init', '-q', '-b', 'trunk');
+      git('add', '-A');
+      git('commit', '-q', '-m', 'initial');
+      const head = git('rev-parse', 'HEAD').toString().trim();
+
+      const results = await module.loadLocalRepositories([localDir]);
+
+      expect(results[0].commit).toBe(head);
+      expect(results[0].branch).toBe('trunk');
+
+      const repoNode = module.knowledgeGraph.findNodesByType('repository')[0];
+      expect(repoNode.data.commit).toBe(head);
+    });
+
+    test('should emit progress events through the lifecycle', async () => {
+      const progress = [];
+      const parsed = [];
+      module = new GitHubKnowledgeGraphModule({
+        cacheEnabled: false,
+        onProgress: event => progress.push(event)
+      });
+      module.on('file:parsed', event => parsed.push(event));
+
+      await module.loadLocalRepositories([localDir, path.join(localDir, 'missing')]);
+
+      expect(progress.map(event => event.type)).toEqual([
+        'repository:start',
+        'files:discovered',
+        'file:parsed',
+        'file:parsed',
+        'nodes:added',
+        'repository:done',
+        'repository:start',
+        'repository:failed'
+      ]);
+      expect(parsed.map(event => [event.index, event.total])).toEqual([[1, 2], [2, 2]]);
+      expect(progress[4]).toEqual(expect.objectContaining({
+        repository: `file://${localDir}`,
+        nodes: module.getStats().nodes,
+        edges: module.getStats().edges
+      }));
+      expect(progress[5]).toEqual(expect.objectContaining({ files: 2, durationMs: expect.any(Number) }));
+      expect(progress[7].error).toContain('Failed to load local repository');
+    });
+
+    test('should leave the graph untouched when a load is cancelled', async () => {
+      const controller = new AbortController();
+      module.on('file:parsed', () => controller.abort());
+      const failed = [];
+      module.on('repository:failed', event => failed.push(event));
+
+      await expect(module.loadLocalRepositories([localDir], { signal: controller.signal }))
+        .rejects.toThrow('aborted');
+
+      expect(module.getStats()).toEqual(expect.objectContaining({ nodes: 0, edges: 0, repositories: 0 }));
+      expect(failed).toHaveLength(1);
+    });
+
+    test('should report repositories that exceed their timeout and carry on', async () => {
+      module.fileParser.parseFile = async filePath => {
+        await new Promise(resolve => setTimeout(resolve, 30));
+        return { path: filePath, type: 'plain' };
+      };
+
+      const results = await module.loadLocalRepositories([localDir], { timeout: 20 });
+
+      expect(results[0].error).toBe('Operation timed out after 20ms');
+      expect(module.getStats().repositories).toBe(0);
+    });
+
+    test('should report directories that do not exist', async () => {
+      const results = await module.loadLocalRepositories([{ path: path.join(localDir, 'missing') }]);
+
+      expect(results[0].error).toContain('Failed to load local repository');
+    });
+  });
+
+  describe('loadArchives', () => {
+    test('should index an archive as a repository carrying its name and checksum', async () => {
+      const tar = require('tar');
+      const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-'));
+      await fs.mkdir(path.join(tmpDir, 'sdk', 'src'), { recursive: true });
+      await fs.writeFile(path.join(tmpDir, 'sdk', 'src', 'client.js'), 'function connect() { return true; }');
+      const archivePath = path.join(tmpDir, 'vendor-sdk-1.2.tar.gz');
+      await tar.c({ gzip: true, file: archivePath, cwd: tmpDir }, ['sdk']);
+
+      try {
+        const results = await module.loadArchives([archivePath, path.join(tmpDir, 'missing.zip')]);
+
+        expect(results[0].error).toBeUndefined();
+        expect(results[1].error).toContain('Failed to load archive');
+
+        const repoNode = module.knowledgeGraph.findNodesByType('repository')[0];
+        expect(repoNode.data.url).toBe(`archive://${archivePath}`);
+        expect(repoNode.data.archive).toEqual({
+          name: 'vendor-sdk-1.2.tar.gz',
+          path: archivePath,
+          checksum: results[0].archive.checksum,
+          format: 'tar.gz'
+        });
+        expect(module.knowledgeGraph.findNodesByType('function').map(node => node.data.name)).toContain('connect');
+      } finally {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should keep same-named archives apart and replace a changed one', async () => {
+      const progress = [];
+      module.on('progress', event => progress.push(event));
+      const tar = require('tar');
+      const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-'));
+      const pack = async (dir, source) => {
+        await fs.mkdir(path.join(tmpDir, dir, 'sdk'), { recursive: true });
+        await fs.writeFile(path.join(tmpDir, dir, 'sdk', 'client.js'), source);
+        const archivePath = path.join(tmpDir, dir, 'sdk.tar.gz');
+        await tar.c({ gzip: true, file: archivePath, cwd: path.join(tmpDir, dir) }, ['sdk']);
+        return archivePath;
+      };
+      const functionNames = () => module.knowledgeGraph.findNodesByType('function').map(node => node.data.name).sort();
+
+      try {
+        const vendorA = await pack('a', 'function connectA() {}');
+        const vendorB = await pack('b', 'function connectB() {}');
+        const [first, second] = await module.loadArchives([vendorA, vendorB]);
+
+        expect(first.repository).not.toBe(second.repository);
+        expect(module.getStats().repositories).toBe(2);
+        expect(functionNames()).toEqual(['connectA', 'connectB']);
+
+        await pack('a', 'function connectA2() {}');
+        const [updated] = await module.loadArchives([vendorA]);
+
+        expect(updated.repository).toBe(first.repository);
+        expect(updated.archive.checksum).not.toBe(first.archive.checksum);
+        expect(module.getStats().repositories).toBe(2);
+        expect(functionNames()).toEqual(['connectA2', 'connectB']);
+
+        const repositories = type => progress.filter(event => event.type === type).map(event => event.repository);
+        expect(repositories('repository:start')).toEqual([first.repository, second.repository, first.repository]);
+        expect(repositories('files:discovered')).toEqual(repositories('repository:start'));
+        expect(repositories('repository:done')).toEqual(repositories('repository:start'));
+      } finally {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('incremental re-indexing', () => {
+    let tmpDir;
+    let workDir;
+    let bareUrl;
+
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: workDir }).toString().trim();
+    const functionNames = () => module.knowledgeGraph.findNodesByType('function').map(n => n.data.name).sort();
+    const filePaths = () => module.knowledgeGraph.findNodesByType('file').map(n => n.data.relativePath).sort();
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'incremental-'));
+      workDir = path.join(tmpDir, 'work');
+      await fs.mkdir(workDir);
+      await fs.writeFile(path.join(workDir, 'a.js'), 'function alpha() {}');
+      await fs.writeFile(path.join(workDir, 'b.js'), 'function beta() {}');
+      await fs.writeFile(path.join(workDir, 'notes.md'), '# Notes');
+      git('init', '-q', '-b', 'main');
+      git('add', '-A');
+      git('commit', '-q', '-m', 'initial');
+      git('clone', '-q', '--bare', workDir, path.join(tmpDir, 'origin.git'));
+      bareUrl = `file://${path.join(tmpDir, 'origin.git')}`;
+
+      module = new GitHubKnowledgeGraphModule({
+        cacheEnabled: false,
+        rateLimitDelay: 0,
+        localStoragePath: path.join(tmpDir, 'repos')
+      });
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should only re-parse files changed since the last indexed commit', async () => {
+      const [first] = await module.loadRepositories([bareUrl]);
+      expect(first.incremental).toBe(false);
+      expect(functionNames()).toEqual(['alpha', 'beta']);
+
+      await fs.writeFile(path.join(workDir, 'a.js'), 'function alphaTwo() {}');
+      await fs.unlink(path.join(workDir, 'b.js'));
+      await fs.mkdir(path.join(workDir, 'docs'));
+      await fs.rename(path.join(workDir, 'notes.md'), path.join(workDir, 'docs', 'notes.md'));
+      await fs.writeFile(path.join(workDir, 'c.js'), 'function gamma() {}');
+      git('add', '-A');
+      git('commit', '-q', '-m', 'update');
+      git('push', '-q', path.join(tmpDir, 'origin.git'), 'main');
+
+      const [second] = await module.loadRepositories([bareUrl]);
+
+      expect(second.incremental).toBe(true);
+      expect(second.files.map(f => f.relativePath).sort()).toEqual(['a.js', 'c.js', path.join('docs', 'notes.md')]);
+      expect(second.changes.deleted).toEqual(['b.js']);
+      expect(functionNames()).toEqual(['alphaTwo', 'gamma']);
+      expect(filePaths()).toEqual(['a.js', 'c.js', path.join('docs', 'notes.md')]);
+      expect(module.getStats().repositories).toBe(1);
+
+      const repoNode = module.knowledgeGraph.findNodesByType('repository')[0];
+      expect(repoNode.data.commit).toBe(git('rev-parse', 'HEAD'));
+      expect(repoNode.data.metadata.totalFiles).toBe(3);
+    });
+
+    test('should not duplicate nodes when nothing changed', async () => {
+      await module.loadRepositories([bareUrl]);
+      const nodeCount = module.getStats().nodes;
+
+      const [again] = await module.loadRepositories([bareUrl]);
+
+      expect(again.incremental).toBe(true);
+      expect(again.files).toHaveLength(0);
+      expect(module.getStats().nodes).toBe(nodeCount);
+    });
+
+    test('should report a failed load under the URL its start event used', async () => {
+      const progress = [];
+      module.on('progress', event => progress.push(event));
+
+      const [failed] = await module.loadRepositories([{ url: `${bareUrl}/`, ref: 'missing' }]);
+
+      expect(failed.error).toContain('ref "missing" not found on remote');
+      expect(progress.map(event => [event.type, event.repository])).toEqual([
+        ['repository:start', bareUrl],
+        ['repository:failed', bareUrl]
+      ]);
+    });
+
+    test('should re-walk the repository when file filters change', async () => {
+      await module.loadRepositories([{ url: bareUrl, exclude: ['b.js'] }]);
+      expect(filePaths()).toEqual(['a.js', 'notes.md']);
+
+      const [widened] = await module.loadRepositories([bareUrl]);
+      expect(widened.incremental).toBe(false);
+      expect(filePaths()).toEqual(['a.js', 'b.js', 'notes.md']);
+
+      await fs.writeFile(path.join(workDir, '.gitignore'), 'a.js\n');
+      git('add', '-A');
+      git('commit', '-q', '-m', 'ignore a.js');
+      git('push', '-q', path.join(tmpDir, 'origin.git'), 'main');
+
+      const [ignored] = await module.loadRepositories([bareUrl]);
+      expect(ignored.incremental).toBe(false);
+      expect(filePaths()).toEqual(['b.js', 'notes.md']);
+      expect(functionNames()).toEqual(['beta']);
+    });
+  });
+
+  describe('submodules', () => {
+    let tmpDir;
+
+    const git = (cwd, ...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd }).toString().trim();
+
+    const createBareRepo = async (name, files, setup = () => {}) => {
+      const workDir = path.join(tmpDir, `${name}-work`);
+      await fs.mkdir(workDir);
+      for (const [filePath, content] of Object.entries(files)) {
+        await fs.writeFile(path.join(workDir, filePath), content);
+      }
+      git(workDir, 'init', '-q', '-b', 'main');
+      git(workDir, 'add', '-A');
+      setup(workDir);
+      git(workDir, 'commit', '-q', '-m', 'initial');
+      git(tmpDir, 'clone', '-q', '--bare', workDir, path.join(tmpDir, `${name}.git`));
+      return git(workDir, 'rev-parse', 'HEAD');
+    };
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'submodules-'));
+      const libCommit = await createBareRepo('lib', { 'lib.js': 'function helper() {}' });
+
+      await createBareRepo('app', {
+        'app.js': 'function main() {}',
+        '.gitmodules': [
+          '[submodule "lib"]',
+          '\tpath = vendor/lib',
+          '\turl = ../lib.git',
+          '[submodule "missing"]',
+          '\tpath = missing',
+          '\turl = ../missing.git'
+        ].join('\n')
+      }, workDir => {
+        git(workDir, 'update-index', '--add', '--cacheinfo', `160000,${libCommit},vendor/lib`);
+        git(workDir, 'update-index', '--add', '--cacheinfo', `160000,${libCommit},missing`);
+      });
+
+      module = new GitHubKnowledgeGraphModule({
+        cacheEnabled: false,
+        rateLimitDelay: 0,
+        localStoragePath: path.join(tmpDir, 'repos')
+      });
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    const submoduleEdges = () => Array.from(module.knowledgeGraph.edges.values())
+      .filter(edge => !Array.isArray(edge) && edge.relationship === 'submodule_of');
+
+    test('should index submodules as linked repositories and report failures', async () => {
+      const appUrl = `file://${path.join(tmpDir, 'app.git')}`;
+      const [app] = await module.loadRepositories([{ url: appUrl, submodules: true }]);
+
+      expect(app.submodules).toHaveLength(1);
+      expect(app.submodules[0].path).toBe('vendor/lib');
+      expect(app.submodules[0].repository.repository).toBe(`file://${path.join(tmpDir, 'lib.git')}`);
+      expect(app.failedSubmodules).toEqual([
+        expect.objectContaining({ name: 'missing', url: `file://${path.join(tmpDir, 'missing.git')}` })
+      ]);
+
+      const functions = module.knowledgeGraph.findNodesByType('function').map(n => n.data.name).sort();
+      expect(functions).toEqual(['helper', 'main']);
+      expect(module.getStats().repositories).toBe(2);
+
+      const edges = submoduleEdges();
+      expect(edges).toHaveLength(1);
+      expect(module.knowledgeGraph.nodes.get(edges[0].target).data.url).toBe(appUrl);
+      expect(edges[0].metadata.path).toBe('vendor/lib');
+
+      await module.loadRepositories([{ url: appUrl, submodules: true }]);
+      expect(submoduleEdges()).toHaveLength(1);
+    });
+
+    test('should leave submodules alone unless enabled', async () => {
+      const [app] = await module.loadRepositories([`file://${path.join(tmpDir, 'app.git')}`]);
+
+      expect(app.submodules).toEqual([]);
+      expect(module.getStats().repositories).toBe(1);
+    });
+  });
+
+  describe('history', () => {
+    let tmpDir;
+    let workDir;
+    let bareUrl;
+
+    const commitAs = (name, message) => execFileSync('git', [
+      '-c', `user.name=${name}`, '-c', `user.email=${name.toLowerCase()}@example.com`,
+      'commit', '-q', '-m', message
+    ], { cwd: workDir });
+    const writeFile = async (filePath, content) => {
+      await fs.mkdir(path.dirname(path.join(workDir, filePath)), { recursive: true });
+      await fs.writeFile(path.join(workDir, filePath), content);
+      execFileSync('git', ['add', '-A'], { cwd: workDir });
+    };
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-'));
+      workDir = path.join(tmpDir, 'work');
+      await fs.mkdir(workDir);
+      execFileSync('git', ['init', '-q', '-b', 'main'], { cwd: workDir });
+
+      await writeFile('src/auth/login.js', 'function login() {\n  return true;\n}\n\nfunction logout() {\n  return false;\n}\n');
+      commitAs('Alice', 'Add login');
+      await writeFile('src/payments/charge.js', 'function charge() {\n  return 1;\n}\n');
+      commitAs('Bob', 'Add payments');
+      await writeFile('src/auth/login.js', 'function login() {\n  return true;\n}\n\nfunction logout() {\n  return null;\n}\n');
+      commitAs('Bob', 'Fix logout');
+      await writeFile('src/payments/charge.js', 'function charge() {\n  return 2;\n}\n');
+      commitAs('Bob', 'Raise charge');
+
+      execFileSync('git', ['clone', '-q', '--bare', workDir, path.join(tmpDir, 'origin.git')]);
+      bareUrl = `file://${path.join(tmpDir, 'origin.git')}`;
+
+      module = new GitHubKnowledgeGraphModule({
+        cacheEnabled: false,
+        rateLimitDelay: 0,
+        localStoragePath: path.join(tmpDir, 'repos')
+      });
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should add commits, authors, churn and function ownership', async () => {
+      await module.loadRepositories([{ url: bareUrl, history: { maxCount: 10 } }]);
+      const graph = module.knowledgeGraph;
+
+      expect(graph.findNodesByType('commit')).toHaveLength(4);
+      expect(graph.findNodesByType('author').map(n => n.data.name).sort()).toEqual(['Alice', 'Bob']);
+
+      const login = graph.findNodesByType('file').find(n => n.data.relativePath === path.join('src', 'auth', 'login.js'));
+      expect(login.data.history).toMatchObject({ churn: 2, lastAuthor: 'Bob', authors: ['Bob', 'Alice'] });
+
+      const authorOf = name => {
+        const func = graph.findNodesByProperty('name', name, 'function')[0];
+        return graph.getNodeConnections(func.id, 'authored').map(e => graph.nodes.get(e.source).data.name).sort();
+      };
+      expect(authorOf('login')).toEqual(['Alice']);
+      expect(authorOf('logout')).toEqual(['Alice', 'Bob']);
+
+      await module.loadRepositories([{ url: bareUrl, history: { maxCount: 10 } }]);
+      expect(graph.findNodesByType('commit')).toHaveLength(4);
+      expect(graph.findNodesByType('author')).toHaveLength(2);
+    });
+
+    test('should bound the history window', async () => {
+      const [result] = await module.loadRepositories([{ url: bareUrl, history: { maxCount: 2 } }]);
+
+      expect(result.history.commits.map(c => c.message)).toEqual(['Raise charge', 'Fix logout']);
+      expect(module.knowledgeGraph.findNodesByType('author').map(n => n.data.name)).toEqual(['Bob']);
+    });
+
+    test('should answer ownership and recent change queries', async () => {
+      await module.loadRepositories([{ url: bareUrl, history: true }]);
+
+      const owners = await module.query('who owns the auth code');
+      expect(owners.queryType).toBe('ownership_search');
+      expect(owners.results[0].node.data.name).toBe('Alice');
+
+      const changes = await module.query('what changed recently in payments');
+      expect(changes.queryType).toBe('history_search');
+      expect(changes.results.map(r => r.node.data.message)).toEqual(['Raise charge', 'Add payments']);
+    });
+  });
+
+  describe('issues and pull requests', () => {
+    let localDir;
+
+    beforeEach(async () => {
+      localDir = await fs.mkdtemp(path.join(os.tmpdir(), 'issues-'));
+      await fs.mkdir(path.join(localDir, 'src'));
+      await fs.writeFile(
+        path.join(localDir, 'src', 'session.js'),
+        'function createSession() {\n  return {};\n}\n\nfunction expireSession() {\n  return null;\n}\n'
+      );
+    });
+
+    afterEach(async () => {
+      await fs.rm(localDir, { recursive: true, force: true });
+    });
+
+    test('should link issues and pull requests to code and make them searchable', async () => {
+      const [repo] = await module.loadLocalRepositories([localDir]);
+      const graph = module.knowledgeGraph;
+      const sessionFile = path.join('src', 'session.js');
+
+      graph.addIssues(repo.repository, {
+        issues: [{
+          number: 7, title: 'Sessions never expire', body: 'expireSession() returns null instead of clearing the cookie',
+          state: 'open', author: 'alice', labels: [], comments: []
+        }],
+        pullRequests: [{
+          number: 8, title: 'Clear expired sessions', body: 'Fixes #7', state: 'closed', author: 'bob',
+          labels: [], comments: [], resolves: [7],
+          reviewComments: [{ author: 'alice', body: 'Also log the expiry', path: sessionFile, line: 6 }],
+          files: [{ path: sessionFile, status: 'modified', additions: 1, deletions: 1, changedLines: [{ start: 6, end: 6 }] }]
+        }]
+      });
+
+      const issue = graph.findNodesByType('issue')[0];
+      const pull = graph.findNodesByType('pull_request')[0];
+      const targets = (nodeId, relationship) => graph.getNodeConnections(nodeId, relationship)
+        .filter(edge => edge.source === nodeId)
+        .map(edge => graph.nodes.get(edge.target))
+        .map(node => node.data.name || node.data.relativePath || node.data.number)
+        .sort();
+
+      expect(targets(issue.id, 'references')).toEqual(['expireSession']);
+      expect(targets(pull.id, 'changes')).toEqual(['expireSession', sessionFile]);
+      expect(targets(pull.id, 'discusses')).toEqual(['expireSession', sessionFile]);
+      expect(targets(pull.id, 'resolves')).toEqual([7]);
+
+      const keywords = module.queryEngine.extractKeywords('cookie expiry');
+      const found = await module.queryEngine.searchDocumentation(keywords);
+      expect(found.map(result => result.node.type).sort()).toEqual(['issue', 'pull_request']);
+
+      await module.loadLocalRepositories([localDir]);
+      expect(graph.findNodesByType('issue')).toHaveLength(0);
+    });
+  });
+
+  describe('workspaces', () => {
+    let localDir;
+    const writeFile = async (filePath, content) => {
+      await fs.mkdir(path.dirname(path.join(localDir, filePath)), { recursive: true });
+      await fs.writeFile(path.join(localDir, filePath), content);
+    };
+
+    beforeEach(async () => {
+      localDir = await fs.mkdtemp(path.join(os.tmpdir(), 'workspaces-'));
+      await writeFile('package.json', JSON.stringify({ private: true, workspaces: ['packages/*'] }));
+      await writeFile('packages/core/package.json', JSON.stringify({ name: 'core', version: '1.0.0' }));
+      await writeFile('packages/core/src/store.js', 'function createStore() { return {}; }');
+      await writeFile('packages/app/package.json', JSON.stringify({ name: 'app', version: '0.3.0', dependencies: { core: '1.0.0' } }));
+      await writeFile('packages/app/src/store.js', 'function connectStore() { return createStore(); }');
+      await writeFile('scripts/release.js', 'function release() {}');
+    });
+
+    afterEach(async () => {
+      await fs.rm(localDir, { recursive: true, force: true });
+    });
+
+    test('should add package nodes that own their files and depend on each other', async () => {
+      await module.loadLocalRepositories([localDir]);
+      const graph = module.knowledgeGraph;
+      const packages = graph.findNodesByType('package');
+      const byName = new Map(packages.map(node => [node.data.name, node]));
+      const files = (pkg, relationship) => graph.getNodeConnections(pkg.id, relationship)
+        .filter(edge => edge.source === pkg.id)
+        .map(edge => graph.nodes.get(edge.target))
+        .map(node => node.data.relativePath || node.data.name)
+        .sort();
+
+      expect([...byName.keys()].sort()).toEqual(['app', 'core']);
+      expect(byName.get('core').data.version).toBe('1.0.0');
+      expect(files(byName.get('core'), 'contains')).toEqual([
+        path.join('packages', 'core', 'package.json'),
+        path.join('packages', 'core', 'src', 'store.js')
+      ]);
+      expect(files(byName.get('app'), 'depends_on')).toEqual(['core']);
+      expect(graph.findNodesByProperty('relativePath', path.join('scripts', 'release.js'), 'file')[0].data.package)
+        .toBeUndefined();
+
+      await module.loadLocalRepositories([localDir]);
+      expect(graph.findNodesByType('package')).toHaveLength(2);
+    });
+
+    test('should scope queries and contexts to a package', async () => {
+      await module.loadLocalRepositories([localDir]);
+
+      const scoped = await module.query('find function store', { package: 'core' });
+      expect(scoped.results.length).toBeGreaterThan(0);
+      expect(scoped.results.every(result => result.node.data.name !== 'connectStore')).toBe(true);
+
+      const context = await module.getContext('store', { package: 'app' });
+      expect(context.package).toBe('app');
+      expect(context.nodes.length).toBeGreaterThan(0);
+      expect(context.nodes.map(node => node.data.name)).not.toContain('createStore');
+    });
+  });
+
   describe('query', () => {
     beforeEach(async () => {
       const testFile = path.join(__dirname, 'sample.js');
@@ -107,6 +1552,14 @@ describe('GitHubKnowledgeGraphModule', () => {
       expect(result.results).toBeDefined();
     });
 
+    test('should abort queries and context generation', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(module.query('find function', { signal: controller.signal })).rejects.toThrow('aborted');
+      await expect(module.getContext('authentication', { signal: controller.signal })).rejects.toThrow('aborted');
+    });
+
     test('should return query metadata', async () => {
       const result = await module.query('test query');
       
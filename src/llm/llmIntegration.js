@@ -1,6 +1,7 @@
 // Optional LLM integration - requires separate installation
 // const { ChatOpenAI } = require('@langchain/openai');
 // const { HumanMessage, SystemMessage } = require('@langchain/core/messages');
+const { Operation } = require('../utils/abort');
 
 class LLMIntegration {
   constructor(knowledgeGraph) {
@@ -48,20 +49,26 @@ class LLMIntegration {
       maxCodeLength = 5000,  // Increased for full context
       includeFullFiles = true  // New option to include complete files
     } = options;
+    const operation = new Operation({ signal: options.signal, timeout: options.timeout });
+    // options.package keeps the context to one workspace member
+    const scope = options.package ? this.knowledgeGraph.getPackageScope(options.package, options.repository) : null;
 
     // If query is empty or generic, provide overview of the repository
     let relevantNodes;
     if (!query || query.toLowerCase().includes('overview') || query.toLowerCase().includes('module')) {
-      relevantNodes = await this.getRepositoryOverview(maxNodes);
+      relevantNodes = await this.getRepositoryOverview(maxNodes, scope);
     } else {
-      relevantNodes = await this.findRelevantNodes(query, maxNodes);
+      relevantNodes = await this.findRelevantNodes(query, maxNodes, operation, scope);
     }
     
     // Always include actual file content for context
-    const filesWithContent = await this.getFilesWithContent(relevantNodes, maxFiles, maxCodeLength, includeFullFiles);
+    operation.throwIfAborted();
+    const filesWithContent = await this.getFilesWithContent(relevantNodes, maxFiles, maxCodeLength, includeFullFiles, operation);
+    operation.throwIfAborted();
     
     const context = {
       query,
+      ...(options.package ? { package: options.package } : {}),
       nodes: relevantNodes,
       summary: this.generateSummary(relevantNodes),
       filesWithContent,
@@ -85,20 +92,32 @@ class LLMIntegration {
     return context;
   }
 
-  async findRelevantNodes(query, maxNodes) {
-    const searchResults = this.knowledgeGraph.searchNodes(query);
+  async findRelevantNodes(query, maxNodes, operation = new Operation(), scope = null) {
+    const inScope = node => !scope || scope.has(node.id);
+    const searchResults = this.knowledgeGraph.searchNodes(query).filter(inScope);
     const relevantNodes = [];
     const addedIds = new Set();
 
     // If search returns no results, get some sample nodes
-    const nodesToProcess = searchResults.length > 0 ? searchResults : this.getSampleNodes(maxNodes);
+    const nodesToProcess = searchResults.length > 0 ? searchResults : this.getSampleNodes(maxNodes, scope);
 
     for (const node of nodesToProcess.slice(0, maxNodes)) {
+      operation.throwIfAborted();
       if (!addedIds.has(node.id)) {
         relevantNodes.push(node);
         addedIds.add(node.id);
 
-        const connected = this.knowledgeGraph.traverseGraph(node.id, 2);
+        // A C/C++ declaration and its definition live in different files;
+        // keep both halves together
+        for (const edge of this.knowledgeGraph.getNodeConnections(node.id, 'defined_by')) {
+          const counterpart = this.knowledgeGraph.nodes.get(edge.source === node.id ? edge.target : edge.source);
+          if (counterpart && inScope(counterpart) && !addedIds.has(counterpart.id) && relevantNodes.length < maxNodes) {
+            relevantNodes.push(counterpart);
+            addedIds.add(counterpart.id);
+          }
+        }
+
+        const connected = this.knowledgeGraph.traverseGraph(node.id, 2).filter(inScope);
         for (const connectedNode of connected.slice(0, 5)) {
           if (!addedIds.has(connectedNode.id) && relevantNodes.length < maxNodes) {
             relevantNodes.push(connectedNode);
@@ -111,12 +130,14 @@ class LLMIntegration {
     return relevantNodes;
   }
 
-  async getRepositoryOverview(maxNodes) {
+  async getRepositoryOverview(maxNodes, scope = null) {
     const nodes = [];
     const addedIds = new Set();
+    const findNodesByType = type => this.knowledgeGraph.findNodesByType(type)
+      .filter(node => !scope || scope.has(node.id));
     
     // Get files
-    const files = this.knowledgeGraph.findNodesByType('file').slice(0, Math.floor(maxNodes / 3));
+    const files = findNodesByType('file').slice(0, Math.floor(maxNodes / 3));
     for (const file of files) {
       if (!addedIds.has(file.id)) {
         nodes.push(file);
@@ -125,7 +146,7 @@ class LLMIntegration {
     }
     
     // Get functions
-    const functions = this.knowledgeGraph.findNodesByType('function').slice(0, Math.floor(maxNodes / 3));
+    const functions = findNodesByType('function').slice(0, Math.floor(maxNodes / 3));
     for (const func of functions) {
       if (!addedIds.has(func.id)) {
         nodes.push(func);
@@ -134,7 +155,7 @@ class LLMIntegration {
     }
     
     // Get classes
-    const classes = this.knowledgeGraph.findNodesByType('class').slice(0, Math.floor(maxNodes / 3));
+    const classes = findNodesByType('class').slice(0, Math.floor(maxNodes / 3));
     for (const cls of classes) {
       if (!addedIds.has(cls.id)) {
         nodes.push(cls);
@@ -143,7 +164,7 @@ class LLMIntegration {
     }
     
     // Get exports
-    const exports = this.knowledgeGraph.findNodesByType('export');
+    const exports = findNodesByType('export');
     for (const exp of exports) {
       if (!addedIds.has(exp.id) && nodes.length < maxNodes) {
         nodes.push(exp);
@@ -154,12 +175,12 @@ class LLMIntegration {
     return nodes;
   }
 
-  getSampleNodes(count) {
-    const allNodes = Array.from(this.knowledgeGraph.nodes.values());
+  getSampleNodes(count, scope = null) {
+    const allNodes = Array.from(this.knowledgeGraph.nodes.values()).filter(node => !scope || scope.has(node.id));
     return allNodes.slice(0, count);
   }
 
-  async getFilesWithContent(nodes, maxFiles, maxCodeLength, includeFullFiles) {
+  async getFilesWithContent(nodes, maxFiles, maxCodeLength, includeFullFiles, operation = new Operation()) {
     const filesWithContent = [];
     const processedPaths = new Set();
     
@@ -168,6 +189,7 @@ class LLMIntegration {
     
     // Extract file nodes and related file paths
     for (const node of prioritizedNodes) {
+      operation.throwIfAborted();
       if (node.type === 'file' && node.data && node.data.path && !processedPaths.has(node.data.path)) {
         processedPaths.add(node.data.path);
         
@@ -0,0 +1,189 @@
+const ignore = require('ignore');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Decides which files of a checkout get indexed and records why. Rules are
+// applied in this order:
+//   1. built-in skipped directories (node_modules, .git, ...)
+//   2. .git/info/exclude and nested .gitignore files
+//   3. the project ignore file (.ctxignore by default)
+//   4. exclude globs (global and per repository)
+//   5. include globs, which when present replace the extension allow-list
+//   6. the extension allow-list
+class FileFilter {
+  constructor(rootPath, options = {}) {
+    this.rootPath = rootPath;
+    this.include = options.include || [];
+    this.exclude = options.exclude || [];
+    this.respectGitignore = options.respectGitignore !== false;
+    this.ignoreFileName = options.ignoreFileName || '.ctxignore';
+    this.shouldSkipDirectory = options.shouldSkipDirectory || (() => false);
+    this.shouldIncludeFile = options.shouldIncludeFile || (() => true);
+    // Checkouts read ignore files from disk; API listings supply their own reader
+    this.readFile = options.readFile || (relativePath =>
+      fs.readFile(path.join(this.rootPath, ...relativePath.split('/')), 'utf-8'));
+
+    this.includeMatcher = this.include.length > 0 ? ignore().add(this.include) : null;
+    this.excludeMatcher = ignore().add(this.exclude);
+    this.ignoreRules = new Map();
+    this.decisions = [];
+  }
+
+  async check(relativePath, isDirectory = false) {
+    const outcome = await this.evaluate(relativePath, isDirectory);
+    return this.record(relativePath, isDirectory ? 'directory' : 'file', outcome);
+  }
+
+  record(relativePath, type, outcome) {
+    const decision = { path: relativePath, type, ...outcome };
+    this.decisions.push(decision);
+    return decision;
+  }
+
+  async evaluate(relativePath, isDirectory) {
+    const posixPath = relativePath.split(path.sep).join('/');
+    const segments = posixPath.split('/');
+    const name = segments[segments.length - 1];
+    const matchPath = isDirectory ? `${posixPath}/` : posixPath;
+
+    if (isDirectory && this.shouldSkipDirectory(name)) {
+      return { included: false, reason: 'skipped-directory' };
+    }
+
+    const ignored = await this.matchIgnoreFiles(segments, isDirectory);
+    if (ignored) {
+      return { included: false, reason: ignored.reason, source: ignored.source };
+    }
+
+    if (this.excludeMatcher.ignores(matchPath)) {
+      return { included: false, reason: 'exclude-pattern' };
+    }
+
+    if (isDirectory) {
+      return { included: true, reason: 'directory' };
+    }
+
+    if (this.includeMatcher) {
+      return this.includeMatcher.ignores(posixPath)
+        ? { included: true, reason: 'include-pattern' }
+        : { included: false, reason: 'not-included' };
+    }
+
+    return this.shouldIncludeFile(name)
+      ? { included: true, reason: 'extension' }
+      : { included: false, reason: 'unsupported-file-type' };
+  }
+
+  // Walks ignore files from the root down to the file's directory so that
+  // deeper files (and negations) override earlier ones, as git does. Parent
+  // directories have already been checked by the caller, so matches that
+  // only come from an ignored parent are not counted here.
+  async matchIgnoreFiles(segments, isDirectory) {
+    let result = null;
+
+    for (let depth = 0; depth < segments.length; depth++) {
+      const dir = segments.slice(0, depth).join('/');
+      const rest = segments.slice(depth).join('/') + (isDirectory ? '/' : '');
+      const parent = segments.slice(depth, -1).join('/');
+
+      for (const rule of await this.getIgnoreRules(dir)) {
+        const outcome = rule.matcher.test(rest);
+        if (outcome.ignored && parent && rule.matcher.ignores(`${parent}/`)) {
+          continue;
+        }
+        if (outcome.ignored) {
+          result = { reason: rule.reason, source: rule.source };
+        } else if (outcome.unignored) {
+          result = null;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  async getIgnoreRules(dir) {
+    if (this.ignoreRules.has(dir)) {
+      return this.ignoreRules.get(dir);
+    }
+
+    const prefix = dir ? `${dir}/` : '';
+    const sources = [];
+    if (this.respectGitignore) {
+      if (dir === '') {
+        sources.push({ file: '.git/info/exclude', reason: 'gitignore' });
+      }
+      sources.push({ file: `${prefix}.gitignore`, reason: 'gitignore' });
+    }
+    if (this.ignoreFileName) {
+      sources.push({ file: `${prefix}${this.ignoreFileName}`, reason: 'ignore-file' });
+    }
+
+    const rules = [];
+    for (const source of sources) {
+      try {
+        const content = await this.readFile(source.file);
+        rules.push({
+          matcher: ignore().add(content),
+          reason: source.reason,
+          source: source.file
+        });
+      } catch {
+        continue;
+      }
+    }
+
+    this.ignoreRules.set(dir, rules);
+    return rules;
+  }
+
+  applyReadResult(decision, result) {
+    decision.size = result.size;
+
+    if (result.skipped) {
+      decision.included = false;
+      decision.reason = result.skipped;
+    } else {
+      decision.encoding = result.encoding;
+    }
+
+    return decision;
+  }
+
+  getSelection() {
+    return this.decisions;
+  }
+
+  getStatistics() {
+    const stats = {
+      indexedFiles: 0,
+      indexedBytes: 0,
+      skippedFiles: 0,
+      skippedBytes: 0,
+      skippedDirectories: 0,
+      skippedByReason: {},
+      encodings: {}
+    };
+
+    for (const decision of this.decisions) {
+      if (decision.type === 'directory') {
+        if (!decision.included) {
+          stats.skippedDirectories++;
+          stats.skippedByReason[decision.reason] = (stats.skippedByReason[decision.reason] || 0) + 1;
+        }
+      } else if (decision.included) {
+        stats.indexedFiles++;
+        stats.indexedBytes += decision.size || 0;
+        stats.encodings[decision.encoding] = (stats.encodings[decision.encoding] || 0) + 1;
+      } else {
+        stats.skippedFiles++;
+        stats.skippedBytes += decision.size || 0;
+        stats.skippedByReason[decision.reason] = (stats.skippedByReason[decision.reason] || 0) + 1;
+      }
+    }
+
+    return stats;
+  }
+}
+
+module.exports = FileFilter;
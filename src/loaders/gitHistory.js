@@ -0,0 +1,197 @@
+const simpleGit = require('simple-git');
+const fs = require('fs').promises;
+const path = require('path');
+
+const RECORD_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+const BLAME_HEADER = /^([0-9a-f]{40}) (\d+) (\d+) (\d+)$/;
+
+// Reads commit history from a checkout: the commits in a window (bounded by
+// maxCount and/or since), per-file churn and last-touched metadata, and
+// line-level blame that attributes current lines to commits in the window.
+class GitHistory {
+  constructor(localPath, options = {}) {
+    this.localPath = localPath;
+    this.signal = options.signal || null;
+    this.git = this.signal ? simpleGit({ baseDir: localPath, abort: this.signal }) : simpleGit(localPath);
+    this.maxCount = options.maxCount;
+    this.since = options.since;
+    this.paths = options.paths || [];
+    // Rename detection needs file contents, which a partial clone would
+    // have to download for every commit in the window
+    this.detectRenames = options.detectRenames !== false;
+    this.shouldBlame = options.shouldBlame || (() => true);
+    // Working trees are blamed as they are on disk (null) so line numbers
+    // match the parsed files even with uncommitted edits
+    this.blameRevision = options.blameRevision !== undefined ? options.blameRevision : 'HEAD';
+  }
+
+  async read() {
+    const commits = await this.readCommits();
+    const window = new Set(commits.map(commit => commit.sha));
+    const files = this.summarizeFiles(commits);
+    const blame = {};
+
+    for (const filePath of Object.keys(files)) {
+      if (this.signal) {
+        this.signal.throwIfAborted();
+      }
+      if (!this.shouldBlame(filePath) || !await this.existsInCheckout(filePath)) {
+        continue;
+      }
+      const ranges = await this.blame(filePath, window);
+      if (ranges.length > 0) {
+        blame[filePath] = ranges;
+      }
+    }
+
+    return { commits, files, blame };
+  }
+
+  async readCommits() {
+    const args = [
+      'log', '-z',
+      `--format=${RECORD_SEPARATOR}%H${FIELD_SEPARATOR}%an${FIELD_SEPARATOR}%ae${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%s`,
+      '--name-status',
+      this.detectRenames ? '-M' : '--no-renames'
+    ];
+    if (this.maxCount) {
+      args.push('-n', String(this.maxCount));
+    }
+    if (this.since) {
+      args.push(`--since=${this.since}`);
+    }
+    args.push('HEAD');
+    if (this.paths.length > 0) {
+      args.push('--', ...this.paths);
+    }
+
+    const output = await this.git.raw(args);
+    const shallow = await this.getShallowCommits();
+    const commits = [];
+
+    for (const record of output.split(RECORD_SEPARATOR).filter(Boolean)) {
+      const headerEnd = record.indexOf('\0');
+      const header = headerEnd === -1 ? record : record.slice(0, headerEnd);
+      const [sha, author, email, date, message] = header.split(FIELD_SEPARATOR);
+      const commit = { sha, author, email, date, message, files: [] };
+
+      // A shallow clone's oldest commit looks like it added every file, so
+      // its file list says nothing about what the commit really changed
+      if (shallow.has(sha)) {
+        commit.shallow = true;
+      } else if (headerEnd !== -1) {
+        commit.files = parseFileChanges(record.slice(headerEnd + 1));
+      }
+
+      commits.push(commit);
+    }
+
+    return commits;
+  }
+
+  async getShallowCommits() {
+    try {
+      const content = await fs.readFile(path.join(this.localPath, '.git', 'shallow'), 'utf-8');
+      return new Set(content.split('\n').filter(Boolean));
+    } catch {
+      return new Set();
+    }
+  }
+
+  // Commits arrive newest first, so the first commit seen for a file is
+  // the one that last touched it
+  summarizeFiles(commits) {
+    const files = {};
+
+    for (const commit of commits) {
+      for (const change of commit.files) {
+        if (!files[change.path]) {
+          files[change.path] = {
+            churn: 0,
+            lastCommit: commit.sha,
+            lastModified: commit.date,
+            lastAuthor: commit.author,
+            authors: []
+          };
+        }
+
+        const summary = files[change.path];
+        summary.churn++;
+
+        let author = summary.authors.find(entry => entry.email === commit.email);
+        if (!author) {
+          author = { name: commit.author, email: commit.email, commits: 0 };
+          summary.authors.push(author);
+        }
+        author.commits++;
+      }
+    }
+
+    return files;
+  }
+
+  async existsInCheckout(filePath) {
+    try {
+      const stats = await fs.stat(path.join(this.localPath, filePath));
+      return stats.isFile();
+    } catch {
+      return false;
+    }
+  }
+
+  // Returns { start, end, commit } line ranges of the blamed revision that
+  // were last changed by a commit inside the history window
+  async blame(filePath, window) {
+    let output;
+    try {
+      output = await this.git.raw([
+        'blame', '--incremental', '-w',
+        ...(this.blameRevision ? [this.blameRevision] : []),
+        '--', filePath.split(path.sep).join('/')
+      ]);
+    } catch {
+      return [];
+    }
+
+    const ranges = [];
+    for (const line of output.split('\n')) {
+      const match = line.match(BLAME_HEADER);
+      if (match && window.has(match[1])) {
+        const start = parseInt(match[3], 10);
+        ranges.push({ start, end: start + parseInt(match[4], 10) - 1, commit: match[1] });
+      }
+    }
+
+    return ranges.sort((a, b) => a.start - b.start);
+  }
+}
+
+// Parses `--name-status -z` output into { path, status } entries; renames
+// also carry the previous path
+function parseFileChanges(output) {
+  const changes = [];
+  const fields = output.replace(/^\n/, '').split('\0').filter(Boolean);
+
+  for (let i = 0; i < fields.length; i++) {
+    const status = fields[i][0];
+
+    if (status === 'R' || status === 'C') {
+      const from = path.normalize(fields[++i]);
+      const to = path.normalize(fields[++i]);
+      changes.push(status === 'R'
+        ? { path: to, status: 'renamed', from }
+        : { path: to, status: 'added' });
+      continue;
+    }
+
+    changes.push({
+      path: path.normalize(fields[++i]),
+      status: status === 'A' ? 'added' : status === 'D' ? 'deleted' : 'modified'
+    });
+  }
+
+  return changes;
+}
+
+module.exports = GitHistory;
@@ -1,85 +1,844 @@
 const simpleGit = require('simple-git');
 const axios = require('axios');
+const crypto = require('crypto');
+const tar = require('tar');
+const { pipeline } = require('stream/promises');
 const fs = require('fs').promises;
 const path = require('path');
-// Simple rate limiter without external dependency
-class RateLimiter {
-  constructor() {
-    this.lastCall = 0;
-  }
-  
-  async limit(fn, delay) {
-    const now = Date.now();
-    const timeSinceLastCall = now - this.lastCall;
-    if (timeSinceLastCall < delay) {
-      await new Promise(resolve => setTimeout(resolve, delay - timeSinceLastCall));
-    }
-    this.lastCall = Date.now();
-    return fn();
-  }
-}
+const { parseGitUrl, createDefaultProviders, GenericGitProvider } = require('./hostProviders');
+const FileFilter = require('./fileFilter');
+const GitHistory = require('./gitHistory');
+const WorkspaceDetector = require('./workspaces');
+const IssueLoader = require('./issueLoader');
+const { decodeBuffer, readTextFile } = require('../utils/fileContent');
+const { detectArchiveFormat, computeChecksum, extractArchive } = require('../utils/archive');
+const { buildGitEnvironment, credentialsFromUrl, redactUrl, redactSecrets } = require('../utils/credentials');
+const RateLimiter = require('../utils/rateLimiter');
+
+const COMMIT_SHA_PATTERN = /^[0-9a-f]{7,40}$/i;
+
+const DEFAULT_SKIP_DIRECTORIES = [
+  'node_modules',
+  '.git',
+  'dist',
+  'build',
+  'coverage',
+  '.vscode',
+  '.idea',
+  '__pycache__',
+  '.pytest_cache',
+  'vendor',
+  'target',
+  '.venv',
+  '.next'
+];
+
+const DEFAULT_INCLUDE_EXTENSIONS = [
+  '.js', '.jsx', '.ts', '.tsx', '.vue', '.svelte',
+  '.py', '.java', '.kt', '.kts', '.scala', '.swift',
+  '.cpp', '.cc', '.cxx', '.c', '.h', '.hpp', '.hh', '.hxx', '.cs',
+  '.go', '.rs', '.rb', '.php',
+  '.sql', '.tf', '.sh',
+  '.md', '.txt', '.json', '.yaml', '.yml',
+  '.html', '.css', '.scss', '.sass'
+];
+
+// Manifests indexed for what they declare, e.g. Cargo.toml's crate
+const DEFAULT_INCLUDE_FILENAMES = [
+  'Cargo.toml'
+];
+
+const EXCLUDED_FILE_PATTERNS = [
+  '.min.js',
+  '.map',
+  '.lock',
+  '.log'
+];
 
 class GitHubLoader {
   constructor(config) {
     this.config = config;
     this.git = simpleGit();
-    this.rateLimiter = new RateLimiter();
-    this.apiBase = 'https://api.github.com';
+    this.signal = null;
+    this.credentials = null;
+    this.rateLimiter = config.rateLimiter || new RateLimiter({
+      minDelay: config.rateLimitDelay,
+      maxRetries: config.maxRetries,
+      baseDelay: config.retryBaseDelay
+    });
+    this.rateLimiters = new Map();
     this.token = process.env.GITHUB_TOKEN;
+    this.apiBase = config.apiBase || 'https://api.github.com';
+    this.hostProviders = createDefaultProviders({ apiBase: this.apiBase });
+    this.genericProvider = new GenericGitProvider();
+    this.skipDirectories = [...DEFAULT_SKIP_DIRECTORIES];
+    this.includeExtensions = [...DEFAULT_INCLUDE_EXTENSIONS];
+    this.includeFilenames = [...DEFAULT_INCLUDE_FILENAMES];
+
+    for (const provider of config.hostProviders || []) {
+      this.registerHostProvider(provider);
+    }
+  }
+
+  // Returns a view of this loader whose git child processes and HTTP
+  // requests are cancelled by signal. Rate limiters, providers and config
+  // stay shared with the loader it was created from.
+  withSignal(signal) {
+    return signal ? this.withScope({ signal }) : this;
+  }
+
+  // Returns a view of this loader that authenticates git and API requests
+  // with credentials from resolveCredentials()
+  withCredentials(credentials) {
+    return this.withScope({ credentials });
+  }
+
+  withScope(overrides) {
+    return Object.assign(Object.create(this), overrides);
+  }
+
+  getGit(baseDir) {
+    const git = this.signal ? simpleGit({ baseDir, abort: this.signal }) : simpleGit(baseDir);
+    return this.credentials ? git.env(buildGitEnvironment(this.credentials)) : git;
+  }
+
+  // Credentials for one repository. The first source that supplies a token
+  // or SSH key wins: the repository config's `credentials` (an object or a
+  // callback), user:token embedded in its URL, the host's `credentials`
+  // callback, the host's token / sshKey settings, the global `credentials`
+  // callback, then the environment tokens. They are kept off repoInfo so
+  // they never end up in results, caches or the graph.
+  async resolveCredentials(repoConfig, repoInfo) {
+    const resolved = {
+      url: repoInfo.url,
+      host: repoInfo.host,
+      origin: /^https?:\/\//.test(repoInfo.url) ? new URL(repoInfo.url).origin : null,
+      username: null,
+      token: null,
+      sshKey: null
+    };
+
+    if (!repoInfo.host) {
+      return resolved;
+    }
+
+    const hostConfig = this.getHostConfig(repoInfo.host);
+    const request = { url: repoInfo.url, host: repoInfo.host, owner: repoInfo.owner, repo: repoInfo.repo };
+    const sources = [
+      typeof repoConfig === 'object' ? repoConfig.credentials : null,
+      credentialsFromUrl(typeof repoConfig === 'object' ? repoConfig.url : repoConfig),
+      hostConfig.credentials,
+      { token: hostConfig.token, sshKey: hostConfig.sshKey },
+      this.config.credentials,
+      { token: this.getEnvironmentToken(repoInfo.host) }
+    ];
+
+    for (const source of sources) {
+      const value = typeof source === 'function' ? await source(request) : source;
+      if (value && (value.token || value.sshKey)) {
+        resolved.token = value.token || null;
+        resolved.sshKey = value.sshKey || null;
+        resolved.username = value.username || null;
+        break;
+      }
+    }
+
+    resolved.username = resolved.username || hostConfig.username ||
+      this.getHostProvider(repoInfo.host).getTokenUsername();
+    return resolved;
   }
 
-  async loadRepository(repoConfig) {
+  throwIfAborted() {
+    if (this.signal) {
+      this.signal.throwIfAborted();
+    }
+  }
+
+  // options.onProgress(type, payload) is called as the load moves through
+  // its stages: clone:start, clone:end and files:discovered
+  async loadRepository(repoConfig, options = {}) {
+    if (options.signal && options.signal !== this.signal) {
+      return this.withSignal(options.signal).loadRepository(repoConfig, options);
+    }
+
     const repoInfo = this.parseRepoConfig(repoConfig);
-    
-    await this.enforceRateLimit();
-    
-    const localPath = path.join(
-      this.config.localStoragePath,
-      repoInfo.owner,
-      repoInfo.repo
-    );
+
+    if (!this.credentials || this.credentials.url !== repoInfo.url) {
+      let credentials;
+      try {
+        credentials = await this.resolveCredentials(repoConfig, repoInfo);
+      } catch (error) {
+        throw new Error(`Failed to load repository ${repoInfo.url}: could not resolve credentials: ${error.message}`);
+      }
+      return this.withCredentials(credentials).loadRepository(repoConfig, options);
+    }
+
+    const localPath = this.getLocalRepoPath(repoInfo);
+    const report = options.onProgress || (() => {});
 
     try {
       await fs.mkdir(path.dirname(localPath), { recursive: true });
       
+      const revision = await this.resolveRevision(repoInfo);
       const exists = await this.repoExists(localPath);
+      const action = exists ? 'update' : 'clone';
+      const cloneStarted = Date.now();
       
       if (exists) {
         console.log(`Updating existing repository: ${repoInfo.url}`);
-        await this.git.cwd(localPath).pull();
       } else {
         console.log(`Cloning repository: ${repoInfo.url}`);
-        await this.git.clone(repoInfo.url, localPath, {
-          '--depth': 1,
-          '--single-branch': true,
-          '--branch': repoInfo.branch || 'main'
-        });
       }
+      report('clone:start', { repository: repoInfo.url, action });
 
-      const files = await this.getRepositoryFiles(localPath, repoInfo.paths);
+      if (!exists) {
+        await this.initRepository(localPath, repoInfo.url);
+      }
+      const sparseChanged = await this.applySparseCheckout(localPath, repoInfo.paths);
+      const commit = await this.checkoutRevision(localPath, revision, {
+        partial: repoInfo.paths.length > 0
+      });
+      report('clone:end', {
+        repository: repoInfo.url,
+        action,
+        commit,
+        durationMs: Date.now() - cloneStarted
+      });
+      // A different sparse set, filter config or ignore file means files
+      // appeared or disappeared without a commit touching them, so the diff
+      // would miss them
+      const filterFingerprint = await this.getFilterFingerprint(localPath, repoInfo, commit);
+      const filtersChanged = Boolean(options.previousFilterFingerprint) &&
+        options.previousFilterFingerprint !== filterFingerprint;
+      const changes = sparseChanged || filtersChanged
+        ? null
+        : await this.getIncrementalChanges(localPath, options.previousCommit, commit, repoInfo.paths);
+      const filter = this.createFileFilter(localPath, repoInfo);
+      const files = changes
+        ? await this.getChangedFiles(localPath, changes, repoInfo.paths, filter)
+        : await this.getRepositoryFiles(localPath, repoInfo.paths, filter);
+      this.reportFilesDiscovered(report, repoInfo, files, filter, Boolean(changes));
+      const submodules = await this.loadSubmodules(localPath, repoInfo, options);
+      const workspaces = await this.detectWorkspaces(localPath, repoInfo);
+      const history = await this.loadHistory(localPath, repoInfo, revision);
+      const issues = await this.loadIssues(repoInfo);
       
       return {
         ...repoInfo,
+        branch: revision.branch,
+        ref: revision.ref,
+        commit,
+        previousCommit: options.previousCommit || null,
+        filterFingerprint,
+        incremental: Boolean(changes),
+        changes,
         localPath,
         files,
+        fileSelection: filter.getSelection(),
+        fileStats: filter.getStatistics(),
+        submodules: submodules.loaded,
+        failedSubmodules: submodules.failed,
+        workspaces,
+        history,
+        issues,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      if (error.message.includes('not found') && repoInfo.branch === 'main') {
-        repoInfo.branch = 'master';
-        return this.loadRepository(repoInfo);
+      throw new Error(`Failed to load repository ${repoInfo.url}: ${redactSecrets(error.message, this.credentials)}`);
+    }
+  }
+
+  // Monorepo members found from the manifests in the checkout, on by
+  // default (`workspaces: false` turns it off). Detection problems are
+  // logged and leave the repository without packages.
+  async detectWorkspaces(localPath, repoInfo) {
+    const setting = repoInfo.workspaces !== undefined ? repoInfo.workspaces : this.config.workspaces;
+    if (setting === false) {
+      return null;
+    }
+
+    try {
+      return await new WorkspaceDetector(localPath, {
+        shouldSkipDirectory: name => this.shouldSkipDirectory(name)
+      }).detect();
+    } catch (error) {
+      console.warn(`Could not detect workspaces for ${repoInfo.url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Opt-in: pulls issues and pull requests through the API. A failure here
+  // is logged and does not fail the repository load.
+  async loadIssues(repoInfo) {
+    const setting = repoInfo.issues !== undefined ? repoInfo.issues : this.config.issues;
+    if (!setting) {
+      return null;
+    }
+
+    if (repoInfo.provider !== 'github') {
+      console.warn(`Skipping issues for ${repoInfo.url}: not supported for ${repoInfo.provider} repositories`);
+      return null;
+    }
+
+    try {
+      return await new IssueLoader(this, repoInfo, setting === true ? {} : setting).load();
+    } catch (error) {
+      this.throwIfAborted();
+      console.warn(`Could not load issues for ${repoInfo.url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Opt-in: reads commits, authors and per-file churn for the configured
+  // window. Shallow clones are deepened just far enough to cover it.
+  async loadHistory(localPath, repoInfo, revision = null) {
+    const options = this.getHistoryOptions(repoInfo);
+    if (!options) {
+      return null;
+    }
+
+    if (revision) {
+      await this.deepenHistory(localPath, revision, options);
+    }
+
+    const history = new GitHistory(localPath, {
+      maxCount: options.maxCount,
+      since: options.since,
+      paths: repoInfo.paths,
+      detectRenames: repoInfo.paths.length === 0,
+      blameRevision: revision ? 'HEAD' : null,
+      signal: this.signal,
+      shouldBlame: filePath => options.blame && this.shouldIncludeFile(path.basename(filePath), repoInfo.extensions)
+    });
+
+    return history.read();
+  }
+
+  // `history: true` reads the last 200 commits; an object can set
+  // maxCount, since (any date git understands) and blame
+  getHistoryOptions(repoInfo) {
+    const setting = repoInfo.history !== undefined ? repoInfo.history : this.config.history;
+
+    if (!setting) {
+      return null;
+    }
+
+    const options = setting === true ? {} : setting;
+    return {
+      maxCount: options.maxCount || (options.since ? undefined : 200),
+      since: options.since,
+      blame: options.blame !== false
+    };
+  }
+
+  async deepenHistory(localPath, revision, options) {
+    if (!await this.pathExists(path.join(localPath, '.git', 'shallow'))) {
+      return;
+    }
+
+    const repoGit = this.getGit(localPath);
+    const depth = options.since ? `--shallow-since=${options.since}` : `--depth=${options.maxCount + 1}`;
+
+    try {
+      await repoGit.fetch([depth, 'origin', revision.fetchSpec]);
+    } catch (error) {
+      this.throwIfAborted();
+      // --shallow-since fails when the whole history is newer than the date
+      try {
+        await repoGit.fetch(['--unshallow', 'origin', revision.fetchSpec]);
+      } catch {
+        this.throwIfAborted();
+        console.warn(`Could not fetch history for ${localPath}: ${error.message}`);
       }
-      throw new Error(`Failed to load repository ${repoInfo.url}: ${error.message}`);
     }
   }
 
-  async loadPath(pathConfig) {
-    const { repository, path: repoPath } = this.parsePathConfig(pathConfig);
-    
-    await this.enforceRateLimit();
+  // Submodules are loaded as repositories of their own, pinned to the commit
+  // recorded in the parent, rather than being checked out inside the parent.
+  // Failures are collected instead of failing the parent.
+  async loadSubmodules(localPath, repoInfo, options = {}) {
+    const result = { loaded: [], failed: [] };
+    const depth = options.submoduleDepth !== undefined
+      ? options.submoduleDepth
+      : this.getSubmoduleDepth(repoInfo);
+
+    if (depth <= 0) {
+      return result;
+    }
+
+    const seen = new Set(options.seenRepositories || []);
+    seen.add(repoInfo.url);
+
+    for (const submodule of await this.listSubmodules(localPath, repoInfo)) {
+      if (seen.has(submodule.url)) {
+        continue;
+      }
+
+      if (!submodule.commit) {
+        result.failed.push({ ...submodule, error: 'no commit recorded for submodule' });
+        continue;
+      }
+
+      try {
+        const repository = await this.loadRepository({ url: submodule.url, commit: submodule.commit }, {
+          previousCommit: options.getPreviousCommit ? options.getPreviousCommit(submodule.url) : null,
+          getPreviousCommit: options.getPreviousCommit,
+          previousFilterFingerprint: options.getPreviousFilterFingerprint
+            ? options.getPreviousFilterFingerprint(submodule.url)
+            : null,
+          getPreviousFilterFingerprint: options.getPreviousFilterFingerprint,
+          submoduleDepth: depth - 1,
+          seenRepositories: seen,
+          onProgress: options.onProgress
+        });
+        result.loaded.push({ ...submodule, repository });
+      } catch (error) {
+        this.throwIfAborted();
+        console.warn(`Could not fetch submodule ${submodule.path} of ${repoInfo.url}: ${error.message}`);
+        result.failed.push({ ...submodule, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  // `submodules: true` follows nested submodules all the way down, a number
+  // or { depth } limits how many levels are followed
+  getSubmoduleDepth(repoInfo) {
+    const setting = repoInfo.submodules !== undefined ? repoInfo.submodules : this.config.submodules;
+
+    if (setting === true) {
+      return Infinity;
+    }
+    if (typeof setting === 'number') {
+      return setting;
+    }
+    if (setting && typeof setting === 'object') {
+      return setting.depth !== undefined ? setting.depth : Infinity;
+    }
+    return 0;
+  }
+
+  // Reads .gitmodules and the gitlink commits recorded in HEAD. Submodules
+  // outside the configured paths are left out.
+  async listSubmodules(localPath, repoInfo) {
+    if (!await this.pathExists(path.join(localPath, '.gitmodules'))) {
+      return [];
+    }
+
+    const repoGit = this.getGit(localPath);
+    const config = await repoGit.raw(['config', '--file', '.gitmodules', '--null', '--get-regexp', '^submodule\\.']);
+    const byName = new Map();
+
+    for (const entry of config.split('\0').filter(Boolean)) {
+      const [key, ...value] = entry.split('\n');
+      const match = key.match(/^submodule\.(.+)\.(path|url)$/);
+      if (!match) {
+        continue;
+      }
+      if (!byName.has(match[1])) {
+        byName.set(match[1], { name: match[1] });
+      }
+      byName.get(match[1])[match[2]] = value.join('\n');
+    }
+
+    const submodules = [...byName.values()]
+      .filter(submodule => submodule.path && submodule.url)
+      .filter(submodule => repoInfo.paths.length === 0 || repoInfo.paths.some(specificPath => {
+        const prefix = specificPath.replace(/\/+$/, '');
+        return submodule.path === prefix || submodule.path.startsWith(`${prefix}/`);
+      }));
+
+    if (submodules.length === 0) {
+      return [];
+    }
+
+    const tree = await repoGit.raw(['ls-tree', '-z', 'HEAD', '--', ...submodules.map(submodule => submodule.path)]);
+    const commits = new Map();
+    for (const line of tree.split('\0').filter(Boolean)) {
+      const [info, entryPath] = line.split('\t');
+      const [mode, type, sha] = info.split(' ');
+      if (mode === '160000' && type === 'commit') {
+        commits.set(entryPath, sha);
+      }
+    }
+
+    return submodules.map(submodule => {
+      const url = this.resolveSubmoduleUrl(repoInfo.url, submodule.url);
+      const parsed = this.parseRepoUrl(url);
+      return {
+        name: submodule.name,
+        path: submodule.path,
+        url: parsed ? parsed.url : url,
+        commit: commits.get(submodule.path) || null
+      };
+    });
+  }
+
+  // Relative submodule URLs (./x, ../x) are resolved against the parent's
+  // remote URL the same way git does
+  resolveSubmoduleUrl(parentUrl, url) {
+    if (!/^\.\.?\//.test(url)) {
+      return url;
+    }
+
+    let base = parentUrl.replace(/\/+$/, '');
+    let separator = '/';
+    let rest = url;
+
+    while (/^\.\.?\//.test(rest)) {
+      if (rest.startsWith('../')) {
+        const slash = base.lastIndexOf('/');
+        const colon = base.lastIndexOf(':');
+        // scp-like remotes (git@host:repo.git) lose their path at the colon
+        if (colon > slash && !base.includes('://')) {
+          base = base.slice(0, colon);
+          separator = ':';
+        } else {
+          base = base.slice(0, Math.max(slash, 0));
+        }
+      }
+      rest = rest.slice(rest.indexOf('/') + 1);
+    }
+
+    return `${base}${separator}${rest}`;
+  }
+
+  // Works out what to fetch for a repo config. Returns the full ref name
+  // (refs/heads/x, refs/tags/x) or, for commit pins, the commit to fetch.
+  async resolveRevision(repoInfo) {
+    if (repoInfo.commit) {
+      return { ref: null, branch: null, fetchSpec: repoInfo.commit, commit: repoInfo.commit };
+    }
+
+    if (repoInfo.tag) {
+      return { ref: `refs/tags/${repoInfo.tag}`, branch: null, fetchSpec: `refs/tags/${repoInfo.tag}` };
+    }
+
+    if (repoInfo.ref) {
+      // Branch and tag names may look like SHAs (`deadbeef`), so the value
+      // is only taken as a commit when no remote ref has that name
+      const ref = repoInfo.ref.startsWith('refs/')
+        ? repoInfo.ref
+        : await this.findRemoteRef(repoInfo.url, repoInfo.ref);
+
+      if (ref) {
+        return { ref, branch: this.branchFromRef(ref), fetchSpec: ref };
+      }
+      if (COMMIT_SHA_PATTERN.test(repoInfo.ref)) {
+        return { ref: null, branch: null, fetchSpec: repoInfo.ref, commit: repoInfo.ref };
+      }
+      throw new Error(`ref "${repoInfo.ref}" not found on remote`);
+    }
+
+    const branch = repoInfo.branch || await this.getDefaultBranch(repoInfo.url);
+    return { ref: `refs/heads/${branch}`, branch, fetchSpec: `refs/heads/${branch}` };
+  }
+
+  async getDefaultBranch(url) {
+    const output = await this.getGit().listRemote(['--symref', url, 'HEAD']);
+    const match = output.match(/^ref:\s+refs\/heads\/(\S+)\s+HEAD/m);
+
+    if (!match) {
+      throw new Error('could not determine the default branch of the remote');
+    }
+
+    return match[1];
+  }
+
+  async findRemoteRef(url, name) {
+    const output = await this.getGit().listRemote([url, name]);
+    const refs = output.split('\n')
+      .map(line => line.split('\t')[1])
+      .filter(Boolean);
+
+    for (const candidate of [`refs/heads/${name}`, `refs/tags/${name}`, `refs/${name}`]) {
+      if (refs.includes(candidate)) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  async getIncrementalChanges(localPath, previousCommit, commit, paths = []) {
+    if (!previousCommit) {
+      return null;
+    }
+
+    const repoGit = this.getGit(localPath);
+
+    if (previousCommit === commit) {
+      return { added: [], modified: [], deleted: [], renamed: [] };
+    }
+
+    try {
+      await repoGit.raw(['cat-file', '-e', `${previousCommit}^{commit}`]);
+    } catch {
+      this.throwIfAborted();
+      try {
+        await repoGit.fetch(['--depth', '1', 'origin', previousCommit]);
+      } catch {
+        this.throwIfAborted();
+        console.warn(`Previously indexed commit ${previousCommit} is unavailable, re-indexing ${localPath} in full`);
+        return null;
+      }
+    }
+
+    // Limiting the diff to the requested paths keeps a partial clone from
+    // downloading blobs outside them for rename detection
+    const pathspec = paths.length > 0 ? ['--', ...paths] : [];
+    const output = await repoGit.raw(['diff', '--name-status', '-M', '-z', previousCommit, commit, ...pathspec]);
+    return this.parseNameStatus(output);
+  }
+
+  // Hash of everything that decides which files get indexed besides the
+  // commit itself: the filter options and the ignore files' blobs at
+  // `commit`, plus the checkout's .git/info/exclude
+  async getFilterFingerprint(localPath, repoInfo, commit) {
+    const ignoreFiles = ['.gitignore', this.config.ignoreFileName || '.ctxignore'];
+    const output = await this.getGit(localPath).raw(['ls-tree', '-r', '-z', commit]);
+    const ignoreBlobs = output.split('\0').filter(Boolean)
+      .map(entry => entry.match(/^\d+ blob (\w+)\t(.*)$/))
+      .filter(match => match && ignoreFiles.includes(path.posix.basename(match[2])))
+      .map(match => `${match[2]} ${match[1]}`)
+      .sort();
+
+    let localExclude = null;
+    try {
+      localExclude = await fs.readFile(path.join(localPath, '.git', 'info', 'exclude'), 'utf-8');
+    } catch {
+      // No local exclude file
+    }
+
+    const hash = crypto.createHash('sha256');
+    hash.update(JSON.stringify({
+      include: [...(this.config.include || []), ...(repoInfo.include || [])],
+      exclude: [...(this.config.exclude || []), ...(repoInfo.exclude || [])],
+      extensions: [...this.includeExtensions, ...(this.config.extensions || []), ...(repoInfo.extensions || [])],
+      filenames: this.includeFilenames,
+      skipDirectories: this.skipDirectories,
+      respectGitignore: (repoInfo.respectGitignore ?? this.config.respectGitignore) !== false,
+      ignoreFileName: this.config.ignoreFileName || '.ctxignore',
+      maxFileSize: this.config.maxFileSize || null,
+      ignoreBlobs,
+      localExclude
+    }));
+    return hash.digest('hex');
+  }
+
+  parseNameStatus(output) {
+    const changes = { added: [], modified: [], deleted: [], renamed: [] };
+    const fields = output.split('\0').filter(Boolean);
+
+    for (let i = 0; i < fields.length; i++) {
+      const status = fields[i][0];
+
+      if (status === 'R' || status === 'C') {
+        const from = path.normalize(fields[++i]);
+        const to = path.normalize(fields[++i]);
+        if (status === 'R') {
+          changes.renamed.push({ from, to });
+        } else {
+          changes.added.push(to);
+        }
+        continue;
+      }
+
+      const filePath = path.normalize(fields[++i]);
+      if (status === 'A') {
+        changes.added.push(filePath);
+      } else if (status === 'D') {
+        changes.deleted.push(filePath);
+      } else {
+        changes.modified.push(filePath);
+      }
+    }
+
+    return changes;
+  }
+
+  branchFromRef(ref) {
+    return ref && ref.startsWith('refs/heads/') ? ref.slice('refs/heads/'.length) : null;
+  }
+
+  async initRepository(localPath, url) {
+    await fs.mkdir(localPath, { recursive: true });
+    const repoGit = this.getGit(localPath);
+
+    await repoGit.init();
+    await repoGit.addRemote('origin', url);
+  }
+
+  // With `partial`, the first fetch is blob-less: git marks origin as a
+  // promisor remote and downloads file contents only when the sparse
+  // checkout needs them.
+  async checkoutRevision(localPath, revision, options = {}) {
+    const repoGit = this.getGit(localPath);
+    const filter = options.partial ? ['--filter=blob:none'] : [];
+
+    try {
+      await repoGit.fetch(['--depth', '1', ...filter, 'origin', revision.fetchSpec]);
+      await repoGit.checkout(['--detach', '--force', 'FETCH_HEAD']);
+    } catch (error) {
+      if (!revision.commit || (this.signal && this.signal.aborted)) {
+        throw error;
+      }
+      // Servers may refuse to serve an arbitrary commit (or an abbreviated
+      // SHA), so fall back to fetching full history and checking it out.
+      const shallow = await this.pathExists(path.join(localPath, '.git', 'shallow'));
+      await repoGit.fetch(['origin', '--tags', ...filter, ...(shallow ? ['--unshallow'] : [])]);
+      await repoGit.checkout(['--detach', '--force', revision.commit]);
+    }
+
+    return (await repoGit.revparse(['HEAD'])).trim();
+  }
+
+  // Materializes only the requested paths, plus the ignore files and
+  // .gitmodules the loader reads. Returns whether the sparse set changed
+  // since the last checkout; widening or narrowing it never re-clones.
+  async applySparseCheckout(localPath, paths) {
+    const repoGit = this.getGit(localPath);
+    const current = await this.getSparsePatterns(localPath);
+
+    if (paths.length === 0) {
+      if (current === null) {
+        return false;
+      }
+      await repoGit.raw(['sparse-checkout', 'disable']);
+      return true;
+    }
+
+    const patterns = this.buildSparsePatterns(paths);
+    if (current && current.length === patterns.length && current.every((pattern, i) => pattern === patterns[i])) {
+      return false;
+    }
+
+    await repoGit.raw(['sparse-checkout', 'set', '--no-cone', ...patterns]);
+    return true;
+  }
+
+  async getSparsePatterns(localPath) {
+    const repoGit = this.getGit(localPath);
+    const enabled = (await repoGit.raw(['config', '--bool', '--default', 'false', 'core.sparseCheckout'])).trim();
+
+    if (enabled !== 'true') {
+      return null;
+    }
+
+    try {
+      const content = await fs.readFile(path.join(localPath, '.git', 'info', 'sparse-checkout'), 'utf-8');
+      return content.split('\n').map(line => line.trim()).filter(Boolean);
+    } catch {
+      return [];
+    }
+  }
+
+  buildSparsePatterns(paths) {
+    const ignoreFiles = ['.gitignore', this.config.ignoreFileName || '.ctxignore'];
+    const patterns = new Set(['/.gitmodules']);
+
+    for (const specificPath of paths) {
+      const segments = specificPath.split(/[\\/]+/).filter(segment => segment && segment !== '.');
+      for (let depth = 0; depth < segments.length; depth++) {
+        const dir = segments.slice(0, depth).map(segment => `${segment}/`).join('');
+        for (const ignoreFile of ignoreFiles) {
+          patterns.add(`/${dir}${ignoreFile}`);
+        }
+      }
+      patterns.add(`/${segments.join('/')}`);
+    }
+
+    return [...patterns].sort();
+  }
+
+  async pathExists(targetPath) {
+    try {
+      await fs.access(targetPath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async loadLocalRepository(localConfig, options = {}) {
+    if (options.signal && options.signal !== this.signal) {
+      return this.withSignal(options.signal).loadLocalRepository(localConfig, options);
+    }
+
+    const repoInfo = this.parseLocalConfig(localConfig);
+    const localPath = repoInfo.localPath;
+
+    try {
+      const stats = await fs.stat(localPath);
+      if (!stats.isDirectory()) {
+        throw new Error('path is not a directory');
+      }
+
+      if (await this.repoExists(localPath)) {
+        Object.assign(repoInfo, await this.getWorkingTreeRevision(localPath));
+      }
+
+      console.log(`Indexing local repository: ${localPath}`);
+      const filter = this.createFileFilter(localPath, repoInfo);
+      const files = await this.getRepositoryFiles(localPath, repoInfo.paths, filter);
+      this.reportFilesDiscovered(options.onProgress, repoInfo, files, filter, false);
+      const workspaces = await this.detectWorkspaces(localPath, repoInfo);
+      const history = repoInfo.commit ? await this.loadHistory(localPath, repoInfo) : null;
+
+      return {
+        ...repoInfo,
+        files,
+        fileSelection: filter.getSelection(),
+        fileStats: filter.getStatistics(),
+        workspaces,
+        history,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to load local repository ${localPath}: ${error.message}`);
+    }
+  }
+
+  reportFilesDiscovered(report, repoInfo, files, filter, incremental) {
+    if (!report) {
+      return;
+    }
+
+    const stats = filter.getStatistics();
+    report('files:discovered', {
+      repository: repoInfo.url,
+      files: files.length,
+      skippedFiles: stats.skippedFiles,
+      incremental
+    });
+  }
+
+  async getWorkingTreeRevision(localPath) {
+    const repoGit = this.getGit(localPath);
+
+    try {
+      const commit = (await repoGit.revparse(['HEAD'])).trim();
+      const branch = (await repoGit.revparse(['--abbrev-ref', 'HEAD'])).trim();
+
+      return branch === 'HEAD'
+        ? { commit }
+        : { commit, branch, ref: `refs/heads/${branch}` };
+    } catch {
+      // Freshly initialised repositories have no HEAD commit yet
+      return {};
+    }
+  }
+
+  async loadPath(pathConfig, options = {}) {
+    if (options.signal && options.signal !== this.signal) {
+      return this.withSignal(options.signal).loadPath(pathConfig, options);
+    }
+
+    const { repository, path: repoPath, useAPI, apiMode } = this.parsePathConfig(pathConfig);
     
-    if (pathConfig.useAPI) {
-      return await this.loadPathViaAPI(repository, repoPath);
+    if (useAPI) {
+      return await this.loadPathViaAPI(repository, repoPath, { apiMode });
     }
     
     const repoData = await this.loadRepository(repository);
@@ -96,115 +855,510 @@ class GitHubLoader {
         type: 'directory'
       };
     } else {
-      const content = await fs.readFile(targetPath, 'utf-8');
+      const result = await readTextFile(targetPath, this.config.maxFileSize);
+      if (result.skipped) {
+        throw new Error(`Skipped ${repoPath}: ${result.skipped} (${result.size} bytes)`);
+      }
       return {
         repository,
         path: repoPath,
-        content,
+        content: result.content,
+        encoding: result.encoding,
         type: 'file'
       };
     }
   }
 
-  async loadPathViaAPI(repository, repoPath) {
-    const { owner, repo, branch } = this.parseRepoConfig(repository);
-    
-    const headers = {
-      'Accept': 'application/vnd.github.v3+json'
-    };
-    
-    if (this.token) {
-      headers['Authorization'] = `token ${this.token}`;
+  // Loads a file or a whole subtree without a git binary. The default 'tree'
+  // mode lists the subtree with the git trees API and fetches each blob;
+  // 'tarball' mode downloads one archive and keeps only the requested path.
+  // A truncated tree listing falls back to the tarball.
+  async loadPathViaAPI(repository, repoPath, options = {}) {
+    const repoInfo = this.parseRepoConfig(repository);
+
+    if (repoInfo.provider !== 'github') {
+      throw new Error(`Failed to load path via API: API loading is not supported for ${repoInfo.provider} repositories`);
     }
-    
+
+    const api = {
+      repoApi: `${repoInfo.apiBase}/repos/${repoInfo.owner}/${repoInfo.repo}`,
+      host: repoInfo.host
+    };
+    const targetPath = (repoPath || '').replace(/^\/+|\/+$/g, '');
+    let loader = this;
+
     try {
-      const response = await axios.get(
-        `${this.apiBase}/repos/${owner}/${repo}/contents/${repoPath}`,
-        {
-          headers,
-          params: { ref: branch || 'main' }
+      loader = this.withCredentials(await this.resolveCredentials(repository, repoInfo));
+      const commit = await loader.resolveApiCommit(api, repoInfo);
+
+      let listing = options.apiMode === 'tarball'
+        ? null
+        : await loader.listTreeEntries(api, commit);
+      if (!listing || listing.truncated) {
+        listing = await loader.listTarballEntries(api, commit, targetPath);
+      }
+
+      const single = listing.entries.find(entry => entry.path === targetPath);
+      if (single) {
+        if (single.size > (this.config.maxFileSize || Infinity)) {
+          throw new Error(`Skipped ${targetPath}: too-large (${single.size} bytes)`);
+        }
+        const decoded = decodeBuffer(await single.read());
+        if (decoded.binary) {
+          throw new Error(`${targetPath} is a binary file`);
         }
-      );
-      
-      if (Array.isArray(response.data)) {
-        const files = await Promise.all(
-          response.data
-            .filter(item => item.type === 'file')
-            .map(async item => {
-              const fileResponse = await axios.get(item.download_url);
-              return {
-                path: item.path,
-                content: fileResponse.data,
-                size: item.size
-              };
-            })
-        );
-        
-        return {
-          repository,
-          path: repoPath,
-          files,
-          type: 'directory'
-        };
-      } else {
-        const content = Buffer.from(response.data.content, 'base64').toString('utf-8');
         return {
           repository,
           path: repoPath,
-          content,
+          content: decoded.content,
+          encoding: decoded.encoding,
+          commit,
           type: 'file'
         };
       }
+
+      const prefix = targetPath ? `${targetPath}/` : '';
+      const entries = listing.entries.filter(entry => entry.path.startsWith(prefix));
+      if (entries.length === 0) {
+        throw new Error(`path ${repoPath} not found at ${commit}`);
+      }
+
+      const byPath = new Map(listing.entries.map(entry => [entry.path, entry]));
+      const filter = this.createFileFilter(null, repoInfo, {
+        readFile: async relativePath => {
+          if (!byPath.has(relativePath)) {
+            throw new Error(`${relativePath} not found`);
+          }
+          return (await byPath.get(relativePath).read()).toString('utf-8');
+        }
+      });
+      const files = await this.selectRemoteFiles(entries, targetPath, filter);
+
+      return {
+        repository,
+        path: repoPath,
+        files,
+        commit,
+        fileSelection: filter.getSelection(),
+        fileStats: filter.getStatistics(),
+        type: 'directory'
+      };
     } catch (error) {
-      throw new Error(`Failed to load path via API: ${error.message}`);
+      throw new Error(`Failed to load path via API: ${redactSecrets(error.message, loader.credentials)}`);
+    }
+  }
+
+  async resolveApiCommit(api, repoInfo) {
+    let revision = repoInfo.commit || repoInfo.tag || repoInfo.ref || repoInfo.branch;
+
+    if (!revision) {
+      const response = await this.apiRequest(api.repoApi, { host: api.host });
+      revision = response.data.default_branch;
+    }
+
+    const response = await this.apiRequest(`${api.repoApi}/commits/${encodeURIComponent(revision)}`, {
+      host: api.host,
+      headers: { 'Accept': 'application/vnd.github.sha' },
+      responseType: 'text'
+    });
+    return String(response.data).trim();
+  }
+
+  async listTreeEntries(api, commit) {
+    const response = await this.apiRequest(`${api.repoApi}/git/trees/${commit}`, {
+      host: api.host,
+      params: { recursive: 1 }
+    });
+
+    return {
+      truncated: Boolean(response.data.truncated),
+      entries: response.data.tree
+        .filter(item => item.type === 'blob')
+        .map(item => ({
+          path: item.path,
+          size: item.size,
+          read: async () => {
+            const blob = await this.apiRequest(`${api.repoApi}/git/blobs/${item.sha}`, {
+              host: api.host,
+              headers: { 'Accept': 'application/vnd.github.raw' },
+              responseType: 'arraybuffer'
+            });
+            return Buffer.from(blob.data);
+          }
+        }))
+    };
+  }
+
+  // Streams the repository tarball and buffers only files under targetPath
+  // plus ignore files, which may live in parent directories.
+  async listTarballEntries(api, commit, targetPath) {
+    const response = await this.apiRequest(`${api.repoApi}/tarball/${commit}`, {
+      host: api.host,
+      responseType: 'stream'
+    });
+    const maxFileSize = this.config.maxFileSize || Infinity;
+    const ignoreFiles = ['.gitignore', this.config.ignoreFileName || '.ctxignore'];
+    const entries = [];
+
+    await pipeline(response.data, tar.t({
+      onentry: entry => {
+        // Archive members are prefixed with an "owner-repo-sha/" directory
+        const relativePath = entry.path.split('/').slice(1).join('/');
+        const wanted = entry.type === 'File' && relativePath && (
+          !targetPath ||
+          relativePath === targetPath ||
+          relativePath.startsWith(`${targetPath}/`) ||
+          ignoreFiles.includes(path.posix.basename(relativePath))
+        );
+
+        if (!wanted) {
+          entry.resume();
+          return;
+        }
+
+        const chunks = [];
+        const record = { path: relativePath, size: entry.size, read: async () => Buffer.concat(chunks) };
+        entries.push(record);
+
+        if (entry.size > maxFileSize) {
+          entry.resume();
+        } else {
+          entry.on('data', chunk => chunks.push(chunk));
+        }
+      }
+    }));
+
+    return { truncated: false, entries };
+  }
+
+  // Applies the include/exclude rules to a flat list of remote entries the
+  // same way getDirectoryFiles does for a checkout.
+  async selectRemoteFiles(entries, targetPath, filter) {
+    const maxFileSize = this.config.maxFileSize || Infinity;
+    const directoryDecisions = new Map();
+    const files = [];
+    const firstDepth = targetPath ? targetPath.split('/').length + 1 : 1;
+
+    const sorted = [...entries].sort((a, b) => a.path.localeCompare(b.path));
+
+    for (const entry of sorted) {
+      const segments = entry.path.split('/');
+      let excluded = false;
+
+      for (let depth = firstDepth; depth < segments.length && !excluded; depth++) {
+        const dir = segments.slice(0, depth).join(path.sep);
+        if (!directoryDecisions.has(dir)) {
+          directoryDecisions.set(dir, await filter.check(dir, true));
+        }
+        excluded = !directoryDecisions.get(dir).included;
+      }
+
+      if (excluded) {
+        continue;
+      }
+
+      const relativePath = segments.join(path.sep);
+      const decision = await filter.check(relativePath);
+      if (!decision.included) {
+        continue;
+      }
+
+      if (entry.size > maxFileSize) {
+        filter.applyReadResult(decision, { skipped: 'too-large', size: entry.size });
+        continue;
+      }
+
+      const decoded = decodeBuffer(await entry.read());
+      if (decoded.binary) {
+        filter.applyReadResult(decision, { skipped: 'binary', size: entry.size });
+        continue;
+      }
+
+      filter.applyReadResult(decision, { encoding: decoded.encoding, size: entry.size });
+      files.push({
+        path: relativePath,
+        content: decoded.content,
+        encoding: decoded.encoding,
+        size: entry.size
+      });
     }
+
+    return files;
   }
 
   parseRepoConfig(config) {
+    const url = typeof config === 'string' ? config : config.url;
+    const repoInfo = this.parseRepoUrl(url);
+
+    if (!repoInfo) {
+      throw new Error(`Invalid repository URL: ${redactUrl(url)}`);
+    }
+
     if (typeof config === 'string') {
-      // Handle URLs with /tree/branch or /blob/branch patterns
-      let cleanUrl = config;
-      let branch = 'main';
-      
-      // Extract branch if specified in URL
-      const branchMatch = config.match(/\/(?:tree|blob)\/([^/]+)/);
-      if (branchMatch) {
-        branch = branchMatch[1];
-        // Remove the /tree/branch or /blob/branch part from the URL
-        cleanUrl = config.replace(/\/(?:tree|blob)\/[^/]+.*$/, '');
+      return {
+        ...repoInfo,
+        paths: []
+      };
+    }
+
+    return {
+      ...repoInfo,
+      owner: config.owner || repoInfo.owner,
+      repo: config.repo || repoInfo.repo,
+      branch: config.branch || repoInfo.branch,
+      ref: config.ref || null,
+      tag: config.tag || null,
+      commit: config.commit || null,
+      paths: config.paths || [],
+      include: config.include || [],
+      exclude: config.exclude || [],
+      extensions: config.extensions || [],
+      respectGitignore: config.respectGitignore,
+      submodules: config.submodules,
+      history: config.history,
+      issues: config.issues,
+      workspaces: config.workspaces
+    };
+  }
+
+  parseRepoUrl(url) {
+    const parsed = parseGitUrl(url);
+    if (!parsed) {
+      return null;
+    }
+
+    if (parsed.protocol === 'file') {
+      return {
+        url: `file://${parsed.localPath}`,
+        host: null,
+        provider: 'file',
+        apiBase: null,
+        owner: 'local',
+        repo: path.basename(parsed.localPath).replace(/\.git$/, ''),
+        branch: null
+      };
+    }
+
+    const hostConfig = this.getHostConfig(parsed.host);
+    const provider = this.getHostProvider(parsed.host);
+    const { segments, branch } = provider.extractBranch(parsed.segments);
+
+    if (segments.length < 2) {
+      return null;
+    }
+
+    const namespace = provider.splitNamespace(segments);
+    const repo = namespace.repo.replace(/\.git$/, '');
+
+    return {
+      url: hostConfig.cloneUrlTemplate
+        ? this.renderCloneUrl(hostConfig.cloneUrlTemplate, { host: parsed.host, owner: namespace.owner, repo })
+        : provider.buildCloneUrl(parsed, namespace.owner, repo),
+      host: parsed.host,
+      provider: provider.name,
+      apiBase: hostConfig.apiBase || provider.getApiBase(parsed.host),
+      owner: namespace.owner,
+      repo,
+      branch
+    };
+  }
+
+  // Templates use {host}, {owner} and {repo} placeholders, e.g.
+  // 'git@ssh.github.example.com:{owner}/{repo}.git'
+  renderCloneUrl(template, values) {
+    return template.replace(/\{(host|owner|repo)\}/g, (match, key) => values[key]);
+  }
+
+  getHostConfig(host) {
+    const hosts = this.config.hosts || {};
+    return hosts[host] || {};
+  }
+
+  getHostProvider(host) {
+    const hostConfig = this.getHostConfig(host);
+
+    if (hostConfig.type) {
+      const configured = this.hostProviders.find(provider => provider.name === hostConfig.type);
+      if (!configured) {
+        throw new Error(`Unknown host provider "${hostConfig.type}" configured for ${host}`);
       }
-      
-      // Extract owner and repo from the cleaned URL
-      const match = cleanUrl.match(/github\.com[/:]([^/]+)\/([^/.]+)/);
-      if (match) {
-        // Create the proper git clone URL
-        const gitUrl = `https://github.com/${match[1]}/${match[2]}.git`;
-        return {
-          url: gitUrl,
-          owner: match[1],
-          repo: match[2],
-          branch: branch,
-          paths: []
-        };
+      return configured;
+    }
+
+    return this.hostProviders.find(provider => provider.matchesHost(host)) || this.genericProvider;
+  }
+
+  registerHostProvider(provider) {
+    this.hostProviders.unshift(provider);
+  }
+
+  // Adds extensions and exact file names (e.g. 'Dockerfile') to the default
+  // allow-list, for file types a parser plugin understands
+  registerFileTypes({ extensions = [], filenames = [] }) {
+    for (const ext of extensions) {
+      if (!this.includeExtensions.includes(ext)) {
+        this.includeExtensions.push(ext);
       }
-      throw new Error(`Invalid repository URL: ${config}`);
     }
-    
+    for (const filename of filenames) {
+      if (!this.includeFilenames.includes(filename)) {
+        this.includeFilenames.push(filename);
+      }
+    }
+  }
+
+  getLocalRepoPath(repoInfo) {
+    const segments = [this.config.localStoragePath];
+
+    // Keep the original owner/repo layout for github.com clones
+    if (repoInfo.host && repoInfo.host !== 'github.com') {
+      segments.push(repoInfo.host);
+    }
+
+    return path.join(...segments, ...repoInfo.owner.split('/'), repoInfo.repo);
+  }
+
+  // Extracts a zip or tarball under localStoragePath/archives and indexes it
+  // like a local directory. The extraction is keyed by checksum, so loading
+  // the same archive again reuses it.
+  async loadArchive(archiveConfig, options = {}) {
+    if (options.signal && options.signal !== this.signal) {
+      return this.withSignal(options.signal).loadArchive(archiveConfig, options);
+    }
+
+    const repoInfo = this.parseArchiveConfig(archiveConfig);
+    const archive = repoInfo.archive;
+
+    try {
+      archive.format = await detectArchiveFormat(archive.path);
+      if (!archive.format) {
+        throw new Error('unsupported archive format');
+      }
+      archive.checksum = await computeChecksum(archive.path);
+
+      const extractPath = path.join(
+        this.config.localStoragePath,
+        'archives',
+        `${repoInfo.repo}-${archive.checksum.slice(0, 12)}`
+      );
+      const manifestPath = `${extractPath}.json`;
+
+      if (await this.pathExists(manifestPath)) {
+        console.log(`Reusing extracted archive: ${archive.path}`);
+        archive.skippedEntries = JSON.parse(await fs.readFile(manifestPath, 'utf-8')).skippedEntries;
+      } else {
+        console.log(`Extracting archive: ${archive.path}`);
+        await fs.rm(extractPath, { recursive: true, force: true });
+        try {
+          const result = await extractArchive(archive.path, extractPath, {
+            format: archive.format,
+            maxFileSize: this.config.maxFileSize
+          });
+          archive.skippedEntries = result.skipped;
+          this.throwIfAborted();
+        } catch (error) {
+          await fs.rm(extractPath, { recursive: true, force: true });
+          throw error;
+        }
+        await fs.writeFile(manifestPath, JSON.stringify({
+          checksum: archive.checksum,
+          format: archive.format,
+          skippedEntries: archive.skippedEntries
+        }, null, 2));
+      }
+
+      const { root, prefix } = await this.getArchiveRoot(extractPath);
+      const filter = this.createFileFilter(root, repoInfo);
+      for (const entry of archive.skippedEntries) {
+        if (entry.path && entry.path.startsWith(prefix)) {
+          filter.record(path.normalize(entry.path.slice(prefix.length)), 'file', {
+            included: false,
+            reason: entry.reason,
+            size: entry.size
+          });
+        }
+      }
+      const files = await this.getRepositoryFiles(root, repoInfo.paths, filter);
+      this.reportFilesDiscovered(options.onProgress, repoInfo, files, filter, false);
+      const workspaces = await this.detectWorkspaces(root, repoInfo);
+
+      return {
+        ...repoInfo,
+        localPath: root,
+        files,
+        fileSelection: filter.getSelection(),
+        fileStats: filter.getStatistics(),
+        workspaces,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to load archive ${archive.path}: ${error.message}`);
+    }
+  }
+
+  // Tarballs usually wrap everything in one "name-version/" directory;
+  // index its contents rather than the wrapper
+  async getArchiveRoot(extractPath) {
+    const entries = await fs.readdir(extractPath, { withFileTypes: true });
+
+    if (entries.length === 1 && entries[0].isDirectory()) {
+      return { root: path.join(extractPath, entries[0].name), prefix: `${entries[0].name}/` };
+    }
+
+    return { root: extractPath, prefix: '' };
+  }
+
+  parseArchiveConfig(config) {
+    const archivePath = path.resolve(typeof config === 'string' ? config : config.path);
+    const fileName = path.basename(archivePath);
+    const options = typeof config === 'object' ? config : {};
+
+    return {
+      url: `archive://${archivePath}`,
+      owner: 'archive',
+      repo: options.name || fileName.replace(/\.(zip|tar\.gz|tgz|tar)$/i, ''),
+      branch: null,
+      ref: null,
+      commit: null,
+      source: 'archive',
+      archive: { name: fileName, path: archivePath },
+      paths: options.paths || [],
+      include: options.include || [],
+      exclude: options.exclude || [],
+      extensions: options.extensions || [],
+      respectGitignore: options.respectGitignore,
+      workspaces: options.workspaces
+    };
+  }
+
+  parseLocalConfig(config) {
+    const localPath = path.resolve(typeof config === 'string' ? config : config.path);
+
     return {
-      url: config.url,
-      owner: config.owner || this.extractOwnerFromUrl(config.url),
-      repo: config.repo || this.extractRepoFromUrl(config.url),
-      branch: config.branch || 'main',
-      paths: config.paths || []
+      url: `file://${localPath}`,
+      owner: (typeof config === 'object' && config.owner) || 'local',
+      repo: (typeof config === 'object' && config.name) || path.basename(localPath),
+      branch: null,
+      ref: null,
+      commit: null,
+      source: 'local',
+      localPath,
+      paths: (typeof config === 'object' && config.paths) || [],
+      include: (typeof config === 'object' && config.include) || [],
+      exclude: (typeof config === 'object' && config.exclude) || [],
+      extensions: (typeof config === 'object' && config.extensions) || [],
+      respectGitignore: typeof config === 'object' ? config.respectGitignore : undefined,
+      history: typeof config === 'object' ? config.history : undefined,
+      workspaces: typeof config === 'object' ? config.workspaces : undefined
     };
   }
 
   parsePathConfig(config) {
     if (typeof config === 'string') {
-      const parts = config.split(':');
+      const separator = this.findPathSeparator(config);
       return {
-        repository: parts[0],
-        path: parts[1] || '',
+        repository: separator === -1 ? config : config.slice(0, separator),
+        path: separator === -1 ? '' : config.slice(separator + 1),
         useAPI: false
       };
     }
@@ -212,30 +1366,60 @@ class GitHubLoader {
     return {
       repository: config.repository,
       path: config.path,
-      useAPI: config.useAPI || false
+      useAPI: config.useAPI || false,
+      apiMode: config.apiMode || 'tree'
     };
   }
 
+  // Finds the colon in "repository:path" strings, skipping the one in the
+  // URL scheme, a port number and the host separator of scp-like remotes
+  findPathSeparator(spec) {
+    const schemeEnd = spec.indexOf('://');
+    let start = 0;
+
+    if (schemeEnd !== -1) {
+      start = schemeEnd + 3;
+      const hostEnd = spec.indexOf('/', start);
+      const port = spec.slice(start, hostEnd === -1 ? undefined : hostEnd).match(/:\d*$/);
+      if (port) {
+        start = hostEnd === -1 ? spec.length : hostEnd;
+      }
+    } else if (/^[^/:\s]+:(?!\/)/.test(spec)) {
+      start = spec.indexOf(':') + 1;
+    }
+
+    return spec.indexOf(':', start);
+  }
+
   extractOwnerFromUrl(url) {
-    const match = url.match(/github\.com[/:]([^/]+)\//);
-    return match ? match[1] : null;
+    const repoInfo = this.parseRepoUrl(url);
+    return repoInfo ? repoInfo.owner : null;
   }
 
   extractRepoFromUrl(url) {
-    const match = url.match(/github\.com[/:]([^/]+)\/([^/.]+)/);
-    return match ? match[2] : null;
+    const repoInfo = this.parseRepoUrl(url);
+    return repoInfo ? repoInfo.repo : null;
   }
 
   async repoExists(localPath) {
-    try {
-      await fs.access(path.join(localPath, '.git'));
-      return true;
-    } catch {
-      return false;
-    }
+    return this.pathExists(path.join(localPath, '.git'));
   }
 
-  async getRepositoryFiles(repoPath, specificPaths = []) {
+  createFileFilter(rootPath, repoInfo = {}, options = {}) {
+    const extensions = [...(this.config.extensions || []), ...(repoInfo.extensions || [])];
+
+    return new FileFilter(rootPath, {
+      ...options,
+      include: [...(this.config.include || []), ...(repoInfo.include || [])],
+      exclude: [...(this.config.exclude || []), ...(repoInfo.exclude || [])],
+      respectGitignore: repoInfo.respectGitignore ?? this.config.respectGitignore,
+      ignoreFileName: this.config.ignoreFileName,
+      shouldSkipDirectory: name => this.shouldSkipDirectory(name),
+      shouldIncludeFile: name => this.shouldIncludeFile(name, extensions)
+    });
+  }
+
+  async getRepositoryFiles(repoPath, specificPaths = [], filter = this.createFileFilter(repoPath)) {
     const files = [];
     
     const pathsToProcess = specificPaths.length > 0 
@@ -246,19 +1430,20 @@ class GitHubLoader {
       try {
         const stats = await fs.stat(targetPath);
         if (stats.isDirectory()) {
-          const pathFiles = await this.getDirectoryFiles(targetPath);
+          const pathFiles = await this.getDirectoryFiles(targetPath, repoPath, filter);
           files.push(...pathFiles);
         } else if (stats.isFile()) {
           // If it's a specific file, load just that file
-          const content = await fs.readFile(targetPath, 'utf-8');
-          files.push({
-            path: path.relative(repoPath, targetPath),
-            fullPath: targetPath,
-            content,
-            size: stats.size
-          });
+          const relativePath = path.relative(repoPath, targetPath);
+          const decision = filter.record(relativePath, 'file', { included: true, reason: 'explicit-path' });
+          const entry = await this.readFileEntry(targetPath, relativePath);
+          filter.applyReadResult(decision, entry);
+          if (!entry.skipped) {
+            files.push(entry);
+          }
         }
       } catch (error) {
+        this.throwIfAborted();
         console.warn(`Warning: Could not access path ${targetPath}: ${error.message}`);
       }
     }
@@ -266,27 +1451,83 @@ class GitHubLoader {
     return files;
   }
 
-  async getDirectoryFiles(dirPath, baseDir = dirPath) {
+  // Reads only the files touched between two commits, keeping the same
+  // include rules and path restrictions as a full walk.
+  async getChangedFiles(repoPath, changes, specificPaths = [], filter = this.createFileFilter(repoPath)) {
+    const candidates = [
+      ...changes.added,
+      ...changes.modified,
+      ...changes.renamed.map(rename => rename.to)
+    ];
+    const files = [];
+
+    for (const relativePath of candidates) {
+      this.throwIfAborted();
+      const decision = await this.checkChangedPath(relativePath, specificPaths, filter);
+      if (!decision || !decision.included) {
+        continue;
+      }
+
+      const fullPath = path.join(repoPath, relativePath);
+      try {
+        const entry = await this.readFileEntry(fullPath, relativePath);
+        filter.applyReadResult(decision, entry);
+        if (!entry.skipped) {
+          files.push(entry);
+        }
+      } catch (error) {
+        this.throwIfAborted();
+        console.warn(`Warning: Could not read changed file ${fullPath}: ${error.message}`);
+      }
+    }
+
+    return files;
+  }
+
+  async checkChangedPath(relativePath, specificPaths, filter) {
+    const withinPaths = specificPaths.length === 0 || specificPaths.some(specificPath => {
+      const normalized = path.normalize(specificPath).replace(/[\\/]+$/, '');
+      return relativePath === normalized || relativePath.startsWith(normalized + path.sep);
+    });
+
+    if (!withinPaths) {
+      return null;
+    }
+
+    const segments = relativePath.split(path.sep);
+    for (let depth = 1; depth < segments.length; depth++) {
+      const decision = await filter.evaluate(segments.slice(0, depth).join(path.sep), true);
+      if (!decision.included) {
+        return null;
+      }
+    }
+
+    return filter.check(relativePath);
+  }
+
+  async getDirectoryFiles(dirPath, baseDir = dirPath, filter = this.createFileFilter(baseDir)) {
     const files = [];
     const entries = await fs.readdir(dirPath, { withFileTypes: true });
     
     for (const entry of entries) {
+      this.throwIfAborted();
       const fullPath = path.join(dirPath, entry.name);
+      const relativePath = path.relative(baseDir, fullPath);
       
       if (entry.isDirectory()) {
-        if (!this.shouldSkipDirectory(entry.name)) {
-          const subFiles = await this.getDirectoryFiles(fullPath, baseDir);
+        const decision = await filter.check(relativePath, true);
+        if (decision.included) {
+          const subFiles = await this.getDirectoryFiles(fullPath, baseDir, filter);
           files.push(...subFiles);
         }
       } else if (entry.isFile()) {
-        if (this.shouldIncludeFile(entry.name)) {
-          const content = await fs.readFile(fullPath, 'utf-8');
-          files.push({
-            path: path.relative(baseDir, fullPath),
-            fullPath,
-            content,
-            size: (await fs.stat(fullPath)).size
-          });
+        const decision = await filter.check(relativePath);
+        if (decision.included) {
+          const entry = await this.readFileEntry(fullPath, relativePath);
+          filter.applyReadResult(decision, entry);
+          if (!entry.skipped) {
+            files.push(entry);
+          }
         }
       }
     }
@@ -294,48 +1535,113 @@ class GitHubLoader {
     return files;
   }
 
+  async readFileEntry(fullPath, relativePath) {
+    const result = await readTextFile(fullPath, this.config.maxFileSize);
+
+    if (result.skipped) {
+      return result;
+    }
+
+    return {
+      path: relativePath,
+      fullPath,
+      content: result.content,
+      encoding: result.encoding,
+      size: result.size
+    };
+  }
+
   shouldSkipDirectory(dirName) {
-    const skipDirs = [
-      'node_modules',
-      '.git',
-      'dist',
-      'build',
-      'coverage',
-      '.vscode',
-      '.idea',
-      '__pycache__',
-      '.pytest_cache'
-    ];
-    return skipDirs.includes(dirName);
+    return this.skipDirectories.includes(dirName);
   }
 
-  shouldIncludeFile(fileName) {
-    const includeExtensions = [
-      '.js', '.jsx', '.ts', '.tsx',
-      '.py', '.java', '.cpp', '.c', '.h',
-      '.go', '.rs', '.rb', '.php',
-      '.md', '.txt', '.json', '.yaml', '.yml',
-      '.html', '.css', '.scss', '.sass'
-    ];
-    
-    const excludePatterns = [
-      '.min.js',
-      '.map',
-      '.lock',
-      '.log'
-    ];
-    
+  shouldIncludeFile(fileName, extraExtensions = []) {
     const ext = path.extname(fileName).toLowerCase();
-    const isExcluded = excludePatterns.some(pattern => fileName.includes(pattern));
+    const isExcluded = EXCLUDED_FILE_PATTERNS.some(pattern => fileName.includes(pattern));
     
-    return includeExtensions.includes(ext) && !isExcluded;
+    return (this.includeExtensions.includes(ext) || extraExtensions.includes(ext) ||
+      this.includeFilenames.includes(fileName)) && !isExcluded;
+  }
+
+  // Follows `Link: <...>; rel="next"` headers until maxItems items are
+  // collected. Later pages carry their query string in the link.
+  async apiRequestPages(url, options = {}, maxItems = Infinity) {
+    const items = [];
+    let next = url;
+    let params = { per_page: 100, ...options.params };
+
+    while (next && items.length < maxItems) {
+      const response = await this.apiRequest(next, { ...options, params });
+      items.push(...response.data);
+      next = parseNextLink(response.headers && response.headers.link);
+      params = undefined;
+    }
+
+    return items.slice(0, maxItems);
+  }
+
+  // Tokens never cross hosts: github.com uses GITHUB_TOKEN, other hosts use
+  // their configured token or, for GitHub Enterprise, GH_ENTERPRISE_TOKEN
+  getToken(host = 'github.com') {
+    if (this.credentials && this.credentials.host === host && this.credentials.token) {
+      return this.credentials.token;
+    }
+
+    const hostConfig = this.getHostConfig(host);
+
+    if (hostConfig.token) {
+      return hostConfig.token;
+    }
+    return this.getEnvironmentToken(host);
   }
 
-  async enforceRateLimit() {
-    await new Promise(resolve => 
-      setTimeout(resolve, this.config.rateLimitDelay)
+  getEnvironmentToken(host) {
+    if (host === 'github.com' || host === 'www.github.com') {
+      return this.token;
+    }
+    return this.getHostProvider(host).name === 'github' ? process.env.GH_ENTERPRISE_TOKEN : undefined;
+  }
+
+  // Each host has its own quota, so each gets its own limiter
+  getRateLimiter(host = 'github.com') {
+    if (host === 'github.com' || host === 'www.github.com') {
+      return this.rateLimiter;
+    }
+
+    if (!this.rateLimiters.has(host)) {
+      this.rateLimiters.set(host, new RateLimiter({
+        minDelay: this.config.rateLimitDelay,
+        maxRetries: this.config.maxRetries,
+        baseDelay: this.config.retryBaseDelay
+      }));
+    }
+
+    return this.rateLimiters.get(host);
+  }
+
+  // All HTTP API traffic goes through the rate limiter of the target host
+  async apiRequest(url, options = {}) {
+    const { host, ...requestOptions } = options;
+    const headers = {
+      'Accept': 'application/vnd.github.v3+json',
+      ...requestOptions.headers
+    };
+
+    const token = this.getToken(host);
+    if (token) {
+      headers['Authorization'] = `token ${token}`;
+    }
+
+    return this.getRateLimiter(host).schedule(
+      () => axios.get(url, { ...requestOptions, headers, signal: this.signal || undefined }),
+      { signal: this.signal }
     );
   }
 }
 
+function parseNextLink(header) {
+  const match = (header || '').match(/<([^>]+)>\s*;\s*rel="next"/);
+  return match ? match[1] : null;
+}
+
 module.exports = GitHubLoader;
\ No newline at end of file
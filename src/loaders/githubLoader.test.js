@@ -0,0 +1,992 @@
+const GitHubLoader = require('./githubLoader');
+const { GitHostProvider } = require('./hostProviders');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const http = require('http');
+const tar = require('tar');
+const yazl = require('yazl');
+const { execFileSync } = require('child_process');
+
+const git = (cwd, ...args) => execFileSync(
+  'git',
+  ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args],
+  { cwd }
+).toString().trim();
+
+describe('GitHubLoader', () => {
+  let loader;
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'loader-test-'));
+    loader = new GitHubLoader({
+      rateLimitDelay: 0,
+      localStoragePath: path.join(tmpDir, 'repos')
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('parseRepoConfig', () => {
+    test('should keep GitHub URLs working', () => {
+      const info = loader.parseRepoConfig('https://github.com/vercel/next.js/tree/canary/examples');
+
+      expect(info.provider).toBe('github');
+      expect(info.url).toBe('https://github.com/vercel/next.js.git');
+      expect(info.owner).toBe('vercel');
+      expect(info.repo).toBe('next.js');
+      expect(info.branch).toBe('canary');
+      expect(info.apiBase).toBe('https://api.github.com');
+    });
+
+    test('should parse nested GitLab groups over ssh', () => {
+      const info = loader.parseRepoConfig('git@gitlab.com:platform/backend/api.git');
+
+      expect(info.provider).toBe('gitlab');
+      expect(info.url).toBe('git@gitlab.com:platform/backend/api.git');
+      expect(info.owner).toBe('platform/backend');
+      expect(info.repo).toBe('api');
+      expect(loader.getLocalRepoPath(info)).toBe(
+        path.join(tmpDir, 'repos', 'gitlab.com', 'platform', 'backend', 'api')
+      );
+    });
+
+    test('should use per-host provider and API base configuration', () => {
+      loader = new GitHubLoader({
+        localStoragePath: './repos',
+        hosts: {
+          'code.example.com': { type: 'gitea', apiBase: 'https://code.example.com/gitea/api/v1' }
+        }
+      });
+
+      const info = loader.parseRepoConfig('https://code.example.com/team/service/src/branch/dev');
+
+      expect(info.provider).toBe('gitea');
+      expect(info.branch).toBe('dev');
+      expect(info.apiBase).toBe('https://code.example.com/gitea/api/v1');
+    });
+
+    test('should build GitHub Enterprise clone URLs from a template', () => {
+      loader = new GitHubLoader({
+        localStoragePath: './repos',
+        hosts: {
+          'github.example.com': {
+            type: 'github',
+            cloneUrlTemplate: 'git@ssh.github.example.com:{owner}/{repo}.git'
+          }
+        }
+      });
+
+      const info = loader.parseRepoConfig('https://github.example.com/platform/api/tree/release');
+
+      expect(info.provider).toBe('github');
+      expect(info.url).toBe('git@ssh.github.example.com:platform/api.git');
+      expect(info.apiBase).toBe('https://github.example.com/api/v3');
+      expect(info.branch).toBe('release');
+    });
+
+    test('should split repository:path strings without breaking URLs', () => {
+      expect(loader.parsePathConfig('https://github.example.com:8443/platform/api:docs/guide.md')).toMatchObject({
+        repository: 'https://github.example.com:8443/platform/api',
+        path: 'docs/guide.md'
+      });
+      expect(loader.parsePathConfig('git@github.example.com:platform/api.git')).toMatchObject({
+        repository: 'git@github.example.com:platform/api.git',
+        path: ''
+      });
+    });
+
+    test('should resolve relative submodule URLs against the parent remote', () => {
+      expect(loader.resolveSubmoduleUrl('https://github.com/org/app.git', '../lib.git')).toBe('https://github.com/org/lib.git');
+      expect(loader.resolveSubmoduleUrl('git@gitlab.com:group/app.git', '../../shared/lib.git')).toBe('git@gitlab.com:shared/lib.git');
+      expect(loader.resolveSubmoduleUrl('https://github.com/org/app.git', 'https://github.com/other/lib')).toBe('https://github.com/other/lib');
+    });
+
+    test('should accept custom host providers', () => {
+      class InternalProvider extends GitHostProvider {
+        constructor() {
+          super('internal');
+        }
+
+        matchesHost(host) {
+          return host.endsWith('.internal');
+        }
+      }
+
+      loader.registerHostProvider(new InternalProvider());
+
+      expect(loader.parseRepoConfig('https://git.internal/a/b').provider).toBe('internal');
+    });
+
+    test('should parse file URLs and bare repository paths', () => {
+      const fromUrl = loader.parseRepoConfig('file:///srv/git/tools.git');
+      const fromPath = loader.parseRepoConfig({ url: '/srv/git/tools.git', branch: 'trunk' });
+
+      expect(fromUrl.url).toBe('file:///srv/git/tools.git');
+      expect(fromUrl.repo).toBe('tools');
+      expect(fromPath.url).toBe('file:///srv/git/tools.git');
+      expect(fromPath.branch).toBe('trunk');
+    });
+
+    test('should reject URLs without a repository', () => {
+      expect(() => loader.parseRepoConfig('https://github.com/owner')).toThrow('Invalid repository URL');
+    });
+  });
+
+  describe('file selection', () => {
+    let repoDir;
+
+    const write = async (relativePath, content = '') => {
+      await fs.mkdir(path.dirname(path.join(repoDir, relativePath)), { recursive: true });
+      await fs.writeFile(path.join(repoDir, relativePath), content);
+    };
+
+    beforeEach(async () => {
+      repoDir = path.join(tmpDir, 'project');
+      await fs.mkdir(repoDir);
+      git(repoDir, 'init', '-q');
+      await write('src/app.js');
+      await write('src/generated/schema.js');
+      await write('src/generated/keep.js');
+      await write('src/Main.kt');
+      await write('vendor/lib.js');
+      await write('debug.js');
+      await write('secrets.json');
+      await write('docs/guide.md');
+      await write('.gitignore', 'generated/\n');
+      await write('src/.gitignore', '!generated/\n');
+      await write('.ctxignore', 'secrets.json\n');
+      await write('.git/info/exclude', 'debug.js\n');
+    });
+
+    const selectionFor = (selection, relativePath) => selection.find(d => d.path === relativePath);
+
+    test('should honor ignore files and record why files were skipped', async () => {
+      const repoData = await loader.loadLocalRepository({ path: repoDir });
+      const indexed = repoData.files.map(f => f.path).sort();
+
+      expect(indexed).toEqual([
+        path.join('docs', 'guide.md'),
+        path.join('src', 'Main.kt'),
+        path.join('src', 'app.js'),
+        path.join('src', 'generated', 'keep.js'),
+        path.join('src', 'generated', 'schema.js')
+      ]);
+      expect(selectionFor(repoData.fileSelection, 'vendor').reason).toBe('skipped-directory');
+      expect(selectionFor(repoData.fileSelection, 'debug.js')).toMatchObject({
+        included: false,
+        reason: 'gitignore',
+        source: '.git/info/exclude'
+      });
+      expect(selectionFor(repoData.fileSelection, 'secrets.json').reason).toBe('ignore-file');
+      expect(selectionFor(repoData.fileSelection, '.gitignore').reason).toBe('unsupported-file-type');
+    });
+
+    test('should apply global and per-repository globs', async () => {
+      loader = new GitHubLoader({
+        localStoragePath: path.join(tmpDir, 'repos'),
+        exclude: ['**/generated/schema.js']
+      });
+
+      const repoData = await loader.loadLocalRepository({
+        path: repoDir,
+        include: ['src/**/*.js', '*.md'],
+        exclude: ['*.kt']
+      });
+
+      expect(repoData.files.map(f => f.path).sort()).toEqual([
+        path.join('docs', 'guide.md'),
+        path.join('src', 'app.js'),
+        path.join('src', 'generated', 'keep.js')
+      ]);
+      expect(selectionFor(repoData.fileSelection, path.join('src', 'Main.kt')).reason).toBe('exclude-pattern');
+      expect(selectionFor(repoData.fileSelection, path.join('src', '.gitignore')).reason).toBe('not-included');
+    });
+
+    test('should allow ignore files to be disabled', async () => {
+      const repoData = await loader.loadLocalRepository({ path: repoDir, respectGitignore: false });
+
+      expect(repoData.files.map(f => f.path)).toContain('debug.js');
+      expect(repoData.files.map(f => f.path)).not.toContain('secrets.json');
+    });
+  });
+
+  describe('file contents', () => {
+    let repoDir;
+
+    beforeEach(async () => {
+      repoDir = path.join(tmpDir, 'contents');
+      await fs.mkdir(repoDir);
+      await fs.writeFile(path.join(repoDir, 'plain.js'), 'const a = 1;');
+      await fs.writeFile(path.join(repoDir, 'image.js'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x00, 0x1a]));
+      await fs.writeFile(path.join(repoDir, 'fixture.json'), JSON.stringify({ data: 'x'.repeat(2048) }));
+      await fs.writeFile(path.join(repoDir, 'legacy.txt'), Buffer.from('caf\xe9 cr\xe8me', 'latin1'));
+      await fs.writeFile(path.join(repoDir, 'windows.txt'), Buffer.concat([
+        Buffer.from([0xff, 0xfe]),
+        Buffer.from('hello utf-16', 'utf16le')
+      ]));
+      await fs.writeFile(path.join(repoDir, 'big-endian.txt'), Buffer.from('no bom here', 'utf16le').swap16());
+
+      loader = new GitHubLoader({
+        localStoragePath: path.join(tmpDir, 'repos'),
+        maxFileSize: 1024
+      });
+    });
+
+    test('should skip binary and oversized files and transcode other encodings', async () => {
+      const repoData = await loader.loadLocalRepository(repoDir);
+      const byPath = Object.fromEntries(repoData.files.map(f => [f.path, f]));
+
+      expect(Object.keys(byPath).sort()).toEqual(['big-endian.txt', 'legacy.txt', 'plain.js', 'windows.txt']);
+      expect(byPath['legacy.txt']).toMatchObject({ content: 'café crème', encoding: 'latin1' });
+      expect(byPath['windows.txt']).toMatchObject({ content: 'hello utf-16', encoding: 'utf-16le' });
+      expect(byPath['big-endian.txt']).toMatchObject({ content: 'no bom here', encoding: 'utf-16be' });
+
+      const fixture = repoData.fileSelection.find(d => d.path === 'fixture.json');
+      expect(fixture).toMatchObject({ included: false, reason: 'too-large' });
+      expect(repoData.fileStats.skippedByReason).toEqual({ binary: 1, 'too-large': 1 });
+      expect(repoData.fileStats.indexedFiles).toBe(4);
+      expect(repoData.fileStats.encodings).toEqual({ 'utf-8': 1, latin1: 1, 'utf-16le': 1, 'utf-16be': 1 });
+    });
+  });
+
+  describe('API requests', () => {
+    const COMMIT = 'c0ffee0000000000000000000000000000000000';
+    let server;
+    let failures;
+    let requests;
+    let remoteFiles;
+    let tarball;
+
+    // Minimal stand-in for the GitHub REST API: repository metadata, commit
+    // resolution, recursive trees, raw blobs and tarballs.
+    const route = (url, host) => {
+      const { pathname, searchParams } = new URL(url, 'http://stub');
+      const base = '/repos/owner/repo';
+
+      if (pathname === base) {
+        return { status: 200, body: { default_branch: 'main' } };
+      }
+      if (pathname.startsWith(`${base}/commits/`)) {
+        return { status: 200, raw: COMMIT };
+      }
+      if (pathname === `${base}/git/trees/${COMMIT}`) {
+        return {
+          status: 200,
+          body: {
+            truncated: false,
+            tree: Object.entries(remoteFiles).map(([filePath, content]) => ({
+              path: filePath,
+              type: 'blob',
+              sha: Buffer.from(filePath).toString('hex'),
+              size: Buffer.byteLength(content)
+            }))
+          }
+        };
+      }
+      if (pathname.startsWith(`${base}/git/blobs/`)) {
+        const filePath = Buffer.from(pathname.split('/').pop(), 'hex').toString();
+        return { status: 200, raw: remoteFiles[filePath] };
+      }
+      if (pathname === `${base}/tarball/${COMMIT}`) {
+        return { status: 200, raw: tarball };
+      }
+      if (pathname === `${base}/issues`) {
+        return searchParams.get('page') === '2'
+          ? { status: 200, body: [{ number: 3, title: 'Docs typo', state: 'closed', user: { login: 'carol' } }] }
+          : {
+            status: 200,
+            headers: { Link: `<http://${host}${base}/issues?page=2>; rel="next"` },
+            body: [
+              { number: 1, title: 'Login times out', body: 'See src/index.js', state: 'open', user: { login: 'alice' }, labels: [{ name: 'bug' }] },
+              { number: 2, title: 'Fix login timeout', body: 'Fixes #1', state: 'closed', user: { login: 'bob' }, pull_request: { merged_at: '2024-01-02T00:00:00Z' } }
+            ]
+          };
+      }
+      if (pathname === `${base}/issues/comments`) {
+        return { status: 200, body: [{ issue_url: `http://${host}${base}/issues/1`, body: 'Happens after 30s', user: { login: 'dave' } }] };
+      }
+      if (pathname === `${base}/pulls/comments`) {
+        return {
+          status: 200,
+          body: [{ pull_request_url: `http://${host}${base}/pulls/2`, path: 'src/index.js', line: 1, body: 'Use a constant', user: { login: 'alice' } }]
+        };
+      }
+      if (pathname === `${base}/pulls/2/files`) {
+        return {
+          status: 200,
+          body: [{ filename: 'src/index.js', status: 'modified', additions: 1, deletions: 1, patch: '@@ -1,1 +1,2 @@\n-a\n+b\n+c' }]
+        };
+      }
+      return { status: 404, body: { message: 'Not Found' } };
+    };
+
+    beforeEach(async () => {
+      failures = [];
+      requests = [];
+      remoteFiles = {
+        'README.md': '# Repo',
+        '.gitignore': 'fixtures/\n',
+        'src/index.js': 'module.exports = 1;',
+        'src/lib/util.js': 'function util() {}',
+        'src/lib/fixtures/data.js': 'ignored',
+        'src/vendor/dep.js': 'skipped',
+        'src/logo.png': 'binary'
+      };
+
+      server = http.createServer((req, res) => {
+        requests.push({ url: req.url, time: Date.now(), authorization: req.headers.authorization });
+        const next = failures.shift() || route(req.url, req.headers.host);
+        res.writeHead(next.status, { 'Content-Type': 'application/json', ...next.headers });
+        res.end(next.raw !== undefined ? next.raw : JSON.stringify(next.body));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      loader = new GitHubLoader({
+        localStoragePath: path.join(tmpDir, 'repos'),
+        apiBase: `http://127.0.0.1:${server.address().port}`,
+        rateLimitDelay: 0,
+        retryBaseDelay: 10
+      });
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const buildTarball = async () => {
+      const root = path.join(tmpDir, 'tarball');
+      const prefix = `owner-repo-${COMMIT.slice(0, 7)}`;
+      for (const [filePath, content] of Object.entries(remoteFiles)) {
+        const fullPath = path.join(root, prefix, filePath);
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.writeFile(fullPath, content);
+      }
+      const archive = path.join(tmpDir, 'repo.tar.gz');
+      await tar.c({ gzip: true, cwd: root, file: archive }, [prefix]);
+      tarball = await fs.readFile(archive);
+    };
+
+    test('should load a subtree recursively through the trees API', async () => {
+      const result = await loader.loadPath({
+        repository: 'https://github.com/owner/repo',
+        path: 'src',
+        useAPI: true
+      });
+
+      expect(result.commit).toBe(COMMIT);
+      expect(result.files.map(f => f.path).sort()).toEqual([
+        path.join('src', 'index.js'),
+        path.join('src', 'lib', 'util.js')
+      ]);
+      expect(result.fileSelection.find(d => d.path === path.join('src', 'lib', 'fixtures'))).toMatchObject({
+        included: false,
+        reason: 'gitignore'
+      });
+      expect(result.fileStats.skippedByReason['skipped-directory']).toBe(1);
+    });
+
+    test('should load a subtree from the tarball', async () => {
+      await buildTarball();
+
+      const result = await loader.loadPathViaAPI('https://github.com/owner/repo', 'src/lib', { apiMode: 'tarball' });
+
+      expect(result.files.map(f => f.path)).toEqual([path.join('src', 'lib', 'util.js')]);
+      expect(result.files[0].content).toBe('function util() {}');
+      expect(requests.some(r => r.url.includes('/git/blobs/'))).toBe(false);
+    });
+
+    test('should load a single file', async () => {
+      const result = await loader.loadPathViaAPI({ url: 'https://github.com/owner/repo', branch: 'dev' }, 'README.md');
+
+      expect(result.type).toBe('file');
+      expect(result.content).toBe('# Repo');
+      expect(requests[0].url).toBe('/repos/owner/repo/commits/dev');
+    });
+
+    test('should stop waiting out rate limits when the signal aborts', async () => {
+      failures.push({ status: 503, headers: { 'Retry-After': '60' }, body: { message: 'Unavailable' } });
+      const started = Date.now();
+
+      await expect(loader.loadPath(
+        { repository: 'https://github.com/owner/repo', path: 'README.md', useAPI: true },
+        { signal: AbortSignal.timeout(100) }
+      )).rejects.toThrow('Failed to load path via API');
+
+      expect(Date.now() - started).toBeLessThan(5000);
+      expect(requests).toHaveLength(1);
+    });
+
+    test('should send per-repository tokens with API requests', async () => {
+      await loader.loadPathViaAPI({ url: 'https://github.com/owner/repo', credentials: { token: 'repo-token' } }, 'README.md');
+      expect(requests.length).toBeGreaterThan(0);
+      expect(requests.every(request => request.authorization === 'token repo-token')).toBe(true);
+
+      requests.length = 0;
+      const withCallback = new GitHubLoader({
+        apiBase: `http://127.0.0.1:${server.address().port}`,
+        rateLimitDelay: 0,
+        credentials: async ({ owner }) => ({ token: `${owner}-token` })
+      });
+      await withCallback.loadPathViaAPI('https://github.com/owner/repo', 'README.md');
+      expect(requests[0].authorization).toBe('token owner-token');
+    });
+
+    test('should retry 5xx responses and secondary rate limits with backoff', async () => {
+      failures.push(
+        { status: 502, body: { message: 'Bad Gateway' } },
+        { status: 403, body: { message: 'You have exceeded a secondary rate limit.' } }
+      );
+
+      const result = await loader.loadPathViaAPI('https://github.com/owner/repo', 'README.md');
+
+      expect(result.content).toBe('# Repo');
+      expect(requests[0].url).toBe('/repos/owner/repo');
+      expect(requests[2].url).toBe('/repos/owner/repo');
+    });
+
+    test('should honor Retry-After', async () => {
+      failures.push({ status: 429, headers: { 'Retry-After': '1' }, body: { message: 'Too Many Requests' } });
+
+      await loader.loadPathViaAPI('https://github.com/owner/repo', 'README.md');
+
+      expect(requests[1].time - requests[0].time).toBeGreaterThanOrEqual(900);
+    });
+
+    test('should pause all requests once the quota is exhausted', async () => {
+      const reset = Math.ceil(Date.now() / 1000) + 1;
+      failures.push(
+        { status: 200, headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(reset) }, body: { default_branch: 'main' } },
+        { status: 200, headers: { 'X-RateLimit-Remaining': '4999' }, raw: COMMIT }
+      );
+
+      await loader.loadPathViaAPI('https://github.com/owner/repo', 'README.md');
+
+      expect(requests[1].time).toBeGreaterThanOrEqual(reset * 1000);
+      expect(loader.rateLimiter.getStatus().remaining).toBe(4999);
+    });
+
+    test('should use the API base, token and rate limiter of an enterprise host', async () => {
+      loader = new GitHubLoader({
+        localStoragePath: path.join(tmpDir, 'repos'),
+        rateLimitDelay: 0,
+        hosts: {
+          'github.example.com': {
+            type: 'github',
+            apiBase: `http://127.0.0.1:${server.address().port}`,
+            token: 'enterprise-token'
+          }
+        }
+      });
+      loader.token = 'public-token';
+
+      const result = await loader.loadPath({
+        repository: 'https://github.example.com/owner/repo',
+        path: 'src',
+        useAPI: true
+      });
+
+      expect(result.files).toHaveLength(2);
+      expect(requests.every(r => r.authorization === 'token enterprise-token')).toBe(true);
+      expect(loader.getRateLimiter('github.example.com')).not.toBe(loader.rateLimiter);
+    });
+
+    test('should page through issues and pull requests with their comments and files', async () => {
+      const result = await loader.loadIssues(loader.parseRepoConfig({ url: 'https://github.com/owner/repo', issues: true }));
+
+      expect(result.issues.map(i => i.number)).toEqual([1, 3]);
+      expect(result.issues[0]).toMatchObject({ author: 'alice', labels: ['bug'], comments: [{ author: 'dave', body: 'Happens after 30s' }] });
+      expect(result.pullRequests).toHaveLength(1);
+      expect(result.pullRequests[0]).toMatchObject({
+        number: 2,
+        merged: true,
+        resolves: [1],
+        reviewComments: [{ author: 'alice', path: path.join('src', 'index.js'), line: 1 }],
+        files: [{ path: path.join('src', 'index.js'), status: 'modified', changedLines: [{ start: 1, end: 2 }] }]
+      });
+      expect(requests.find(r => r.url.startsWith('/repos/owner/repo/issues?')).url).toContain('per_page=100');
+    });
+
+    test('should not fail the load when issues cannot be fetched', async () => {
+      failures.push({ status: 404, body: { message: 'Not Found' } });
+
+      await expect(loader.loadIssues(loader.parseRepoConfig({ url: 'https://github.com/owner/repo', issues: true })))
+        .resolves.toBeNull();
+    });
+
+    test('should not retry client errors', async () => {
+      failures.push({ status: 404, body: { message: 'Not Found' } });
+
+      await expect(loader.loadPathViaAPI('https://github.com/owner/repo', 'README.md'))
+        .rejects.toThrow('Failed to load path via API');
+      expect(requests).toHaveLength(1);
+    });
+  });
+
+  describe('loadRepository', () => {
+    let bareDir;
+    let commits;
+
+    beforeEach(async () => {
+      const workDir = path.join(tmpDir, 'work');
+      bareDir = path.join(tmpDir, 'origin.git');
+      await fs.mkdir(workDir);
+      git(workDir, 'init', '-q', '-b', 'trunk');
+
+      commits = [];
+      for (const version of [1, 2]) {
+        await fs.writeFile(path.join(workDir, 'index.js'), `module.exports = ${version};`);
+        git(workDir, 'add', '-A');
+        git(workDir, 'commit', '-q', '-m', `version ${version}`);
+        git(workDir, 'tag', `v${version}`);
+        commits.push(git(workDir, 'rev-parse', 'HEAD'));
+      }
+      git(tmpDir, 'clone', '-q', '--bare', workDir, bareDir);
+    });
+
+    test('should clone the remote default branch and record its SHA', async () => {
+      const repoData = await loader.loadRepository(`file://${bareDir}`);
+
+      expect(repoData.localPath).toBe(path.join(tmpDir, 'repos', 'local', 'origin'));
+      expect(repoData.files.map(f => f.path)).toEqual(['index.js']);
+      expect(repoData.branch).toBe('trunk');
+      expect(repoData.ref).toBe('refs/heads/trunk');
+      expect(repoData.commit).toBe(commits[1]);
+    });
+
+    test('should report clone and discovery progress', async () => {
+      const events = [];
+      const onProgress = (type, payload) => events.push({ type, ...payload });
+
+      await loader.loadRepository(`file://${bareDir}`, { onProgress });
+      await loader.loadRepository(`file://${bareDir}`, { onProgress });
+
+      expect(events.map(event => `${event.type}:${event.action || ''}`)).toEqual([
+        'clone:start:clone', 'clone:end:clone', 'files:discovered:',
+        'clone:start:update', 'clone:end:update', 'files:discovered:'
+      ]);
+      expect(events[1]).toEqual(expect.objectContaining({
+        repository: `file://${bareDir}`,
+        commit: commits[1],
+        durationMs: expect.any(Number)
+      }));
+      expect(events[2]).toEqual(expect.objectContaining({ files: 1, skippedFiles: 0, incremental: false }));
+    });
+
+    test('should kill git when the signal aborts', async () => {
+      // Accepts connections and never answers, like a stalled clone
+      const sockets = [];
+      const server = require('net').createServer(socket => sockets.push(socket));
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 200);
+
+      try {
+        await expect(loader.loadRepository(`http://127.0.0.1:${server.address().port}/owner/stalled.git`, {
+          signal: controller.signal
+        })).rejects.toThrow('Failed to load repository');
+      } finally {
+        sockets.forEach(socket => socket.destroy());
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    test('should authenticate clones without writing tokens to disk', async () => {
+      const projectRoot = path.join(tmpDir, 'srv');
+      git(tmpDir, 'clone', '-q', '--bare', bareDir, path.join(projectRoot, 'owner', 'origin.git'));
+      const { spawn } = require('child_process');
+      const expected = `Basic ${Buffer.from('x-access-token:s3cret').toString('base64')}`;
+
+      // Smart HTTP through git http-backend, behind Basic auth
+      const server = http.createServer((req, res) => {
+        if (req.headers.authorization !== expected) {
+          res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="git"' });
+          res.end();
+          return;
+        }
+        const { pathname, search } = new URL(req.url, 'http://stub');
+        const backend = spawn('git', ['http-backend'], {
+          env: {
+            ...process.env,
+            GIT_PROJECT_ROOT: projectRoot,
+            GIT_HTTP_EXPORT_ALL: '1',
+            PATH_INFO: pathname,
+            QUERY_STRING: search.slice(1),
+            REQUEST_METHOD: req.method,
+            CONTENT_TYPE: req.headers['content-type'] || '',
+            HTTP_CONTENT_ENCODING: req.headers['content-encoding'] || '',
+            HTTP_GIT_PROTOCOL: req.headers['git-protocol'] || ''
+          }
+        });
+        const chunks = [];
+        req.pipe(backend.stdin);
+        backend.stdout.on('data', chunk => chunks.push(chunk));
+        backend.on('close', () => {
+          const output = Buffer.concat(chunks);
+          const split = output.indexOf('\r\n\r\n');
+          const headers = {};
+          let status = 200;
+          for (const line of output.subarray(0, split).toString().split('\r\n')) {
+            const [name, ...rest] = line.split(': ');
+            if (name === 'Status') {
+              status = parseInt(rest.join(': '), 10);
+            } else {
+              headers[name] = rest.join(': ');
+            }
+          }
+          res.writeHead(status, headers);
+          res.end(output.subarray(split + 4));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const url = `http://127.0.0.1:${server.address().port}/owner/origin.git`;
+
+      try {
+        const repoData = await loader.loadRepository({ url, credentials: { token: 's3cret' } });
+        expect(repoData.commit).toBe(commits[1]);
+        expect(JSON.stringify(repoData)).not.toContain('s3cret');
+        expect(await fs.readFile(path.join(repoData.localPath, '.git', 'config'), 'utf-8')).not.toContain('s3cret');
+
+        const embedded = new GitHubLoader({ localStoragePath: path.join(tmpDir, 'embedded') });
+        const fromUrl = await embedded.loadRepository(url.replace('//', '//x-access-token:s3cret@'));
+        expect(fromUrl.url).toBe(url);
+        expect(await fs.readFile(path.join(fromUrl.localPath, '.git', 'config'), 'utf-8')).not.toContain('s3cret');
+
+        const perHost = new GitHubLoader({
+          localStoragePath: path.join(tmpDir, 'per-host'),
+          hosts: { '127.0.0.1': { credentials: async request => request.repo === 'origin' ? { token: 's3cret' } : null } }
+        });
+        expect((await perHost.loadRepository(url)).commit).toBe(commits[1]);
+
+        const denied = new GitHubLoader({ localStoragePath: path.join(tmpDir, 'denied') });
+        await expect(denied.loadRepository({ url, credentials: { token: 'wrong-token' } }))
+          .rejects.toThrow(/^Failed to load repository (?:(?!wrong-token).)*$/s);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    test('should check out a pinned tag', async () => {
+      const repoData = await loader.loadRepository({ url: `file://${bareDir}`, tag: 'v1' });
+
+      expect(repoData.ref).toBe('refs/tags/v1');
+      expect(repoData.commit).toBe(commits[0]);
+      expect(repoData.files[0].content).toBe('module.exports = 1;');
+    });
+
+    test('should check out a pinned commit, including abbreviated SHAs', async () => {
+      const full = await loader.loadRepository({ url: `file://${bareDir}`, commit: commits[0] });
+      expect(full.commit).toBe(commits[0]);
+
+      const short = await loader.loadRepository({ url: `file://${bareDir}`, ref: commits[1].slice(0, 10) });
+      expect(short.commit).toBe(commits[1]);
+      expect(short.files[0].content).toBe('module.exports = 2;');
+    });
+
+    test('should resolve short ref names against the remote', async () => {
+      const repoData = await loader.loadRepository({ url: `file://${bareDir}`, ref: 'v2' });
+
+      expect(repoData.ref).toBe('refs/tags/v2');
+      expect(repoData.commit).toBe(commits[1]);
+    });
+
+    test('should prefer remote refs over SHAs for hex-looking names', async () => {
+      git(bareDir, 'branch', 'deadbeef', commits[0]);
+
+      const repoData = await loader.loadRepository({ url: `file://${bareDir}`, ref: 'deadbeef' });
+
+      expect(repoData.ref).toBe('refs/heads/deadbeef');
+      expect(repoData.branch).toBe('deadbeef');
+      expect(repoData.commit).toBe(commits[0]);
+    });
+
+    test('should fail for refs that do not exist', async () => {
+      await expect(loader.loadRepository({ url: `file://${bareDir}`, ref: 'missing' }))
+        .rejects.toThrow('ref "missing" not found on remote');
+    });
+
+    test('should sparse-check out requested paths from a blob-less clone', async () => {
+      const workDir = path.join(tmpDir, 'mono');
+      const monoDir = path.join(tmpDir, 'mono.git');
+      const files = {
+        'README.md': '# Mono',
+        'packages/api/index.js': 'module.exports = "api";',
+        'packages/web/index.js': 'module.exports = "web";',
+        'tools/build.js': 'module.exports = "build";'
+      };
+      for (const [filePath, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(workDir, filePath)), { recursive: true });
+        await fs.writeFile(path.join(workDir, filePath), content);
+      }
+      git(workDir, 'init', '-q', '-b', 'main');
+      git(workDir, 'add', '-A');
+      git(workDir, 'commit', '-q', '-m', 'initial');
+      git(tmpDir, 'clone', '-q', '--bare', workDir, monoDir);
+      git(monoDir, 'config', 'uploadpack.allowFilter', 'true');
+
+      const url = `file://${monoDir}`;
+      const first = await loader.loadRepository({ url, paths: ['packages/api'] });
+      const localPath = first.localPath;
+      const onDisk = async () => {
+        const found = [];
+        for (const filePath of Object.keys(files)) {
+          if (await loader.pathExists(path.join(localPath, filePath))) {
+            found.push(filePath);
+          }
+        }
+        return found;
+      };
+
+      expect(first.files.map(f => f.path)).toEqual([path.join('packages', 'api', 'index.js')]);
+      expect(await onDisk()).toEqual(['packages/api/index.js']);
+      expect(git(localPath, 'config', 'remote.origin.promisor')).toBe('true');
+      expect(git(localPath, 'rev-list', '--objects', '--missing=print', 'HEAD')).toMatch(/^\?/m);
+
+      const widened = await loader.loadRepository({ url, paths: ['packages/api', 'tools'] }, {
+        previousCommit: first.commit
+      });
+
+      expect(widened.incremental).toBe(false);
+      expect(widened.files.map(f => f.path).sort()).toEqual([
+        path.join('packages', 'api', 'index.js'),
+        path.join('tools', 'build.js')
+      ]);
+      expect(await onDisk()).toEqual(['packages/api/index.js', 'tools/build.js']);
+
+      const unchanged = await loader.loadRepository({ url, paths: ['packages/api', 'tools'] }, {
+        previousCommit: widened.commit
+      });
+      expect(unchanged.incremental).toBe(true);
+
+      const full = await loader.loadRepository(url, { previousCommit: widened.commit });
+      expect(full.incremental).toBe(false);
+      expect(await onDisk()).toEqual(Object.keys(files));
+    });
+  });
+
+  describe('loadArchive', () => {
+    const writeZip = (file, entries) => new Promise((resolve, reject) => {
+      const zip = new yazl.ZipFile();
+      for (const [name, content] of Object.entries(entries)) {
+        zip.addBuffer(Buffer.from(content), name);
+      }
+      zip.outputStream.pipe(require('fs').createWriteStream(file)).on('close', resolve).on('error', reject);
+      zip.end();
+    });
+
+    test('should index a tarball with its checksum and the usual filters', async () => {
+      const source = path.join(tmpDir, 'source');
+      await fs.mkdir(path.join(source, 'sdk-1.2', 'src'), { recursive: true });
+      await fs.mkdir(path.join(source, 'sdk-1.2', 'node_modules', 'dep'), { recursive: true });
+      await fs.writeFile(path.join(source, 'sdk-1.2', 'src', 'client.js'), 'function connect() {}\n');
+      await fs.writeFile(path.join(source, 'sdk-1.2', 'node_modules', 'dep', 'index.js'), '');
+      await fs.writeFile(path.join(source, 'sdk-1.2', 'README.md'), '# SDK\n');
+      await fs.symlink('/etc/passwd', path.join(source, 'sdk-1.2', 'passwd.md'));
+
+      const archivePath = path.join(tmpDir, 'vendor-sdk-1.2.tar.gz');
+      await tar.c({ gzip: true, file: archivePath, cwd: source }, ['sdk-1.2']);
+
+      const result = await loader.loadArchive({ path: archivePath, exclude: ['*.md'] });
+
+      expect(result.url).toBe(`archive://${archivePath}`);
+      expect(result.repo).toBe('vendor-sdk-1.2');
+      expect(result.source).toBe('archive');
+      expect(result.archive.format).toBe('tar.gz');
+      expect(result.archive.checksum).toMatch(/^[0-9a-f]{64}$/);
+      expect(result.files.map(f => f.path)).toEqual([path.join('src', 'client.js')]);
+      expect(result.fileSelection).toEqual(expect.arrayContaining([
+        expect.objectContaining({ path: 'passwd.md', included: false, reason: 'link' })
+      ]));
+      expect(result.localPath.startsWith(path.join(tmpDir, 'repos', 'archives'))).toBe(true);
+
+      const again = await loader.loadArchive(archivePath);
+      expect(again.localPath).toBe(result.localPath);
+      expect(again.archive.skippedEntries).toEqual(result.archive.skippedEntries);
+    });
+
+    test('should index zip archives', async () => {
+      const archivePath = path.join(tmpDir, 'drop.zip');
+      await writeZip(archivePath, { 'lib/util.py': 'def helper():\n    pass\n', 'setup.py': '' });
+
+      const result = await loader.loadArchive({ path: archivePath, name: 'drop-sdk' });
+
+      expect(result.repo).toBe('drop-sdk');
+      expect(result.archive.format).toBe('zip');
+      expect(result.files.map(f => f.path).sort()).toEqual([path.join('lib', 'util.py'), 'setup.py']);
+    });
+
+    test('should reject archives with members outside the extraction directory', async () => {
+      const archivePath = path.join(tmpDir, 'evil.tar');
+      await fs.writeFile(path.join(tmpDir, 'payload.js'), 'pwned');
+      await tar.c({ file: archivePath, cwd: tmpDir, preservePaths: true }, ['payload.js']);
+      // Rewrite the member name so it climbs out of the destination
+      const bytes = await fs.readFile(archivePath);
+      const header = bytes.subarray(0, 512);
+      header.fill(0, 0, 100);
+      header.write('../../escaped.js', 0);
+      header.fill(0x20, 148, 156);
+      let sum = 0;
+      for (const byte of header) sum += byte;
+      header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+      await fs.writeFile(archivePath, bytes);
+
+      await expect(loader.loadArchive(archivePath)).rejects.toThrow('Unsafe path in archive');
+      await expect(fs.access(path.join(tmpDir, 'repos', 'escaped.js'))).rejects.toThrow();
+
+      const zipPath = path.join(tmpDir, 'evil.zip');
+      await writeZip(zipPath, { 'ok.js': '' });
+      const zipBytes = await fs.readFile(zipPath);
+      let index;
+      while ((index = zipBytes.indexOf('ok.js')) !== -1) {
+        zipBytes.write('/x.js', index);
+      }
+      await fs.writeFile(zipPath, zipBytes);
+
+      await expect(loader.loadArchive(zipPath)).rejects.toThrow('Unsafe path in archive');
+    });
+  });
+
+  describe('workspaces', () => {
+    const writeTree = async (root, files) => {
+      for (const [filePath, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(root, filePath)), { recursive: true });
+        await fs.writeFile(path.join(root, filePath), typeof content === 'string' ? content : JSON.stringify(content));
+      }
+      return root;
+    };
+    const summarize = workspaces => workspaces.packages
+      .map(pkg => [pkg.name, pkg.version, pkg.path, pkg.dependsOn.map(dep => `${dep.name}:${dep.type}`)])
+      .sort((a, b) => a[0].localeCompare(b[0]));
+
+    test('should detect npm workspaces and link internal dependencies', async () => {
+      const root = await writeTree(path.join(tmpDir, 'npm'), {
+        'package.json': { name: 'root', private: true, workspaces: ['packages/*', '!packages/legacy'] },
+        'yarn.lock': '',
+        'packages/core/package.json': { name: '@acme/core', version: '1.0.0', dependencies: { lodash: '^4' } },
+        'packages/web/package.json': {
+          name: '@acme/web', version: '2.1.0',
+          dependencies: { '@acme/core': '^1.0.0' }, devDependencies: { '@acme/testing': '*' }
+        },
+        'packages/testing/package.json': { name: '@acme/testing', version: '0.1.0' },
+        'packages/legacy/package.json': { name: '@acme/legacy', version: '0.0.1' },
+        'packages/core/node_modules/dep/package.json': { name: 'dep' }
+      });
+
+      const result = await loader.loadLocalRepository(root);
+
+      expect(result.workspaces.tools).toEqual(['yarn']);
+      expect(summarize(result.workspaces)).toEqual([
+        ['@acme/core', '1.0.0', 'packages/core', []],
+        ['@acme/testing', '0.1.0', 'packages/testing', []],
+        ['@acme/web', '2.1.0', 'packages/web', ['@acme/core:runtime', '@acme/testing:dev']]
+      ]);
+      expect(result.workspaces.packages[0].manifest).toMatch(/^packages\/\w+\/package\.json$/);
+    });
+
+    test('should detect pnpm, Lerna and Nx members', async () => {
+      const pnpm = await writeTree(path.join(tmpDir, 'pnpm'), {
+        'pnpm-workspace.yaml': "packages:\n  - 'apps/*'\n  - \"libs/**\"\n",
+        'apps/site/package.json': { name: 'site', dependencies: { ui: 'workspace:*' } },
+        'libs/shared/ui/package.json': { name: 'ui', version: '3.0.0' }
+      });
+      const lerna = await writeTree(path.join(tmpDir, 'lerna'), {
+        'lerna.json': { version: 'independent' },
+        'packages/a/package.json': { name: 'a', version: '1.0.0', peerDependencies: { b: '1' } },
+        'packages/b/package.json': { name: 'b', version: '1.0.0' }
+      });
+      const nx = await writeTree(path.join(tmpDir, 'nx'), {
+        'nx.json': {},
+        'apps/shop/project.json': { name: 'shop', implicitDependencies: ['cart'] },
+        'libs/cart/project.json': { name: 'cart' },
+        'libs/cart/package.json': { name: '@shop/cart', version: '0.2.0' }
+      });
+
+      const [pnpmResult, lernaResult, nxResult] = await Promise.all([pnpm, lerna, nx].map(dir => loader.loadLocalRepository(dir)));
+
+      expect(pnpmResult.workspaces.tools).toEqual(['pnpm']);
+      expect(summarize(pnpmResult.workspaces)).toEqual([
+        ['site', null, 'apps/site', ['ui:runtime']],
+        ['ui', '3.0.0', 'libs/shared/ui', []]
+      ]);
+      expect(summarize(lernaResult.workspaces)).toEqual([
+        ['a', '1.0.0', 'packages/a', ['b:peer']],
+        ['b', '1.0.0', 'packages/b', []]
+      ]);
+      expect(summarize(nxResult.workspaces)).toEqual([
+        ['cart', '0.2.0', 'libs/cart', []],
+        ['shop', null, 'apps/shop', ['cart:implicit']]
+      ]);
+    });
+
+    test('should read flow-style and commented pnpm workspace globs', async () => {
+      const pnpm = await writeTree(path.join(tmpDir, 'pnpm-flow'), {
+        'pnpm-workspace.yaml': "# members\npackages: ['apps/*', \"libs/#shared/*\"] # flow style\n",
+        'apps/site/package.json': { name: 'site' },
+        'libs/#shared/ui/package.json': { name: 'ui' }
+      });
+
+      const result = await loader.loadLocalRepository(pnpm);
+
+      expect(summarize(result.workspaces).map(([name, , dir]) => [name, dir])).toEqual([
+        ['site', 'apps/site'],
+        ['ui', 'libs/#shared/ui']
+      ]);
+    });
+
+    test('should detect Cargo, Go and Maven multi-module builds', async () => {
+      const cargo = await writeTree(path.join(tmpDir, 'cargo'), {
+        'Cargo.toml': '[workspace]\nmembers = [\n  "crates/*", # all crates\n]\nexclude = ["crates/scratch"]\n\n[workspace.package]\nversion = "0.9.0"\n',
+        'crates/engine/Cargo.toml': '[package]\nname = "engine"\nversion.workspace = true\n\n[dependencies]\nserde = "1"\n',
+        'crates/cli/Cargo.toml': '[package]\nname = "cli"\nversion = "1.2.0"\n\n[dependencies]\ncore-engine = { package = "engine", path = "../engine" }\n\n[dev-dependencies.engine]\npath = "../engine"\n',
+        'crates/scratch/Cargo.toml': '[package]\nname = "scratch"\n'
+      });
+      const go = await writeTree(path.join(tmpDir, 'go'), {
+        'go.work': 'go 1.22\n\nuse (\n\t./api\n\t./worker // jobs\n)\n',
+        'api/go.mod': 'module example.com/api\n\ngo 1.22\n',
+        'worker/go.mod': 'module example.com/worker\n\nrequire (\n\texample.com/api v0.0.0\n\tgithub.com/x/y v1.0.0\n)\n'
+      });
+      const maven = await writeTree(path.join(tmpDir, 'maven'), {
+        'pom.xml': '<project><groupId>com.acme</groupId><artifactId>parent</artifactId><version>5.0</version><modules><module>common</module><module>services</module></modules></project>',
+        'common/pom.xml': '<project><parent><groupId>com.acme</groupId><artifactId>parent</artifactId><version>5.0</version></parent><artifactId>common</artifactId></project>',
+        'services/pom.xml': '<project><parent><groupId>com.acme</groupId><version>5.0</version></parent><artifactId>services</artifactId><modules><module>billing</module></modules>' +
+          '<dependencyManagement><dependencies><dependency><groupId>com.acme</groupId><artifactId>billing</artifactId><version>5.1</version></dependency></dependencies></dependencyManagement>' +
+          '<build><plugins><plugin><artifactId>exec</artifactId><dependencies><dependency><groupId>com.acme</groupId><artifactId>billing</artifactId></dependency></dependencies></plugin></plugins></build>' +
+          '<dependencies><dependency><groupId>com.acme</groupId><artifactId>common</artifactId></dependency></dependencies></project>',
+        'services/billing/pom.xml': '<project><groupId>com.acme</groupId><artifactId>billing</artifactId><version>5.1</version><dependencies><dependency><groupId>com.acme</groupId><artifactId>common</artifactId></dependency><dependency><groupId>junit</groupId><artifactId>junit</artifactId><scope>test</scope></dependency></dependencies></project>'
+      });
+
+      const [cargoResult, goResult, mavenResult] = await Promise.all([cargo, go, maven].map(dir => loader.loadLocalRepository(dir)));
+
+      expect(summarize(cargoResult.workspaces)).toEqual([
+        ['cli', '1.2.0', 'crates/cli', ['engine:runtime']],
+        ['engine', '0.9.0', 'crates/engine', []]
+      ]);
+      expect(summarize(goResult.workspaces)).toEqual([
+        ['example.com/api', null, 'api', []],
+        ['example.com/worker', null, 'worker', ['example.com/api:runtime']]
+      ]);
+      expect(summarize(mavenResult.workspaces)).toEqual([
+        ['billing', '5.1', 'services/billing', ['common:runtime']],
+        ['common', '5.0', 'common', []],
+        ['services', '5.0', 'services', ['common:runtime']]
+      ]);
+    });
+
+    test('should leave single-package repositories and opted-out loads without workspaces', async () => {
+      const single = await writeTree(path.join(tmpDir, 'single'), {
+        'package.json': { name: 'solo', version: '1.0.0' },
+        'go.mod': 'module example.com/solo\n'
+      });
+      const npm = await writeTree(path.join(tmpDir, 'opt-out'), {
+        'package.json': { workspaces: ['packages/*'] },
+        'packages/a/package.json': { name: 'a' }
+      });
+
+      expect((await loader.loadLocalRepository(single)).workspaces).toBeNull();
+      expect((await loader.loadLocalRepository({ path: npm, workspaces: false })).workspaces).toBeNull();
+    });
+  });
+});
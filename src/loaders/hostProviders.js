@@ -0,0 +1,237 @@
+const path = require('path');
+
+class GitHostProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  matchesHost(host) {
+    return false;
+  }
+
+  getApiBase(host) {
+    return null;
+  }
+
+  // Username sent alongside an access token over HTTPS
+  getTokenUsername() {
+    return 'x-access-token';
+  }
+
+  // Splits the URL path into repository segments and an optional branch,
+  // e.g. ['owner', 'repo', 'tree', 'main', 'src'] -> ['owner', 'repo'] + 'main'
+  extractBranch(segments) {
+    for (const marker of [['-', 'tree'], ['-', 'blob'], ['tree'], ['blob']]) {
+      const index = this.findMarker(segments, marker);
+      if (index > 0 && segments.length > index + marker.length) {
+        return {
+          segments: segments.slice(0, index),
+          branch: segments[index + marker.length]
+        };
+      }
+    }
+    return { segments, branch: null };
+  }
+
+  findMarker(segments, marker) {
+    for (let i = 2; i <= segments.length - marker.length; i++) {
+      if (marker.every((part, offset) => segments[i + offset] === part)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  splitNamespace(segments) {
+    return {
+      owner: segments.slice(0, -1).join('/'),
+      repo: segments[segments.length - 1]
+    };
+  }
+
+  buildCloneUrl(parsed, owner, repo) {
+    if (parsed.protocol === 'ssh') {
+      const user = parsed.user ? `${parsed.user}@` : '';
+      if (parsed.scpLike) {
+        return `${user}${parsed.host}:${owner}/${repo}.git`;
+      }
+      const port = parsed.port ? `:${parsed.port}` : '';
+      return `ssh://${user}${parsed.host}${port}/${owner}/${repo}.git`;
+    }
+    const port = parsed.port ? `:${parsed.port}` : '';
+    return `${parsed.protocol}://${parsed.host}${port}/${owner}/${repo}.git`;
+  }
+}
+
+class GitHubProvider extends GitHostProvider {
+  constructor(options = {}) {
+    super('github');
+    this.apiBase = options.apiBase || 'https://api.github.com';
+  }
+
+  matchesHost(host) {
+    return host === 'github.com' || host === 'www.github.com';
+  }
+
+  getApiBase(host) {
+    return this.matchesHost(host) ? this.apiBase : `https://${host}/api/v3`;
+  }
+
+  splitNamespace(segments) {
+    return { owner: segments[0], repo: segments[1] };
+  }
+
+  buildCloneUrl(parsed, owner, repo) {
+    if (parsed.protocol === 'ssh') {
+      return super.buildCloneUrl(parsed, owner, repo);
+    }
+    const host = parsed.host === 'www.github.com' ? 'github.com' : parsed.host;
+    return `https://${host}/${owner}/${repo}.git`;
+  }
+}
+
+class GitLabProvider extends GitHostProvider {
+  constructor() {
+    super('gitlab');
+  }
+
+  matchesHost(host) {
+    return host === 'gitlab.com' || host.startsWith('gitlab.');
+  }
+
+  getApiBase(host) {
+    return `https://${host}/api/v4`;
+  }
+
+  getTokenUsername() {
+    return 'oauth2';
+  }
+}
+
+class BitbucketProvider extends GitHostProvider {
+  constructor() {
+    super('bitbucket');
+  }
+
+  matchesHost(host) {
+    return host === 'bitbucket.org';
+  }
+
+  getApiBase(host) {
+    return this.matchesHost(host) ? 'https://api.bitbucket.org/2.0' : `https://${host}/rest/api/1.0`;
+  }
+
+  getTokenUsername() {
+    return 'x-token-auth';
+  }
+
+  extractBranch(segments) {
+    const index = this.findMarker(segments, ['src']);
+    if (index > 0 && segments.length > index + 1) {
+      return { segments: segments.slice(0, index), branch: segments[index + 1] };
+    }
+    return { segments, branch: null };
+  }
+}
+
+class GiteaProvider extends GitHostProvider {
+  constructor() {
+    super('gitea');
+  }
+
+  matchesHost(host) {
+    return host === 'gitea.com' || host === 'codeberg.org' || host.startsWith('gitea.');
+  }
+
+  getApiBase(host) {
+    return `https://${host}/api/v1`;
+  }
+
+  extractBranch(segments) {
+    // Gitea links look like /owner/repo/src/branch/main/path
+    const index = this.findMarker(segments, ['src']);
+    if (index > 0 && segments.length > index + 2) {
+      return { segments: segments.slice(0, index), branch: segments[index + 2] };
+    }
+    return super.extractBranch(segments);
+  }
+}
+
+class GenericGitProvider extends GitHostProvider {
+  constructor() {
+    super('generic');
+  }
+
+  matchesHost(host) {
+    return true;
+  }
+}
+
+// Breaks a git remote into protocol, host and path segments. Supports
+// http(s)://, ssh://, git://, scp-like git@host:path, file:// and plain
+// filesystem paths to (bare) repositories.
+function parseGitUrl(url) {
+  if (typeof url !== 'string' || url.trim() === '') {
+    return null;
+  }
+
+  const trimmed = url.trim();
+
+  if (trimmed.startsWith('file://')) {
+    return { protocol: 'file', host: null, localPath: path.resolve(trimmed.slice('file://'.length)) };
+  }
+
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed)) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(trimmed);
+    } catch {
+      return null;
+    }
+    return {
+      protocol: parsedUrl.protocol.replace(/:$/, '').replace(/^git\+ssh$/, 'ssh'),
+      user: parsedUrl.username || null,
+      host: parsedUrl.hostname.toLowerCase(),
+      port: parsedUrl.port || null,
+      segments: parsedUrl.pathname.split('/').filter(Boolean).map(decodeURIComponent)
+    };
+  }
+
+  const scpMatch = trimmed.match(/^(?:([^@/\s]+)@)?([^:/\s]+):(?!\/)(.+)$/);
+  if (scpMatch && scpMatch[2].length > 1) {
+    return {
+      protocol: 'ssh',
+      user: scpMatch[1] || null,
+      host: scpMatch[2].toLowerCase(),
+      port: null,
+      scpLike: true,
+      segments: scpMatch[3].split('/').filter(Boolean)
+    };
+  }
+
+  if (path.isAbsolute(trimmed) || trimmed.startsWith('.') || trimmed.endsWith('.git')) {
+    return { protocol: 'file', host: null, localPath: path.resolve(trimmed) };
+  }
+
+  return null;
+}
+
+function createDefaultProviders(options = {}) {
+  return [
+    new GitHubProvider({ apiBase: options.apiBase }),
+    new GitLabProvider(),
+    new BitbucketProvider(),
+    new GiteaProvider()
+  ];
+}
+
+module.exports = {
+  GitHostProvider,
+  GitHubProvider,
+  GitLabProvider,
+  BitbucketProvider,
+  GiteaProvider,
+  GenericGitProvider,
+  parseGitUrl,
+  createDefaultProviders
+};
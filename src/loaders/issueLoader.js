@@ -0,0 +1,158 @@
+const path = require('path');
+
+const DEFAULT_MAX_ITEMS = 500;
+const DEFAULT_MAX_COMMENTS = 2000;
+
+// Pulls issues, pull requests, their discussion and review comments and the
+// files each pull request changed through the GitHub REST API. All requests
+// go through the loader, so they share its rate limiter and credentials.
+class IssueLoader {
+  constructor(loader, repoInfo, options = {}) {
+    this.loader = loader;
+    this.repoApi = `${repoInfo.apiBase}/repos/${repoInfo.owner}/${repoInfo.repo}`;
+    this.host = repoInfo.host;
+    this.state = options.state || 'all';
+    this.since = options.since ? new Date(options.since).toISOString() : null;
+    this.maxItems = options.maxItems || DEFAULT_MAX_ITEMS;
+    this.maxComments = options.maxComments || DEFAULT_MAX_COMMENTS;
+    this.includePullRequests = options.pullRequests !== false;
+    this.includeComments = options.comments !== false;
+    this.includeReviewComments = options.reviewComments !== false;
+    this.includeFiles = options.files !== false;
+  }
+
+  async load() {
+    // The issues endpoint lists pull requests too, marked by `pull_request`
+    const items = await this.list(`${this.repoApi}/issues`, { ...this.recentFirst(), state: this.state }, this.maxItems);
+    const issues = [];
+    const pullRequests = [];
+
+    for (const item of items) {
+      if (!item.pull_request) {
+        issues.push(this.toIssue(item));
+      } else if (this.includePullRequests) {
+        pullRequests.push(this.toPullRequest(item));
+      }
+    }
+
+    if (this.includeComments) {
+      const byNumber = new Map([...issues, ...pullRequests].map(entry => [entry.number, entry]));
+      for (const comment of await this.list(`${this.repoApi}/issues/comments`, this.recentFirst(), this.maxComments)) {
+        const target = byNumber.get(numberFromUrl(comment.issue_url));
+        if (target) {
+          target.comments.push({ author: login(comment.user), body: comment.body || '', createdAt: comment.created_at });
+        }
+      }
+    }
+
+    const pullsByNumber = new Map(pullRequests.map(pullRequest => [pullRequest.number, pullRequest]));
+
+    if (this.includeReviewComments && pullRequests.length > 0) {
+      for (const comment of await this.list(`${this.repoApi}/pulls/comments`, this.recentFirst(), this.maxComments)) {
+        const target = pullsByNumber.get(numberFromUrl(comment.pull_request_url));
+        if (target) {
+          target.reviewComments.push({
+            author: login(comment.user),
+            body: comment.body || '',
+            path: comment.path ? path.normalize(comment.path) : null,
+            line: comment.line || comment.original_line || null,
+            createdAt: comment.created_at
+          });
+        }
+      }
+    }
+
+    if (this.includeFiles) {
+      for (const pullRequest of pullRequests) {
+        const files = await this.list(`${this.repoApi}/pulls/${pullRequest.number}/files`, {}, 3000);
+        pullRequest.files = files.map(file => ({
+          path: path.normalize(file.filename),
+          status: file.status,
+          additions: file.additions,
+          deletions: file.deletions,
+          changedLines: parsePatchLines(file.patch)
+        }));
+      }
+    }
+
+    return { issues, pullRequests };
+  }
+
+  list(url, params, maxItems) {
+    return this.loader.apiRequestPages(url, { host: this.host, params }, maxItems);
+  }
+
+  recentFirst() {
+    return {
+      sort: 'updated',
+      direction: 'desc',
+      ...(this.since ? { since: this.since } : {})
+    };
+  }
+
+  toIssue(item) {
+    return {
+      number: item.number,
+      title: item.title,
+      body: item.body || '',
+      state: item.state,
+      author: login(item.user),
+      labels: (item.labels || []).map(label => typeof label === 'string' ? label : label.name),
+      url: item.html_url,
+      createdAt: item.created_at,
+      updatedAt: item.updated_at,
+      closedAt: item.closed_at || null,
+      comments: []
+    };
+  }
+
+  toPullRequest(item) {
+    return {
+      ...this.toIssue(item),
+      merged: Boolean(item.pull_request.merged_at),
+      mergedAt: item.pull_request.merged_at || null,
+      resolves: parseClosingReferences(`${item.title}\n${item.body || ''}`),
+      reviewComments: [],
+      files: []
+    };
+  }
+}
+
+function login(user) {
+  return user ? user.login : null;
+}
+
+function numberFromUrl(url) {
+  const match = (url || '').match(/\/(\d+)$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// "Fixes #12", "closes #3" and friends, as recognised by GitHub
+function parseClosingReferences(text) {
+  const numbers = new Set();
+  const pattern = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s*:?\s+#(\d+)/gi;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    numbers.add(parseInt(match[1], 10));
+  }
+  return [...numbers];
+}
+
+// Lines of the new file version touched by a unified diff, as ranges
+function parsePatchLines(patch) {
+  if (!patch) {
+    return [];
+  }
+
+  const ranges = [];
+  for (const match of patch.matchAll(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/gm)) {
+    const start = parseInt(match[1], 10);
+    const count = match[2] !== undefined ? parseInt(match[2], 10) : 1;
+    if (count > 0) {
+      ranges.push({ start, end: start + count - 1 });
+    }
+  }
+  return ranges;
+}
+
+module.exports = IssueLoader;
@@ -0,0 +1,430 @@
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+const { parseToml, cargoDependencies } = require('../utils/toml');
+
+const MAX_SCAN_DEPTH = 6;
+
+// Finds the members of a monorepo from the manifests in a checkout: npm,
+// yarn and pnpm workspaces, Lerna, Nx projects, Cargo workspaces, Go
+// modules (go.work, or several go.mod files) and Maven multi-module builds.
+// Each member comes back with its name, version, directory and the other
+// members it depends on.
+class WorkspaceDetector {
+  constructor(rootPath, options = {}) {
+    this.rootPath = rootPath;
+    this.shouldSkipDirectory = options.shouldSkipDirectory || (() => false);
+    this.directories = null;
+  }
+
+  async detect() {
+    const packages = new Map();
+    const tools = new Set();
+    const add = found => {
+      for (const member of found) {
+        if (!packages.has(member.manifest)) {
+          packages.set(member.manifest, member);
+          tools.add(member.tool);
+        }
+      }
+    };
+
+    add(await this.detectNodeWorkspaces());
+    add(await this.detectNxProjects());
+    add(await this.detectCargoWorkspace());
+    add(await this.detectGoModules());
+    add(await this.detectMavenModules());
+
+    if (packages.size === 0) {
+      return null;
+    }
+
+    return { tools: [...tools], packages: linkInternalDependencies([...packages.values()]) };
+  }
+
+  // pnpm-workspace.yaml, package.json workspaces (npm / yarn) and lerna.json
+  // all list globs of directories holding a package.json
+  async detectNodeWorkspaces() {
+    const rootManifest = await this.readJson('package.json');
+    const sources = [];
+
+    const pnpm = await this.readText('pnpm-workspace.yaml');
+    if (pnpm) {
+      sources.push({ tool: 'pnpm', patterns: parseYamlList(pnpm, 'packages') });
+    }
+
+    const workspaces = rootManifest && rootManifest.workspaces;
+    const patterns = Array.isArray(workspaces) ? workspaces : (workspaces && workspaces.packages) || [];
+    if (patterns.length > 0) {
+      sources.push({ tool: await this.exists('yarn.lock') ? 'yarn' : 'npm', patterns });
+    }
+
+    const lerna = await this.readJson('lerna.json');
+    if (lerna) {
+      sources.push({ tool: 'lerna', patterns: lerna.packages || ['packages/*'] });
+    }
+
+    const members = [];
+    for (const source of sources) {
+      for (const dir of await this.matchDirectories(source.patterns)) {
+        const manifest = await this.readJson(joinPath(dir, 'package.json'));
+        if (manifest) {
+          members.push(nodePackage(dir, manifest, source.tool));
+        }
+      }
+    }
+    return members;
+  }
+
+  async detectNxProjects() {
+    if (!await this.exists('nx.json')) {
+      return [];
+    }
+
+    const members = [];
+    for (const dir of await this.listDirectories()) {
+      const project = await this.readJson(joinPath(dir, 'project.json'));
+      if (!project) {
+        continue;
+      }
+
+      const manifest = await this.readJson(joinPath(dir, 'package.json'));
+      const member = manifest
+        ? nodePackage(dir, manifest, 'nx')
+        : { name: null, version: null, path: dir, ecosystem: 'npm', tool: 'nx', dependencies: [] };
+      member.name = project.name || member.name || path.posix.basename(dir);
+      member.manifest = joinPath(dir, 'project.json');
+      for (const name of project.implicitDependencies || []) {
+        member.dependencies.push({ name, type: 'implicit' });
+      }
+      members.push(member);
+    }
+    return members;
+  }
+
+  async detectCargoWorkspace() {
+    const root = await this.readText('Cargo.toml');
+    if (!root) {
+      return [];
+    }
+
+    const rootToml = parseToml(root);
+    const workspace = rootToml.workspace;
+    if (!workspace || !Array.isArray(workspace.members)) {
+      return [];
+    }
+
+    const excluded = new Set(await this.matchDirectories(workspace.exclude || []));
+    const dirs = (await this.matchDirectories(workspace.members)).filter(dir => !excluded.has(dir));
+    if (rootToml.package) {
+      dirs.unshift('');
+    }
+
+    const members = [];
+    for (const dir of dirs) {
+      const content = dir === '' ? root : await this.readText(joinPath(dir, 'Cargo.toml'));
+      const toml = content && parseToml(content);
+      if (!toml || !toml.package || !toml.package.name) {
+        continue;
+      }
+
+      members.push({
+        name: toml.package.name,
+        version: typeof toml.package.version === 'string'
+          ? toml.package.version
+          : (rootToml.workspace.package || {}).version || null,
+        path: dir,
+        manifest: joinPath(dir, 'Cargo.toml'),
+        ecosystem: 'cargo',
+        tool: 'cargo',
+        dependencies: cargoDependencies(toml)
+      });
+    }
+    return members;
+  }
+
+  // go.work lists the modules explicitly; without one, a tree with more
+  // than one go.mod is treated as a multi-module repository
+  async detectGoModules() {
+    const goWork = await this.readText('go.work');
+    let dirs;
+
+    if (goWork) {
+      dirs = parseGoDirective(goWork, 'use').map(dir => normalizeDir(dir));
+    } else {
+      dirs = [];
+      for (const dir of ['', ...await this.listDirectories()]) {
+        if (await this.exists(joinPath(dir, 'go.mod'))) {
+          dirs.push(dir);
+        }
+      }
+      if (dirs.length < 2) {
+        return [];
+      }
+    }
+
+    const members = [];
+    for (const dir of dirs) {
+      const goMod = await this.readText(joinPath(dir, 'go.mod'));
+      const moduleMatch = goMod && goMod.match(/^module\s+(\S+)/m);
+      if (!moduleMatch) {
+        continue;
+      }
+
+      members.push({
+        name: moduleMatch[1],
+        version: null,
+        path: dir,
+        manifest: joinPath(dir, 'go.mod'),
+        ecosystem: 'go',
+        tool: 'go',
+        dependencies: parseGoDirective(goMod, 'require').map(name => ({ name, type: 'runtime' }))
+      });
+    }
+    return members;
+  }
+
+  async detectMavenModules() {
+    const root = await this.readText('pom.xml');
+    if (!root || parsePom(root).modules.length === 0) {
+      return [];
+    }
+
+    const members = [];
+    const queue = parsePom(root).modules.map(module => normalizeDir(module));
+    const seen = new Set();
+
+    while (queue.length > 0) {
+      const dir = queue.shift();
+      if (seen.has(dir)) continue;
+      seen.add(dir);
+
+      const content = await this.readText(joinPath(dir, 'pom.xml'));
+      if (!content) continue;
+
+      const pom = parsePom(content);
+      members.push({
+        name: pom.artifactId,
+        groupId: pom.groupId,
+        version: pom.version,
+        path: dir,
+        manifest: joinPath(dir, 'pom.xml'),
+        ecosystem: 'maven',
+        tool: 'maven',
+        dependencies: pom.dependencies
+      });
+      queue.push(...pom.modules.map(module => normalizeDir(joinPath(dir, module))));
+    }
+    return members;
+  }
+
+  async matchDirectories(patterns) {
+    const include = patterns.filter(pattern => !pattern.startsWith('!')).map(globToRegExp);
+    const exclude = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => globToRegExp(pattern.slice(1)));
+
+    return (await this.listDirectories()).filter(dir =>
+      include.some(regex => regex.test(dir)) && !exclude.some(regex => regex.test(dir)));
+  }
+
+  // Every directory below the root (POSIX-style, relative), walked once
+  async listDirectories() {
+    if (this.directories) {
+      return this.directories;
+    }
+
+    this.directories = [];
+    const walk = async (relativeDir, depth) => {
+      if (depth > MAX_SCAN_DEPTH) return;
+
+      let entries;
+      try {
+        entries = await fs.readdir(path.join(this.rootPath, relativeDir), { withFileTypes: true });
+      } catch {
+        return;
+      }
+
+      for (const entry of entries) {
+        if (!entry.isDirectory() || entry.name.startsWith('.') || this.shouldSkipDirectory(entry.name)) {
+          continue;
+        }
+        const dir = joinPath(relativeDir, entry.name);
+        this.directories.push(dir);
+        await walk(dir, depth + 1);
+      }
+    };
+
+    await walk('', 1);
+    this.directories.sort();
+    return this.directories;
+  }
+
+  async readText(relativePath) {
+    try {
+      return await fs.readFile(path.join(this.rootPath, relativePath), 'utf-8');
+    } catch {
+      return null;
+    }
+  }
+
+  async readJson(relativePath) {
+    const content = await this.readText(relativePath);
+    if (content === null) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch {
+      return null;
+    }
+  }
+
+  async exists(relativePath) {
+    try {
+      await fs.access(path.join(this.rootPath, relativePath));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+const NODE_DEPENDENCY_FIELDS = {
+  dependencies: 'runtime',
+  devDependencies: 'dev',
+  peerDependencies: 'peer',
+  optionalDependencies: 'optional'
+};
+
+function nodePackage(dir, manifest, tool) {
+  const dependencies = [];
+  for (const [field, type] of Object.entries(NODE_DEPENDENCY_FIELDS)) {
+    for (const name of Object.keys(manifest[field] || {})) {
+      dependencies.push({ name, type });
+    }
+  }
+
+  return {
+    name: manifest.name || path.posix.basename(dir),
+    version: manifest.version || null,
+    path: dir,
+    manifest: joinPath(dir, 'package.json'),
+    ecosystem: 'npm',
+    tool,
+    dependencies
+  };
+}
+
+// Keeps only dependencies on other members, as { name, type } pointing at
+// the member's name, and drops self-references
+function linkInternalDependencies(members) {
+  const byAlias = new Map();
+  for (const member of members) {
+    byAlias.set(member.name, member.name);
+    if (member.groupId) {
+      byAlias.set(`${member.groupId}:${member.name}`, member.name);
+    }
+  }
+
+  return members.map(({ dependencies, groupId, ...member }) => {
+    const dependsOn = new Map();
+    for (const dependency of dependencies) {
+      const target = byAlias.get(dependency.name);
+      if (target && target !== member.name && !dependsOn.has(target)) {
+        dependsOn.set(target, { name: target, type: dependency.type });
+      }
+    }
+    return { ...member, ...(groupId ? { groupId } : {}), dependsOn: [...dependsOn.values()] };
+  });
+}
+
+function joinPath(dir, name) {
+  return dir ? `${dir}/${name}` : name;
+}
+
+function normalizeDir(dir) {
+  const normalized = path.posix.normalize(dir.replace(/\\/g, '/')).replace(/^\.\/?|\/$/g, '');
+  return normalized === '.' ? '' : normalized;
+}
+
+function globToRegExp(pattern) {
+  const source = normalizeDir(pattern)
+    .split('/')
+    .map(segment => segment === '**'
+      ? '.*'
+      : segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]'))
+    .join('/')
+    .replace(/\.\*\//g, '(?:.*/)?');
+  return new RegExp(`^${source}$`);
+}
+
+// The string items of a top-level list, e.g. pnpm-workspace.yaml's
+// `packages`; files that do not parse list nothing
+function parseYamlList(content, key) {
+  let parsed;
+  try {
+    parsed = YAML.parse(content);
+  } catch {
+    return [];
+  }
+
+  const items = parsed && Array.isArray(parsed[key]) ? parsed[key] : [];
+  return items.filter(item => typeof item === 'string');
+}
+
+// Arguments of a go.mod / go.work directive in both the single-line and
+// the parenthesised block form, e.g. the module paths of `require`
+function parseGoDirective(content, directive) {
+  const values = [];
+  const block = new RegExp(`^${directive}\\s*\\(([\\s\\S]*?)^\\)`, 'gm');
+  const single = new RegExp(`^${directive}\\s+([^\\s(]+)`, 'gm');
+
+  for (const match of content.matchAll(block)) {
+    for (const line of match[1].split('\n')) {
+      const value = line.replace(/\/\/.*$/, '').trim().split(/\s+/)[0];
+      if (value) values.push(value);
+    }
+  }
+  for (const match of content.matchAll(single)) {
+    values.push(match[1]);
+  }
+
+  return values;
+}
+
+// Project coordinates, child modules and dependencies of a pom.xml. Nested
+// sections that repeat groupId/artifactId/version are cut out first, those
+// with <dependencies> of their own (managed versions, plugins, profiles)
+// before the project's dependencies are read.
+function parsePom(content) {
+  const strip = (text, sections) => sections.reduce((result, section) =>
+    result.replace(new RegExp(`<${section}>[\\s\\S]*?</${section}>`, 'g'), ''), text);
+  let xml = strip(content.replace(/<!--[\s\S]*?-->/g, ''), ['dependencyManagement', 'build', 'profiles', 'reporting']);
+  const parent = (xml.match(/<parent>([\s\S]*?)<\/parent>/) || [])[1] || '';
+  const dependencyBlock = (xml.match(/<dependencies>([\s\S]*?)<\/dependencies>/) || [])[1] || '';
+
+  xml = strip(xml, ['parent', 'dependencies', 'pluginRepositories', 'repositories']);
+
+  const tag = (text, name) => {
+    const match = text.match(new RegExp(`<${name}>\\s*([^<]+?)\\s*</${name}>`));
+    return match ? match[1] : null;
+  };
+
+  const dependencies = [...dependencyBlock.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)].map(match => {
+    const scope = tag(match[1], 'scope');
+    return {
+      name: `${tag(match[1], 'groupId')}:${tag(match[1], 'artifactId')}`,
+      type: scope === 'test' ? 'dev' : 'runtime'
+    };
+  });
+
+  return {
+    groupId: tag(xml, 'groupId') || tag(parent, 'groupId'),
+    artifactId: tag(xml, 'artifactId'),
+    version: tag(xml, 'version') || tag(parent, 'version'),
+    modules: [...xml.matchAll(/<module>\s*([^<]+?)\s*<\/module>/g)].map(match => match[1]),
+    dependencies
+  };
+}
+
+module.exports = WorkspaceDetector;
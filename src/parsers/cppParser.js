@@ -0,0 +1,534 @@
+const path = require('path');
+const { createLineIndex, findClosing, findAngleClosing } = require('./sourceText');
+
+// Storage class and function specifiers that may lead a declaration
+const SPECIFIER_REGEX = /^(?:(static|inline|virtual|explicit|constexpr|consteval|constinit|friend|thread_local|extern(?:\s*"[^"]*")?|__inline|__forceinline|_Noreturn)\b\s*)/;
+
+// Access labels, and function-like or all-caps macro invocations on a line
+// of their own (Q_OBJECT, DECLARE_...(...)), that may precede a declaration
+// without a `;` of their own
+const LABEL_REGEX = /^(?:(public|private|protected)(?:\s+(?:slots|Q_SLOTS))?\s*:(?!:)|(?:signals|Q_SIGNALS)\s*:(?!:)|(?:[A-Z][A-Z0-9]*_[A-Z0-9_]*(?:\s*\([^()]*\))?|[A-Z][A-Z0-9_]*\s*\([^()]*\))[ \t]*\n)\s*/;
+
+const CLASS_REGEX = /^(typedef\s+)?(class|struct|union|enum(?:\s+(?:class|struct))?)\b\s*(?:[A-Z_][A-Z0-9_]*\s+(?=\w)(?!final\b))?(\w+)?\s*(?:<[\s\S]*>)?\s*(?:final\b\s*)?(?::\s*([\s\S]+))?$/;
+
+// Words that can stand before a `(` without naming a function
+const NOT_FUNCTION_NAMES = new Set([
+  'if', 'while', 'for', 'switch', 'return', 'sizeof', 'alignof', 'decltype', 'static_assert',
+  'typedef', 'using', 'case', 'catch', 'throw', 'new', 'delete', 'defined', 'void', 'int',
+  'char', 'short', 'long', 'float', 'double', 'unsigned', 'signed', 'bool', 'auto', 'const',
+  'volatile', 'struct', 'enum', 'union', 'class'
+]);
+
+const C_EXTENSIONS = ['.c'];
+
+// Parses C and C++ source and headers into the FileParser result shape.
+// Comments and string and char literals are masked out and preprocessor
+// directives read (and then blanked) line by line; declarations are read
+// scope by scope, so members know their class and namespace. Functions
+// are marked as declarations (prototypes) or definitions, which is what
+// lets the graph pair a header with its source file. Code in every
+// #if/#else branch is read, so branches that open braces differently can
+// throw the nesting off.
+function parseCpp(content, filePath = '') {
+  const masked = maskCpp(content);
+  const lineAt = createLineIndex(content);
+  const result = {
+    type: 'cpp',
+    namespaces: [],
+    functions: [],
+    classes: [],
+    macros: [],
+    imports: [],
+    importDetails: [],
+    comments: masked.comments
+  };
+
+  const code = readDirectives(content, masked.code, lineAt, result);
+  result.type = languageFor(filePath, code);
+  parseScope({ code, lineAt, result }, 0, code.length, {
+    namespace: [],
+    classPath: [],
+    classEntry: null,
+    access: null
+  });
+
+  return result;
+}
+
+// .c files are C; headers are C unless they use C++ syntax
+function languageFor(filePath, code) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (C_EXTENSIONS.includes(extension)) {
+    return 'c';
+  }
+  if (extension === '.h') {
+    return /\b(?:class|namespace|template)\b|::/.test(code) ? 'cpp' : 'c';
+  }
+  return 'cpp';
+}
+
+// Collects #include and #define directives (following `\` continuations)
+// and returns the code with every directive blanked out
+function readDirectives(content, code, lineAt, result) {
+  const chars = code.split('');
+  const directiveRegex = /^[ \t]*#/gm;
+  let match;
+
+  while ((match = directiveRegex.exec(code)) !== null) {
+    const start = match.index;
+    let end = code.indexOf('\n', start);
+    while (end !== -1 && /\\[ \t]*$/.test(code.slice(start, end))) {
+      end = code.indexOf('\n', end + 1);
+    }
+    if (end === -1) end = code.length;
+
+    const text = code.slice(start, end).replace(/\\[ \t]*\n/g, ' ');
+    const include = /^\s*#\s*(?:include|include_next|import)\b/.test(text) &&
+      content.slice(start, end).match(/#\s*\w+\s*(?:<([^>\n]*)>|"([^"\n]*)")/);
+    const define = text.match(/^\s*#\s*define\s+(\w+)(\([^)]*\))?/);
+
+    if (include) {
+      const source = (include[1] || include[2]).trim();
+      result.imports.push(source);
+      result.importDetails.push({
+        source,
+        kind: 'include',
+        names: [],
+        system: Boolean(include[1]),
+        line: lineAt(start)
+      });
+    } else if (define) {
+      const value = content.slice(start, end)
+        .replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, '')
+        .replace(/\\[ \t]*\n/g, ' ')
+        .replace(/^\s*#\s*define\s+\w+(?:\([^)]*\))?/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+      result.macros.push({
+        name: define[1],
+        line: lineAt(start),
+        endLine: lineAt(end),
+        params: define[2] ? splitTopLevel(define[2].slice(1, -1)) : null,
+        value
+      });
+    }
+
+    for (let i = start; i < end; i++) {
+      if (chars[i] !== '\n') chars[i] = ' ';
+    }
+    directiveRegex.lastIndex = end;
+  }
+
+  return chars.join('');
+}
+
+function parseScope(state, from, to, scope) {
+  const { code } = state;
+  let i = from;
+
+  while (i < to) {
+    i = skipWhitespace(code, i);
+    if (i >= to) break;
+    if (code[i] === ';' || code[i] === '}') {
+      i++;
+      continue;
+    }
+
+    let start = i;
+    let stop = findStatementStop(code, start, to);
+    let label;
+    while ((label = code.slice(start, stop).match(LABEL_REGEX))) {
+      if (label[1]) scope.access = label[1];
+      start += label[0].length;
+    }
+
+    i = start < stop ? parseDeclaration(state, start, stop, to, scope) : stop + 1;
+  }
+}
+
+// Reads the declaration from `start` to its `;` or `{` at `stop` and
+// returns the offset just past it
+function parseDeclaration(state, start, stop, to, scope) {
+  const { code, lineAt, result } = state;
+  const opener = code[stop];
+  const line = lineAt(start);
+  let text = code.slice(start, stop).trim();
+  let template = null;
+
+  let templateMatch;
+  while ((templateMatch = text.match(/^template\s*</))) {
+    const close = findAngleClosing(text, templateMatch[0].length - 1);
+    template = text.slice(templateMatch[0].length, close).trim();
+    text = text.slice(close + 1).trim();
+  }
+  text = stripAttributes(text);
+
+  const namespaceMatch = text.match(/^(?:inline\s+)?namespace\b\s*([\w:\s]*)$/);
+  if (namespaceMatch && opener === '{') {
+    const close = findClosing(code, stop);
+    const names = namespaceMatch[1].split('::').map(name => name.replace(/^inline\s+/, '').trim()).filter(Boolean);
+    const namespace = [...scope.namespace, ...names];
+    if (names.length > 0) {
+      result.namespaces.push({ name: namespace.join('::'), line, endLine: lineAt(close) });
+    }
+    parseScope(state, stop + 1, close, { ...scope, namespace });
+    return close + 1;
+  }
+
+  if (/^extern\s*"[^"]*"$/.test(text) && opener === '{') {
+    const close = findClosing(code, stop);
+    parseScope(state, stop + 1, close, scope);
+    return close + 1;
+  }
+
+  const classMatch = text.match(CLASS_REGEX);
+  if (classMatch && opener === '{') {
+    return parseClass(state, classMatch, template, start, stop, to, scope);
+  }
+
+  const func = parseFunction(state, text, template, opener, scope);
+  if (func) {
+    const close = opener === '{' ? findClosing(code, stop) : stop;
+    result.functions.push({ ...func, line, endLine: lineAt(close) });
+    if (scope.classEntry && !scope.classEntry.methods.includes(func.name)) {
+      scope.classEntry.methods.push(func.name);
+    }
+    return close + 1;
+  }
+
+  if (scope.classEntry && opener === ';') {
+    scope.classEntry.fields.push(...parseFields(text));
+  }
+  return opener === '{' ? findClosing(code, stop) + 1 : stop + 1;
+}
+
+// A class, struct, union or enum definition. Nested types are qualified
+// with their enclosing class; the declarators after the body (`} a, b;`)
+// name anonymous typedef'd structs.
+function parseClass(state, match, template, start, open, to, scope) {
+  const { code, lineAt, result } = state;
+  const [, typedef, keyword, explicitName, baseClause] = match;
+  const close = findClosing(code, open);
+  const semicolon = findSemicolon(code, close + 1, to);
+  const declarators = code.slice(close + 1, semicolon).trim();
+  const typedefName = typedef && declarators.match(/(\w+)\s*(?:,|$)/);
+  const name = explicitName || (typedefName ? typedefName[1] : null);
+
+  if (!name) {
+    return semicolon + 1;
+  }
+
+  const kind = keyword.startsWith('enum') ? 'enum' : keyword;
+  const bases = kind === 'enum' || !baseClause ? [] : splitTopLevel(baseClause)
+    .map(base => base.replace(/^(?:(?:public|private|protected|virtual)\s+)*/, '').trim());
+  const entry = {
+    name,
+    kind,
+    line: lineAt(start),
+    endLine: lineAt(close),
+    qualifiedName: [...scope.namespace, ...scope.classPath, name].join('::'),
+    namespace: scope.namespace.join('::') || null,
+    extends: bases.length > 0 ? typeName(bases[0]) : null,
+    implements: [],
+    bases,
+    methods: [],
+    fields: [],
+    ...(template !== null ? { template } : {}),
+    ...(scope.classEntry ? { outerClass: scope.classEntry.name, access: scope.access } : {}),
+    ...(typedef && explicitName && typedefName ? { alias: typedefName[1] } : {})
+  };
+  result.classes.push(entry);
+
+  if (kind === 'enum') {
+    entry.variants = splitTopLevel(code.slice(open + 1, close))
+      .map(variant => (variant.match(/^\w+/) || [])[0])
+      .filter(Boolean);
+  } else {
+    parseScope(state, open + 1, close, {
+      namespace: scope.namespace,
+      classPath: [...scope.classPath, name],
+      classEntry: entry,
+      access: kind === 'class' ? 'private' : 'public'
+    });
+  }
+
+  return semicolon + 1;
+}
+
+// Function declarations and definitions; null for anything else that has
+// parentheses (variables initialised with `(...)`, function pointers,
+// macro invocations)
+function parseFunction(state, text, template, opener, scope) {
+  const specifiers = [];
+  let rest = text;
+  let specifier;
+  while ((specifier = rest.match(SPECIFIER_REGEX))) {
+    specifiers.push(specifier[1].split(/\s|"/)[0]);
+    rest = rest.slice(specifier[0].length);
+  }
+  if (specifiers.includes('friend')) {
+    return null;
+  }
+
+  const open = findParamsOpen(rest);
+  if (open === -1) {
+    return null;
+  }
+
+  const before = rest.slice(0, open);
+  const nameMatch = before.match(/((?:~?\w+\s*(?:<[^()<>]*>)?\s*::\s*)*(?:~\s*\w+|operator\b[\s\S]*|\w+))\s*$/);
+  if (!nameMatch) {
+    return null;
+  }
+
+  const qualified = nameMatch[1].replace(/\s*::\s*/g, '::').replace(/\s+/g, ' ').replace(/~ /, '~');
+  const parts = qualified.split('::');
+  const name = parts.pop();
+  const qualifiers = parts.map(part => part.replace(/<[\s\S]*>$/, '').trim());
+  const returnType = before.slice(0, nameMatch.index).trim();
+  const className = qualifiers.length > 0 && !state.result.namespaces.some(ns => ns.name.endsWith(qualifiers.join('::')))
+    ? qualifiers[qualifiers.length - 1]
+    : (scope.classPath[scope.classPath.length - 1] || null);
+
+  if (NOT_FUNCTION_NAMES.has(name) || /=|^(?:typedef|using|return|case|goto)\b/.test(returnType)) {
+    return null;
+  }
+  if (!returnType && !name.startsWith('~') && name !== className && !name.startsWith('operator')) {
+    return null;
+  }
+
+  const close = findClosing(rest, open);
+  const paramsText = rest.slice(open + 1, close).trim();
+  const params = paramsText === 'void' ? [] : splitTopLevel(paramsText);
+  const [qualifierText] = rest.slice(close + 1).trim().split(/(?<!:):(?!:)/);
+  if (!/^(?:[\s\w&]|\([^()]*\)|->[^=]*|=\s*\w+)*$/.test(qualifierText)) {
+    return null;
+  }
+  if (opener === ';' && params.some(param => /^(?:["'\d-]|(?:true|false|nullptr|NULL)$)/.test(param))) {
+    return null;
+  }
+
+  const assigned = (qualifierText.match(/=\s*(\w+)\s*$/) || [])[1];
+  if (assigned === 'delete') {
+    return null;
+  }
+  const trailing = qualifierText.match(/->\s*(.+?)\s*(?:\b(?:override|final)\b\s*)*(?:=\s*\w+\s*)?$/);
+
+  return {
+    name,
+    qualifiedName: [...scope.namespace, ...scope.classPath, ...qualifiers, name].join('::'),
+    type: className ? 'method' : 'function',
+    ...(className ? { className } : {}),
+    namespace: scope.namespace.join('::') || null,
+    declaration: opener === ';' && assigned !== 'default',
+    params,
+    results: trailing ? trailing[1] : returnType || null,
+    static: specifiers.includes('static'),
+    ...(specifiers.includes('inline') ? { inline: true } : {}),
+    ...(specifiers.includes('virtual') ? { virtual: true } : {}),
+    ...(assigned === '0' ? { pure: true } : {}),
+    ...(/\bconst\b/.test(qualifierText.replace(/->[\s\S]*/, '')) ? { const: true } : {}),
+    ...(template !== null ? { template } : {}),
+    ...(scope.classEntry ? { access: scope.access } : {})
+  };
+}
+
+// Offset of the `(` opening a function's parameter list: the first one
+// at the top level that is not part of an operator name, decltype(...)
+// or a template argument list. -1 when an initializer comes first.
+function findParamsOpen(text) {
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (text.startsWith('operator', i) && !/\w/.test(text[i - 1] || '') && !/\w/.test(text[i + 8] || '')) {
+      const symbol = text.slice(i + 8).match(/^\s*(?:\(\s*\)|\[\s*\]|[^\s\w(]+|[\w\s:<>*&[\]]+?)\s*(?=\()/);
+      return symbol ? i + 8 + symbol[0].length : -1;
+    }
+    if (char === '(') {
+      if (/\b(?:decltype|typeof|__typeof__|alignof|sizeof)\s*$/.test(text.slice(0, i))) {
+        i = findClosing(text, i);
+        continue;
+      }
+      return i;
+    }
+    if (char === '[') {
+      i = findClosing(text, i);
+    } else if (char === '<' && /\w\s*$/.test(text.slice(0, i))) {
+      i = findAngleClosing(text, i);
+    } else if (char === '=' || char === '{') {
+      return -1;
+    }
+  }
+  return -1;
+}
+
+// Member variables of a class body statement: `int a, *b[4];` -> a and b
+function parseFields(text) {
+  if (/^(?:using|typedef|friend|static_assert|enum|template)\b/.test(text)) {
+    return [];
+  }
+
+  const declarators = splitTopLevel(text.replace(SPECIFIER_REGEX, ''));
+  const first = (declarators.shift() || '').match(/^(.*?[\w>*&\]\s])\s*([*&]*)\s*(\w+)\s*(?:\[[^\]]*\]\s*)*(?::\s*\w+)?\s*(?:=[\s\S]*|\{[\s\S]*\})?$/);
+  if (!first || !/\w/.test(first[1])) {
+    return [];
+  }
+
+  const type = first[1].trim();
+  const fields = [{ name: first[3], type: `${type}${first[2]}` }];
+  for (const declarator of declarators) {
+    const match = declarator.match(/^([*&]*)\s*(\w+)/);
+    if (match) {
+      fields.push({ name: match[2], type: `${type}${match[1]}` });
+    }
+  }
+  return fields;
+}
+
+// `ns::Base<T>` -> `Base`
+function typeName(text) {
+  const base = text.replace(/<[\s\S]*>/, '').trim();
+  return base.split('::').pop().trim();
+}
+
+function stripAttributes(text) {
+  let result = text;
+  let match;
+  while ((match = result.match(/\[\[|\b(?:__attribute__|__declspec|alignas)\s*\(/))) {
+    const open = match[0] === '[[' ? match.index : match.index + match[0].length - 1;
+    const close = findClosing(result, open);
+    result = `${result.slice(0, match.index)} ${result.slice(close + 1)}`.trim();
+  }
+  return result;
+}
+
+// Splits on `separator` outside brackets and template argument lists
+function splitTopLevel(text, separator = ',') {
+  const parts = [];
+  let depth = 0;
+  let last = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    } else if (char === '<' && /\w\s*$/.test(text.slice(last, i))) {
+      i = findAngleClosing(text, i);
+    } else if (depth === 0 && text.startsWith(separator, i)) {
+      parts.push(text.slice(last, i));
+      last = i + separator.length;
+      i = last - 1;
+    }
+  }
+  parts.push(text.slice(last));
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// Offset of the `;` or `{` that ends the declaration starting at `from`.
+// The braces of a constructor's member initializers (`: a_{x} {`) are
+// skipped so its body is found.
+function findStatementStop(code, from, to) {
+  let initializers = false;
+
+  for (let i = from; i < to; i++) {
+    const char = code[i];
+    if (char === ';' || char === '}') {
+      return i;
+    }
+    if (char === '(' || char === '[') {
+      i = findClosing(code, i);
+    } else if (char === ':') {
+      if (code[i + 1] === ':') {
+        i++;
+      } else if (/\)\s*(?:noexcept\s*)?$/.test(code.slice(Math.max(from, i - 40), i))) {
+        initializers = true;
+      }
+    } else if (char === '{') {
+      if (initializers && /[\w>]\s*$/.test(code.slice(Math.max(from, i - 40), i))) {
+        i = findClosing(code, i);
+      } else {
+        return i;
+      }
+    }
+  }
+  return to;
+}
+
+function findSemicolon(code, from, to) {
+  for (let i = from; i < to; i++) {
+    if (code[i] === ';') return i;
+    if (code[i] === '(' || code[i] === '[' || code[i] === '{') i = findClosing(code, i);
+  }
+  return to;
+}
+
+function skipWhitespace(code, from) {
+  let i = from;
+  while (i < code.length && /\s/.test(code[i])) i++;
+  return i;
+}
+
+// Blanks out comments and the contents of string, raw string and char
+// literals, keeping offsets and newlines, and collects the comments. A
+// quote inside a number is a digit separator (1'000'000).
+function maskCpp(content) {
+  const chars = content.split('');
+  const comments = [];
+  const lineAt = createLineIndex(content);
+  let i = 0;
+
+  const blank = (from, to) => {
+    for (let j = from; j < to; j++) {
+      if (chars[j] !== '\n') chars[j] = ' ';
+    }
+  };
+
+  while (i < content.length) {
+    const char = content[i];
+    const next = content[i + 1];
+    const rawString = /(?:u8|[uUL])?R"([^()\\\s]{0,16})\(/y;
+    rawString.lastIndex = i;
+    const raw = /[uULR]/.test(char) && (i === 0 || !/\w/.test(content[i - 1])) && rawString.exec(content);
+
+    if (char === '/' && next === '/') {
+      let end = content.indexOf('\n', i);
+      while (end !== -1 && content[end - 1] === '\\') end = content.indexOf('\n', end + 1);
+      if (end === -1) end = content.length;
+      comments.push({ text: content.slice(i, end), line: lineAt(i), type: 'single' });
+      blank(i, end);
+      i = end;
+    } else if (char === '/' && next === '*') {
+      const close = content.indexOf('*/', i + 2);
+      const end = close === -1 ? content.length : close + 2;
+      comments.push({ text: content.slice(i, end), line: lineAt(i), type: 'multi' });
+      blank(i, end);
+      i = end;
+    } else if (raw) {
+      const close = content.indexOf(`)${raw[1]}"`, i + raw[0].length);
+      const end = close === -1 ? content.length : close;
+      blank(i + raw[0].length, end);
+      i = end + raw[1].length + 2;
+    } else if (char === '\'' && /\b\d[\w']*$/.test(content.slice(Math.max(0, i - 40), i))) {
+      i++;
+    } else if (char === '"' || char === '\'') {
+      let j = i + 1;
+      while (j < content.length && content[j] !== char && content[j] !== '\n') {
+        if (content[j] === '\\') j++;
+        j++;
+      }
+      blank(i + 1, j);
+      i = j + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return { code: chars.join(''), comments };
+}
+
+module.exports = {
+  parseCpp
+};
@@ -1,5 +1,13 @@
 const path = require('path');
 const fs = require('fs').promises;
+const { Operation } = require('../utils/abort');
+const { parseJavaScript } = require('./javascriptParser');
+const { parseGo } = require('./goParser');
+const { parseRust, parseCargoManifest } = require('./rustParser');
+const { parseRuby } = require('./rubyParser');
+const { parsePhp } = require('./phpParser');
+const { parseCpp } = require('./cppParser');
+const { parseYaml } = require('./yamlParser');
 
 class FileParser {
   constructor() {
@@ -10,23 +18,93 @@ class FileParser {
       '.tsx': this.parseJavaScript.bind(this),
       '.py': this.parsePython.bind(this),
       '.java': this.parseJava.bind(this),
+      '.go': parseGo,
+      '.rs': parseRust,
+      '.rb': parseRuby,
+      '.php': parsePhp,
+      '.c': parseCpp,
+      '.h': parseCpp,
+      '.cpp': parseCpp,
+      '.cc': parseCpp,
+      '.cxx': parseCpp,
+      '.hpp': parseCpp,
+      '.hh': parseCpp,
+      '.hxx': parseCpp,
       '.md': this.parseMarkdown.bind(this),
       '.json': this.parseJSON.bind(this),
       '.yaml': this.parseYAML.bind(this),
       '.yml': this.parseYAML.bind(this)
     };
+    this.filenameParsers = {
+      'Cargo.toml': parseCargoManifest
+    };
   }
 
-  async parseRepository(repoData) {
+  // Adds a parser plugin, replacing any parser for the same extensions or
+  // file names. plugin.parse(content, filePath, fileParser) returns the
+  // usual result fields (functions, classes, imports, ...) and may add
+  // `nodes` and `edges` of its own types for the knowledge graph; `type`
+  // defaults to plugin.name.
+  registerParser(plugin) {
+    if (!plugin || typeof plugin.parse !== 'function') {
+      throw new Error('Parser plugins need a parse(content, filePath) function');
+    }
+
+    const extensions = normalizeExtensions(plugin.extensions);
+    const filenames = plugin.filenames || [];
+    if (extensions.length === 0 && filenames.length === 0) {
+      throw new Error('Parser plugins need extensions or filenames to match');
+    }
+
+    const parse = async (content, filePath) => ({
+      type: plugin.name || 'generic',
+      ...await plugin.parse(content, filePath, this)
+    });
+    for (const ext of extensions) {
+      this.parsers[ext] = parse;
+    }
+    for (const filename of filenames) {
+      this.filenameParsers[filename] = parse;
+    }
+
+    return { extensions, filenames };
+  }
+
+  getParser(filePath) {
+    return this.filenameParsers[path.basename(filePath)] ||
+      this.parsers[path.extname(filePath).toLowerCase()] ||
+      this.parseGeneric.bind(this);
+  }
+
+  // options.onProgress(type, payload) is called with file:parsed after
+  // each file; options.signal and options.timeout (ms) stop parsing between
+  // files
+  async parseRepository(repoData, options = {}) {
+    const operation = new Operation(options);
     const parsedFiles = [];
     
-    for (const file of repoData.files) {
+    for (const [index, file] of repoData.files.entries()) {
+      operation.throwIfAborted();
+      const started = Date.now();
       const parsed = await this.parseFile(file.fullPath || file.path, file.content);
       parsedFiles.push({
         ...parsed,
         repository: repoData.url,
-        relativePath: file.path
+        relativePath: file.path,
+        commit: repoData.commit || null,
+        ref: repoData.ref || null
       });
+
+      if (options.onProgress) {
+        options.onProgress('file:parsed', {
+          repository: repoData.url,
+          path: file.path,
+          fileType: parsed.type || null,
+          index: index + 1,
+          total: repoData.files.length,
+          durationMs: Date.now() - started
+        });
+      }
     }
     
     return {
@@ -34,6 +112,19 @@ class FileParser {
       owner: repoData.owner,
       repo: repoData.repo,
       branch: repoData.branch,
+      commit: repoData.commit || null,
+      ref: repoData.ref || null,
+      filterFingerprint: repoData.filterFingerprint || null,
+      source: repoData.source || 'github',
+      archive: repoData.archive || null,
+      incremental: Boolean(repoData.incremental),
+      changes: repoData.changes || null,
+      fileSelection: repoData.fileSelection || [],
+      fileStats: repoData.fileStats || null,
+      failedSubmodules: repoData.failedSubmodules || [],
+      workspaces: repoData.workspaces || null,
+      history: repoData.history || null,
+      issues: repoData.issues || null,
       files: parsedFiles,
       metadata: {
         totalFiles: parsedFiles.length,
@@ -58,6 +149,8 @@ class FileParser {
       path: pathData.path,
       repository: pathData.repository,
       type: pathData.type,
+      commit: pathData.commit || null,
+      fileStats: pathData.fileStats || null,
       files: parsedFiles
     };
   }
@@ -69,7 +162,7 @@ class FileParser {
       }
       
       const ext = path.extname(filePath).toLowerCase();
-      const parser = this.parsers[ext] || this.parseGeneric.bind(this);
+      const parser = this.getParser(filePath);
       
       const parsed = await parser(content, filePath);
       
@@ -89,7 +182,17 @@ class FileParser {
     }
   }
 
+  // Source the AST parser cannot make sense of (or non-standard syntax it
+  // has no plugin for) falls back to the regex scan below
   parseJavaScript(content, filePath) {
+    try {
+      return parseJavaScript(content, filePath);
+    } catch {
+      return this.parseJavaScriptWithRegex(content, filePath);
+    }
+  }
+
+  parseJavaScriptWithRegex(content, filePath) {
     const result = {
       type: 'javascript',
       functions: [],
@@ -330,25 +433,11 @@ class FileParser {
   }
 
   parseYAML(content, filePath) {
-    const result = {
-      type: 'yaml',
-      keys: [],
-      structure: {}
+    const { documents, ...result } = parseYaml(content, filePath);
+    return {
+      ...result,
+      structure: this.analyzeJSONStructure(documents.length === 1 ? documents[0] : documents)
     };
-
-    const lines = content.split('\n');
-    const keyRegex = /^(\s*)([^:#]+):\s*(.*)?$/;
-
-    for (const line of lines) {
-      const match = line.match(keyRegex);
-      if (match) {
-        const indent = match[1].length;
-        const key = match[2].trim();
-        result.keys.push({ key, indent });
-      }
-    }
-
-    return result;
   }
 
   parseGeneric(content, filePath) {
@@ -393,4 +482,8 @@ class FileParser {
   }
 }
 
+function normalizeExtensions(extensions = []) {
+  return extensions.map(ext => (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase());
+}
+
 module.exports = FileParser;
\ No newline at end of file
@@ -0,0 +1,338 @@
+const { createLineIndex, findClosing } = require('./sourceText');
+
+// Parses Go source into the FileParser result shape. Comments and string
+// literals are masked out first, so the declaration patterns below (which
+// assume gofmt layout: top-level declarations start at column 0) never
+// match inside them.
+function parseGo(content) {
+  const { code, comments } = maskGo(content);
+  const lineAt = createLineIndex(content);
+  const result = {
+    type: 'go',
+    packageName: null,
+    functions: [],
+    classes: [],
+    imports: [],
+    importDetails: [],
+    exports: [],
+    comments
+  };
+
+  const packageMatch = code.match(/^package\s+(\w+)/m);
+  if (packageMatch) {
+    result.packageName = packageMatch[1];
+  }
+
+  for (const spec of declarationSpecs(code, 'import')) {
+    const match = content.slice(spec.start, spec.end).match(/^(?:([\w.]+)\s+)?"([^"]+)"/);
+    if (!match) continue;
+
+    const source = match[2];
+    const local = match[1] || source.split('/').pop();
+    result.imports.push(source);
+    result.importDetails.push({
+      source,
+      kind: 'import',
+      names: local === '_' ? [] : [{ imported: '*', local }],
+      ...(match[1] ? { alias: match[1] } : {}),
+      line: lineAt(spec.start)
+    });
+  }
+
+  for (const spec of declarationSpecs(code, 'type')) {
+    const type = parseTypeSpec(code, spec, lineAt);
+    if (type) {
+      result.classes.push(type);
+    }
+  }
+
+  for (const keyword of ['var', 'const']) {
+    for (const spec of declarationSpecs(code, keyword)) {
+      const names = code.slice(spec.start, spec.end).match(/^\w+(?:\s*,\s*\w+)*/);
+      for (const name of names ? names[0].split(/\s*,\s*/) : []) {
+        if (/^[A-Z]/.test(name)) {
+          result.exports.push(name);
+        }
+      }
+    }
+  }
+
+  // Each whitespace run has one place to go, so an unterminated receiver
+  // fails in linear time
+  const funcRegex = /^func\s*(?:\(\s*(?:(\w+)\s+(?=[*\w]))?(?:(\*)\s*)?([\w.]+)(?:\[[^\]]*\])?\s*\)\s*)?(\w+)\s*(\[[^\]]*\])?\s*\(/gm;
+  let match;
+  while ((match = funcRegex.exec(code)) !== null) {
+    const paramsOpen = match.index + match[0].length - 1;
+    const paramsClose = findClosing(code, paramsOpen);
+    const { results, bodyStart } = readSignatureTail(code, paramsClose + 1);
+    const end = bodyStart === -1 ? paramsClose : findClosing(code, bodyStart);
+    const receiver = match[3] ? match[3].split('.').pop() : null;
+
+    result.functions.push({
+      name: match[4],
+      line: lineAt(match.index),
+      endLine: lineAt(end),
+      type: receiver ? 'method' : 'function',
+      ...(receiver ? { receiver, pointerReceiver: match[2] === '*', className: receiver } : {}),
+      ...(match[5] ? { typeParams: match[5].slice(1, -1).trim() } : {}),
+      params: splitParams(code.slice(paramsOpen + 1, paramsClose)),
+      results: results || null,
+      exported: /^[A-Z]/.test(match[4])
+    });
+
+    if (!receiver && /^[A-Z]/.test(match[4])) {
+      result.exports.push(match[4]);
+    }
+    funcRegex.lastIndex = end + 1;
+  }
+
+  for (const type of result.classes) {
+    if (type.exported) {
+      result.exports.push(type.name);
+    }
+  }
+
+  return result;
+}
+
+// Blanks out comments and the contents of string, rune and raw string
+// literals (keeping offsets and newlines) and collects the comments
+function maskGo(content) {
+  const chars = content.split('');
+  const comments = [];
+  let line = 1;
+  let i = 0;
+
+  const blank = (from, to) => {
+    for (let j = from; j < to; j++) {
+      if (chars[j] !== '\n') chars[j] = ' ';
+    }
+  };
+
+  while (i < content.length) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if (char === '\n') {
+      line++;
+      i++;
+    } else if (char === '/' && next === '/') {
+      const end = content.indexOf('\n', i) === -1 ? content.length : content.indexOf('\n', i);
+      comments.push({ text: content.slice(i, end), line, type: 'single' });
+      blank(i, end);
+      i = end;
+    } else if (char === '/' && next === '*') {
+      const close = content.indexOf('*/', i + 2);
+      const end = close === -1 ? content.length : close + 2;
+      const text = content.slice(i, end);
+      comments.push({ text, line, type: 'multi' });
+      blank(i, end);
+      line += text.split('\n').length - 1;
+      i = end;
+    } else if (char === '"' || char === '\'' || char === '`') {
+      let j = i + 1;
+      while (j < content.length && content[j] !== char) {
+        if (char !== '`' && content[j] === '\\') j++;
+        else if (char !== '`' && content[j] === '\n') break;
+        j++;
+      }
+      line += content.slice(i, j).split('\n').length - 1;
+      blank(i + 1, j);
+      i = j + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return { code: chars.join(''), comments };
+}
+
+// Specs of a top-level declaration, e.g. each import in both
+// `import "fmt"` and a parenthesised `import ( ... )` group
+function declarationSpecs(code, keyword) {
+  const specs = [];
+  const regex = new RegExp(`^${keyword}\\b[ \\t]*`, 'gm');
+  let match;
+
+  while ((match = regex.exec(code)) !== null) {
+    const start = match.index + match[0].length;
+
+    if (code[start] === '(') {
+      const close = findClosing(code, start);
+      let offset = code.indexOf('\n', start) + 1;
+      while (offset > 0 && offset < close) {
+        const lineEnd = code.indexOf('\n', offset);
+        const text = code.slice(offset, lineEnd === -1 ? close : Math.min(lineEnd, close));
+        const indent = text.match(/^\s*/)[0].length;
+        if (text.trim()) {
+          const specStart = offset + indent;
+          const specEnd = findSpecEnd(code, specStart, close);
+          specs.push({ start: specStart, end: specEnd });
+          offset = code.indexOf('\n', specEnd) + 1;
+        } else {
+          offset = lineEnd + 1;
+        }
+        if (lineEnd === -1) break;
+      }
+      regex.lastIndex = close;
+    } else {
+      specs.push({ start, end: findSpecEnd(code, start, code.length) });
+    }
+  }
+
+  return specs;
+}
+
+// A spec runs to the end of its line, or past it while brackets are open
+function findSpecEnd(code, start, limit) {
+  for (let i = start; i < limit; i++) {
+    if (code[i] === '\n') return i;
+    if (code[i] === '{' || code[i] === '(' || code[i] === '[') i = findClosing(code, i);
+  }
+  return limit;
+}
+
+function parseTypeSpec(code, spec, lineAt) {
+  const text = code.slice(spec.start, spec.end);
+  const match = text.match(/^(\w+)(\[[^\]\n]*\])?\s*(=\s*)?(.*)/s);
+  if (!match) {
+    return null;
+  }
+
+  const [, name, typeParams, alias, rest] = match;
+  const type = {
+    name,
+    kind: 'type',
+    line: lineAt(spec.start),
+    endLine: lineAt(spec.end),
+    extends: null,
+    implements: [],
+    embeds: [],
+    structural: true,
+    exported: /^[A-Z]/.test(name),
+    ...(typeParams ? { typeParams: typeParams.slice(1, -1).trim() } : {})
+  };
+
+  const body = rest.match(/^(struct|interface)\s*\{([\s\S]*)\}\s*$/);
+  if (!body) {
+    return { ...type, underlying: rest.trim(), ...(alias ? { alias: true } : {}) };
+  }
+
+  type.kind = body[1];
+  const members = splitMembers(body[2]);
+
+  if (body[1] === 'struct') {
+    type.fields = [];
+    for (const member of members) {
+      const field = member.replace(/`[^`]*`|"[^"]*"\s*$/, '').trim();
+      const names = field.match(/^(\w+(?:\s*,\s*\w+)*)\s+(\S.*)$/);
+      if (names) {
+        for (const fieldName of names[1].split(/\s*,\s*/)) {
+          type.fields.push({ name: fieldName, type: names[2].trim() });
+        }
+      } else {
+        type.embeds.push(field.replace(/^\*/, ''));
+      }
+    }
+  } else {
+    type.methods = [];
+    for (const member of members) {
+      const method = member.match(/^(\w+)\s*\(/);
+      if (method) {
+        type.methods.push(method[1]);
+      } else if (/^[\w.]+$/.test(member)) {
+        type.embeds.push(member);
+      }
+    }
+  }
+
+  return type;
+}
+
+// Lines of a struct or interface body at its own nesting level
+function splitMembers(body) {
+  const members = [];
+  let current = '';
+  let depth = 0;
+
+  for (const char of body) {
+    if ('([{'.includes(char)) depth++;
+    if (')]}'.includes(char)) depth--;
+    if ((char === '\n' || char === ';') && depth === 0) {
+      if (current.trim()) members.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) members.push(current.trim());
+
+  return members;
+}
+
+// The result list after a parameter list, and where the body starts (-1
+// for declarations without one). `interface{}` and `struct{...}` in the
+// results are skipped rather than taken for the body.
+function readSignatureTail(code, from) {
+  let i = from;
+
+  while (i < code.length) {
+    if (code[i] === '\n') {
+      return { results: code.slice(from, i).trim(), bodyStart: -1 };
+    }
+    if (code[i] === '(' || code[i] === '[') {
+      i = findClosing(code, i) + 1;
+      continue;
+    }
+    if (code[i] === '{') {
+      if (/(?:interface|struct)\s*$/.test(code.slice(from, i))) {
+        i = findClosing(code, i) + 1;
+        continue;
+      }
+      return { results: code.slice(from, i).trim(), bodyStart: i };
+    }
+    i++;
+  }
+
+  return { results: code.slice(from).trim(), bodyStart: -1 };
+}
+
+// `a, b int, opts ...Option` -> ['a int', 'b int', 'opts ...Option'];
+// unnamed parameter lists are returned as their types
+function splitParams(text) {
+  const params = [];
+  let current = '';
+  let depth = 0;
+
+  for (const char of text) {
+    if ('([{'.includes(char)) depth++;
+    if (')]}'.includes(char)) depth--;
+    if (char === ',' && depth === 0) {
+      params.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) params.push(current.trim());
+
+  const normalized = params.map(param => param.replace(/\s+/g, ' '));
+  if (!normalized.some(param => /^\w+ \S/.test(param))) {
+    return normalized;
+  }
+
+  let type = null;
+  for (let i = normalized.length - 1; i >= 0; i--) {
+    const named = normalized[i].match(/^(\w+) (.+)$/);
+    if (named) {
+      type = named[2];
+    } else if (type) {
+      normalized[i] = `${normalized[i]} ${type}`;
+    }
+  }
+  return normalized;
+}
+
+module.exports = {
+  parseGo
+};
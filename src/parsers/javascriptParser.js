@@ -0,0 +1,527 @@
+const { parse } = require('@babel/parser');
+
+const BASE_PLUGINS = ['decorators-legacy', 'importAttributes'];
+
+// Plugin sets tried in order; .js files occasionally carry Flow annotations
+const PLUGINS_BY_EXTENSION = {
+  '.ts': [['typescript']],
+  '.mts': [['typescript']],
+  '.cts': [['typescript']],
+  '.tsx': [['typescript', 'jsx']],
+  default: [['jsx'], ['jsx', 'flow']]
+};
+
+// Wrappers whose function argument is the component or function being
+// declared, e.g. `const Button = memo(() => ...)`
+const FUNCTION_WRAPPERS = new Set(['memo', 'forwardRef', 'observer', 'React.memo', 'React.forwardRef']);
+const COMPONENT_BASES = new Set(['Component', 'PureComponent', 'React.Component', 'React.PureComponent']);
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'comments', 'tokens', 'errors']);
+
+// Parses JavaScript and TypeScript into the FileParser result shape.
+// functions, classes, imports (module specifiers), exports (names) and
+// comments keep their original form; the AST adds parameters, end lines,
+// class members, import bindings, re-exports and JSX components. Throws on
+// source the parser cannot recover from.
+function parseJavaScript(content, filePath = '') {
+  const ast = parseSource(content, filePath);
+  const result = {
+    type: 'javascript',
+    functions: [],
+    classes: [],
+    interfaces: [],
+    components: [],
+    imports: [],
+    importDetails: [],
+    exports: [],
+    exportDetails: [],
+    comments: []
+  };
+  const parents = new Map();
+  const jsxElements = [];
+  const text = node => content.slice(node.start, node.end);
+
+  const addImport = (source, node, kind, names = [], typeOnly = false) => {
+    result.imports.push(source);
+    result.importDetails.push({ source, kind, names, typeOnly, line: node.loc.start.line });
+  };
+  const addExport = (name, node, details = {}) => {
+    result.exports.push(name === 'default' && details.local ? details.local : name);
+    result.exportDetails.push({ name, line: node.loc.start.line, ...details });
+  };
+
+  traverse(ast.program, parents, (node, parent) => {
+    switch (node.type) {
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+      case 'ObjectMethod':
+      case 'ClassMethod':
+      case 'ClassPrivateMethod':
+      case 'TSDeclareMethod': {
+        const func = describeFunction(node, parent, parents, text);
+        if (func) {
+          result.functions.push(func);
+        }
+        break;
+      }
+
+      case 'ClassDeclaration':
+      case 'ClassExpression': {
+        const name = node.type === 'ClassDeclaration' && node.id
+          ? node.id.name
+          : bindingName(node, parent, parents) || (node.id && node.id.name);
+        if (name) {
+          result.classes.push({
+            name,
+            extends: node.superClass ? text(node.superClass) : null,
+            implements: (node.implements || []).map(text),
+            line: node.loc.start.line,
+            endLine: node.loc.end.line,
+            members: node.body.body.map(describeMember).filter(Boolean),
+            node
+          });
+        }
+        break;
+      }
+
+      case 'TSInterfaceDeclaration':
+        result.interfaces.push({
+          name: node.id.name,
+          extends: (node.extends || []).map(text),
+          line: node.loc.start.line,
+          endLine: node.loc.end.line
+        });
+        break;
+
+      case 'ImportDeclaration':
+        addImport(node.source.value, node, 'import', node.specifiers.map(specifier => ({
+          imported: specifier.type === 'ImportDefaultSpecifier' ? 'default'
+            : specifier.type === 'ImportNamespaceSpecifier' ? '*'
+              : moduleExportName(specifier.imported),
+          local: specifier.local.name
+        })), node.importKind === 'type');
+        break;
+
+      case 'TSImportEqualsDeclaration':
+        if (node.moduleReference.type === 'TSExternalModuleReference') {
+          addImport(node.moduleReference.expression.value, node, 'require', [{ imported: 'default', local: node.id.name }]);
+        }
+        break;
+
+      case 'CallExpression': {
+        const source = stringArgument(node.arguments[0]);
+        if (source === null) break;
+
+        if (node.callee.type === 'Import') {
+          addImport(source, node, 'dynamic');
+        } else if (node.callee.type === 'Identifier' && node.callee.name === 'require') {
+          addImport(source, node, 'require', requireBindings(parent, node));
+        }
+        break;
+      }
+
+      case 'ImportExpression': {
+        const source = stringArgument(node.source);
+        if (source !== null) {
+          addImport(source, node, 'dynamic');
+        }
+        break;
+      }
+
+      case 'ExportNamedDeclaration': {
+        const source = node.source ? node.source.value : null;
+        const typeOnly = node.exportKind === 'type';
+
+        if (node.declaration) {
+          for (const name of declaredNames(node.declaration)) {
+            addExport(name, node, { kind: 'named', typeOnly });
+          }
+        }
+        for (const specifier of node.specifiers) {
+          if (specifier.type === 'ExportNamespaceSpecifier') {
+            addExport(specifier.exported.name, node, { kind: 'namespace', source, typeOnly });
+          } else {
+            addExport(moduleExportName(specifier.exported), node, {
+              kind: 'named',
+              local: specifier.local ? moduleExportName(specifier.local) : null,
+              source,
+              typeOnly
+            });
+          }
+        }
+        if (source) {
+          addImport(source, node, 'reexport', node.specifiers.map(specifier => ({
+            imported: specifier.type === 'ExportNamespaceSpecifier' ? '*' : moduleExportName(specifier.local),
+            local: moduleExportName(specifier.exported)
+          })), typeOnly);
+        }
+        break;
+      }
+
+      case 'ExportAllDeclaration':
+        result.exportDetails.push({ name: '*', kind: 'all', source: node.source.value, line: node.loc.start.line });
+        addImport(node.source.value, node, 'reexport', [{ imported: '*', local: '*' }], node.exportKind === 'type');
+        break;
+
+      case 'ExportDefaultDeclaration': {
+        const declaration = node.declaration;
+        const local = declaration.id ? declaration.id.name
+          : declaration.type === 'Identifier' ? declaration.name : null;
+        addExport('default', node, { kind: 'default', local });
+        break;
+      }
+
+      case 'AssignmentExpression':
+        for (const name of commonJsExports(node)) {
+          addExport(name, node, { kind: 'commonjs' });
+        }
+        break;
+
+      case 'JSXElement':
+        jsxElements.push({ name: jsxName(node.openingElement.name), start: node.start, end: node.end });
+        break;
+    }
+  });
+
+  result.components = findComponents(result, jsxElements);
+  result.comments = (ast.comments || []).map(comment => ({
+    text: comment.type === 'CommentLine' ? `//${comment.value}` : `/*${comment.value}*/`,
+    line: comment.loc.start.line,
+    type: comment.type === 'CommentLine' ? 'single' : 'multi'
+  }));
+
+  for (const key of ['functions', 'classes', 'interfaces', 'components', 'importDetails', 'exportDetails']) {
+    result[key].sort((a, b) => a.line - b.line);
+  }
+  for (const entry of [...result.functions, ...result.classes]) {
+    delete entry.node;
+  }
+
+  return result;
+}
+
+function parseSource(content, filePath) {
+  const extension = (filePath.match(/\.[^./\\]+$/) || [''])[0].toLowerCase();
+  const attempts = PLUGINS_BY_EXTENSION[extension] || PLUGINS_BY_EXTENSION.default;
+  let lastError;
+
+  for (const plugins of attempts) {
+    try {
+      return parse(content, {
+        sourceType: 'unambiguous',
+        errorRecovery: true,
+        allowReturnOutsideFunction: true,
+        allowAwaitOutsideFunction: true,
+        allowImportExportEverywhere: true,
+        allowSuperOutsideMethod: true,
+        allowUndeclaredExports: true,
+        plugins: [...plugins, ...BASE_PLUGINS]
+      });
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+// Visits every node once, recording parents. Iterative so that deeply
+// nested expressions (long concatenations, chained calls) cannot overflow
+// the stack.
+function traverse(root, parents, visit) {
+  const stack = [root];
+
+  while (stack.length > 0) {
+    const node = stack.pop();
+    visit(node, parents.get(node) || null);
+
+    const children = [];
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) continue;
+
+      const value = node[key];
+      for (const child of Array.isArray(value) ? value : [value]) {
+        if (child && typeof child.type === 'string') {
+          parents.set(child, node);
+          children.push(child);
+        }
+      }
+    }
+    // Reversed so siblings are visited in source order
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push(children[i]);
+    }
+  }
+}
+
+function describeFunction(node, parent, parents, text) {
+  const isMethod = node.type === 'ObjectMethod' || node.type === 'ClassMethod' ||
+    node.type === 'ClassPrivateMethod' || node.type === 'TSDeclareMethod';
+  const owner = isMethod ? parent : parents.get(parent);
+  let name;
+  let type;
+  let className = null;
+  let object = null;
+
+  if (isMethod) {
+    name = propertyName(node);
+    type = 'method';
+    if (node.type === 'ObjectMethod') {
+      object = bindingName(owner, parents.get(owner), parents);
+    } else {
+      className = enclosingClassName(parent, parents);
+    }
+  } else if (parent && (parent.type === 'ClassProperty' || parent.type === 'ClassPrivateProperty') && parent.value === node) {
+    name = propertyName(parent);
+    type = 'method';
+    className = enclosingClassName(parents.get(parent), parents);
+  } else if (parent && parent.type === 'ObjectProperty' && parent.value === node) {
+    name = propertyName(parent);
+    type = 'method';
+    object = bindingName(owner, parents.get(owner), parents);
+  } else {
+    name = node.type === 'FunctionDeclaration' && node.id
+      ? node.id.name
+      : bindingName(node, parent, parents) || (node.id && node.id.name);
+    type = node.type === 'ArrowFunctionExpression' ? 'arrow' : 'regular';
+  }
+
+  if (!name) {
+    return null;
+  }
+
+  return {
+    name,
+    line: node.loc.start.line,
+    endLine: node.loc.end.line,
+    type,
+    ...(isMethod || type === 'method' ? { kind: methodKind(isMethod ? node : parent) } : {}),
+    ...(className ? { className } : {}),
+    ...(object ? { object } : {}),
+    ...(node.static || (parent && parent.static && !isMethod) ? { static: true } : {}),
+    params: node.params.map(param => paramText(param, text)),
+    async: Boolean(node.async),
+    generator: Boolean(node.generator),
+    node
+  };
+}
+
+function methodKind(node) {
+  if (node.kind === 'constructor') return 'constructor';
+  if (node.kind === 'get') return 'getter';
+  if (node.kind === 'set') return 'setter';
+  return 'method';
+}
+
+function describeMember(member) {
+  const name = propertyName(member);
+  if (!name) {
+    return null;
+  }
+
+  const isFunctionValue = member.value && /Function/.test(member.value.type);
+  const kind = /Method/.test(member.type)
+    ? methodKind(member)
+    : isFunctionValue ? 'method' : /Property|Accessor/.test(member.type) ? 'property' : null;
+  if (!kind) {
+    return null;
+  }
+
+  return {
+    name,
+    kind,
+    static: Boolean(member.static),
+    ...(member.accessibility ? { accessibility: member.accessibility } : {}),
+    ...(member.abstract ? { abstract: true } : {}),
+    line: member.loc.start.line
+  };
+}
+
+// Name a function or class expression is bound to: a variable, an
+// assignment target, a property, or a default export
+function bindingName(node, parent, parents) {
+  if (!parent) {
+    return null;
+  }
+
+  switch (parent.type) {
+    case 'VariableDeclarator':
+      return parent.init === node && parent.id.type === 'Identifier' ? parent.id.name : null;
+    case 'AssignmentExpression': {
+      const target = parent.right === node ? memberPath(parent.left) : null;
+      return target && target !== 'module.exports' && target !== 'exports' ? target.split('.').pop() : null;
+    }
+    case 'ObjectProperty':
+    case 'ClassProperty':
+    case 'ClassPrivateProperty':
+      return parent.value === node ? propertyName(parent) : null;
+    case 'ExportDefaultDeclaration':
+      return 'default';
+    case 'CallExpression':
+      return parent.arguments[0] === node && FUNCTION_WRAPPERS.has(memberPath(parent.callee))
+        ? bindingName(parent, parents.get(parent), parents)
+        : null;
+    case 'TSAsExpression':
+    case 'TSSatisfiesExpression':
+    case 'ParenthesizedExpression':
+      return bindingName(parent, parents.get(parent), parents);
+    default:
+      return null;
+  }
+}
+
+function enclosingClassName(classBody, parents) {
+  const classNode = parents.get(classBody);
+  if (!classNode) {
+    return null;
+  }
+  return classNode.id ? classNode.id.name : bindingName(classNode, parents.get(classNode), parents);
+}
+
+function propertyName(node) {
+  const key = node.key;
+  if (!key) return null;
+  if (key.type === 'PrivateName') return `#${key.id.name}`;
+  if (key.type === 'Identifier' && !node.computed) return key.name;
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+  return null;
+}
+
+// Dotted source form of a non-computed member chain, e.g.
+// 'module.exports.handler'
+function memberPath(node) {
+  if (node.type === 'Identifier') {
+    return node.name;
+  }
+  if (node.type === 'MemberExpression' && !node.computed) {
+    const object = memberPath(node.object);
+    return object ? `${object}.${node.property.name}` : null;
+  }
+  return null;
+}
+
+function paramText(param, text) {
+  switch (param.type) {
+    case 'Identifier':
+      return param.name;
+    case 'AssignmentPattern':
+      return paramText(param.left, text);
+    case 'RestElement':
+      return `...${paramText(param.argument, text)}`;
+    case 'TSParameterProperty':
+      return paramText(param.parameter, text);
+    default:
+      return text(param).replace(/\s+/g, ' ');
+  }
+}
+
+function moduleExportName(node) {
+  return node.type === 'StringLiteral' ? node.value : node.name;
+}
+
+function stringArgument(node) {
+  if (!node) return null;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+// `const fs = require('fs')` binds the whole module;
+// `const { join, resolve: r } = require('path')` binds members
+function requireBindings(parent, node) {
+  if (!parent || parent.type !== 'VariableDeclarator' || parent.init !== node) {
+    return [];
+  }
+  if (parent.id.type === 'Identifier') {
+    return [{ imported: 'default', local: parent.id.name }];
+  }
+  if (parent.id.type === 'ObjectPattern') {
+    return parent.id.properties
+      .filter(property => property.type === 'ObjectProperty' && property.value.type === 'Identifier')
+      .map(property => ({ imported: propertyName(property), local: property.value.name }));
+  }
+  return [];
+}
+
+function declaredNames(declaration) {
+  if (declaration.type === 'VariableDeclaration') {
+    return declaration.declarations.flatMap(declarator => patternNames(declarator.id));
+  }
+  return declaration.id && declaration.id.name ? [declaration.id.name] : [];
+}
+
+function patternNames(pattern) {
+  switch (pattern.type) {
+    case 'Identifier':
+      return [pattern.name];
+    case 'ObjectPattern':
+      return pattern.properties.flatMap(property =>
+        patternNames(property.type === 'RestElement' ? property.argument : property.value));
+    case 'ArrayPattern':
+      return pattern.elements.filter(Boolean).flatMap(patternNames);
+    case 'AssignmentPattern':
+      return patternNames(pattern.left);
+    case 'RestElement':
+      return patternNames(pattern.argument);
+    default:
+      return [];
+  }
+}
+
+// `module.exports = { a, b }`, `module.exports = Foo`, `exports.c = ...`
+function commonJsExports(node) {
+  const target = memberPath(node.left);
+  if (target === 'module.exports') {
+    if (node.right.type === 'ObjectExpression') {
+      return node.right.properties.map(propertyName).filter(Boolean);
+    }
+    return [node.right.type === 'Identifier' ? node.right.name
+      : node.right.id ? node.right.id.name : 'default'];
+  }
+
+  const match = target && target.match(/^(?:module\.)?exports\.([^.]+)$/);
+  return match ? [match[1]] : [];
+}
+
+function jsxName(node) {
+  if (node.type === 'JSXIdentifier') return node.name;
+  if (node.type === 'JSXMemberExpression') return `${jsxName(node.object)}.${node.property.name}`;
+  if (node.type === 'JSXNamespacedName') return `${node.namespace.name}:${node.name.name}`;
+  return null;
+}
+
+// Capitalized functions that return JSX, and classes extending React's
+// Component (or rendering JSX), together with the custom components they
+// render
+function findComponents(result, jsxElements) {
+  if (jsxElements.length === 0) {
+    return [];
+  }
+
+  const components = [];
+  const rendersWithin = (start, end) => [...new Set(jsxElements
+    .filter(element => element.start >= start && element.end <= end && /^[A-Z]/.test(element.name))
+    .map(element => element.name))];
+  const containsJsx = (start, end) => jsxElements.some(element => element.start >= start && element.end <= end);
+
+  for (const func of result.functions) {
+    const { node } = func;
+    if (func.type !== 'method' && /^[A-Z]/.test(func.name) && containsJsx(node.start, node.end)) {
+      components.push({ name: func.name, kind: 'function', line: func.line, endLine: func.endLine, renders: rendersWithin(node.start, node.end) });
+    }
+  }
+
+  for (const cls of result.classes) {
+    const { node } = cls;
+    const hasRender = cls.members.some(member => member.name === 'render');
+    if ((COMPONENT_BASES.has(cls.extends) || hasRender) && containsJsx(node.start, node.end)) {
+      components.push({ name: cls.name, kind: 'class', line: cls.line, endLine: cls.endLine, renders: rendersWithin(node.start, node.end) });
+    }
+  }
+
+  return components;
+}
+
+module.exports = {
+  parseJavaScript
+};
@@ -0,0 +1,431 @@
+const { createLineIndex, findClosing } = require('./sourceText');
+
+// Statement boundaries a declaration may follow (`]` ends a #[Attribute])
+const BOUNDARY = '(?<=^|[;{}\\]]|<\\?php)\\s*';
+
+const CLASS_REGEX = new RegExp(`${BOUNDARY}((?:(?:abstract|final|readonly)\\s+)*)(class|interface|trait|enum)\\s+(\\w+)([^{;]*)\\{`, 'g');
+const FUNCTION_REGEX = new RegExp(`${BOUNDARY}((?:(?:public|protected|private|static|abstract|final)\\s+)*)function\\s+&?\\s*(\\w+)\\s*\\(`, 'g');
+const USE_REGEX = new RegExp(`${BOUNDARY}use\\s+([^;{]+(?:\\{[^}]*\\}\\s*)?)([;{])`, 'g');
+const NAMESPACE_REGEX = new RegExp(`${BOUNDARY}namespace\\s+([\\w\\\\]+)\\s*([;{])`, 'g');
+const REQUIRE_REGEX = /(?<![>$:\w])(require_once|require|include_once|include)\b\s*\(?([^;]*);/g;
+const ROUTE_REGEX = /\bRoute::(get|post|put|patch|delete|options|any|match|resource|apiResource|view|redirect)\s*\(/g;
+
+const RESOURCE_ROUTES = [
+  ['index', 'GET', ''],
+  ['create', 'GET', '/create'],
+  ['store', 'POST', ''],
+  ['show', 'GET', '/{id}'],
+  ['edit', 'GET', '/{id}/edit'],
+  ['update', 'PUT', '/{id}'],
+  ['destroy', 'DELETE', '/{id}']
+];
+
+// Parses PHP source into the FileParser result shape. Only the code inside
+// <?php ... ?> tags is read, with comments and strings masked out; class
+// members are told apart from top-level code by the brace spans of the
+// class bodies. Files that call Route:: also yield their Laravel routes.
+function parsePhp(content) {
+  const { code, comments } = maskPhp(content);
+  const lineAt = createLineIndex(content);
+  const result = {
+    type: 'php',
+    namespace: null,
+    namespaces: [],
+    functions: [],
+    classes: [],
+    imports: [],
+    importDetails: [],
+    comments
+  };
+
+  const namespaces = [];
+  let match;
+  NAMESPACE_REGEX.lastIndex = 0;
+  while ((match = NAMESPACE_REGEX.exec(code)) !== null) {
+    const name = match[1];
+    const start = match.index + match[0].length;
+    namespaces.push({ name, start, end: match[2] === '{' ? findClosing(code, start - 1) : code.length });
+    if (!result.namespaces.includes(name)) {
+      result.namespaces.push(name);
+    }
+  }
+  // `namespace A;` runs until the next namespace declaration
+  namespaces.forEach((namespace, index) => {
+    if (namespace.end === code.length && namespaces[index + 1]) {
+      namespace.end = namespaces[index + 1].start;
+    }
+  });
+  result.namespace = result.namespaces[0] || null;
+  const namespaceAt = offset => {
+    const namespace = namespaces.filter(ns => ns.start <= offset && offset < ns.end).pop();
+    return namespace ? namespace.name : null;
+  };
+
+  const classes = [];
+  CLASS_REGEX.lastIndex = 0;
+  while ((match = CLASS_REGEX.exec(code)) !== null) {
+    const open = match.index + match[0].length - 1;
+    const close = findClosing(code, open);
+    const kind = match[2];
+    const header = match[4];
+    const parents = names(header.match(/\bextends\s+([\w\\,\s]+?)(?=\s+implements\b|$)/));
+    const entry = {
+      name: match[3],
+      kind,
+      line: lineAt(match.index + match[0].indexOf(kind)),
+      endLine: lineAt(close),
+      extends: parents[0] || null,
+      ...(kind === 'interface' && parents.length > 1 ? { interfaces: parents } : {}),
+      implements: names(header.match(/\bimplements\s+([\w\\,\s]+)/)),
+      mixins: [],
+      namespace: namespaceAt(match.index),
+      modifiers: match[1].trim().split(/\s+/).filter(Boolean)
+    };
+    if (kind === 'enum') {
+      const backing = header.match(/^\s*:\s*(\w+)/);
+      entry.backedBy = backing ? backing[1] : null;
+    }
+    classes.push({ entry, start: open, end: close });
+    result.classes.push(entry);
+  }
+  const classAt = offset => classes.filter(cls => cls.start < offset && offset < cls.end).pop() || null;
+
+  const bodies = [];
+  FUNCTION_REGEX.lastIndex = 0;
+  while ((match = FUNCTION_REGEX.exec(code)) !== null) {
+    const start = match.index + match[0].indexOf(match[1] || 'function');
+    if (bodies.some(body => body.start < start && start < body.end)) continue;
+
+    const paramsOpen = match.index + match[0].length - 1;
+    const paramsClose = findClosing(code, paramsOpen);
+    let i = paramsClose + 1;
+    while (i < code.length && code[i] !== '{' && code[i] !== ';') i++;
+    const returns = code.slice(paramsClose + 1, i).trim().replace(/^:\s*/, '');
+    const end = code[i] === '{' ? findClosing(code, i) : i;
+    if (code[i] === '{') {
+      bodies.push({ start: i, end });
+    }
+
+    const owner = classAt(start);
+    const modifiers = match[1].trim().split(/\s+/).filter(Boolean);
+    result.functions.push({
+      name: match[2],
+      line: lineAt(start),
+      endLine: lineAt(end),
+      type: owner ? 'method' : 'function',
+      ...(owner ? {
+        className: owner.entry.name,
+        visibility: modifiers.find(modifier => ['public', 'protected', 'private'].includes(modifier)) || 'public',
+        static: modifiers.includes('static'),
+        abstract: modifiers.includes('abstract')
+      } : { namespace: namespaceAt(start) }),
+      params: splitArguments(code.slice(paramsOpen + 1, paramsClose)).map(param => param.replace(/\s+/g, ' ')),
+      results: returns || null,
+      ...(code[i] === '{' ? {} : { declaration: true })
+    });
+  }
+
+  USE_REGEX.lastIndex = 0;
+  while ((match = USE_REGEX.exec(code)) !== null) {
+    const start = match.index + match[0].indexOf('use');
+    if (bodies.some(body => body.start < start && start < body.end)) continue;
+
+    const owner = classAt(start);
+    if (owner) {
+      // Traits used by a class (a `{ ... }` block after them resolves conflicts)
+      for (const name of names([null, match[1].split('{')[0]])) {
+        owner.entry.mixins.push({ name, kind: 'trait' });
+      }
+      continue;
+    }
+
+    const kind = (match[1].match(/^(function|const)\s+/) || [])[1] || 'use';
+    for (const use of expandUse(match[1].replace(/^(?:function|const)\s+/, ''))) {
+      result.imports.push(use.path);
+      result.importDetails.push({
+        source: use.path,
+        kind,
+        names: [{ imported: use.path.split('\\').pop(), local: use.alias || use.path.split('\\').pop() }],
+        line: lineAt(start)
+      });
+    }
+  }
+
+  REQUIRE_REGEX.lastIndex = 0;
+  while ((match = REQUIRE_REGEX.exec(code)) !== null) {
+    const expression = content.slice(match.index + match[0].indexOf(match[2]), match.index + match[0].length - 1)
+      .replace(/\)\s*$/, '')
+      .trim();
+    const literal = expression.match(/(['"])([^'"]+)\1\s*$/);
+    const source = literal ? literal[2] : expression;
+    result.imports.push(source);
+    result.importDetails.push({ source, kind: match[1], names: [], line: lineAt(match.index) });
+  }
+
+  if (/\bRoute::/.test(code)) {
+    result.routes = parseRoutes(content, code, lineAt);
+  }
+
+  return result;
+}
+
+// `App\Models\User, Countable` -> ['User', 'Countable']
+function names(match) {
+  if (!match) {
+    return [];
+  }
+  return match[1].split(',')
+    .map(name => name.trim().split('\\').pop())
+    .filter(Boolean);
+}
+
+// Expands grouped imports: `App\{Models\User, Http\Kernel as K}`
+function expandUse(text) {
+  const group = text.match(/^([\w\\]*)\\\s*\{([^}]*)\}/);
+  const clauses = group
+    ? group[2].split(',').map(clause => `${group[1]}\\${clause.trim()}`)
+    : text.split(',');
+
+  return clauses
+    .map(clause => clause.trim().match(/^\\?([\w\\]+?)(?:\s+as\s+(\w+))?$/))
+    .filter(Boolean)
+    .map(use => ({ path: use[1], alias: use[2] || null }));
+}
+
+// Laravel route definitions, with the prefixes and controllers of the
+// Route::...->group(function () { ... }) blocks around them
+function parseRoutes(content, code, lineAt) {
+  const routes = [];
+  const groups = [];
+  const groupRegex = /->group\s*\(|\bRoute::group\s*\(/g;
+  let match;
+
+  while ((match = groupRegex.exec(code)) !== null) {
+    const open = match.index + match[0].length - 1;
+    const close = findClosing(code, open);
+    const body = code.slice(open, close).search(/\{/);
+    if (body === -1) continue;
+
+    const statementStart = Math.max(code.lastIndexOf(';', match.index), code.lastIndexOf('{', match.index),
+      code.lastIndexOf('}', match.index)) + 1;
+    const chain = content.slice(statementStart, open + body);
+    const option = name => {
+      const value = chain.match(new RegExp(`(?:->|Route::)${name}\\s*\\(\\s*(['"])([^'"]*)\\1`)) ||
+        chain.match(new RegExp(`['"]${name}['"]\\s*=>\\s*(['"])([^'"]*)\\1`));
+      return value ? value[2] : null;
+    };
+    const controller = chain.match(/(?:->|Route::)controller\s*\(\s*([\w\\]+)::class/);
+
+    groups.push({
+      start: open + body,
+      end: findClosing(code, open + body),
+      prefix: option('prefix'),
+      controller: controller ? controller[1].split('\\').pop() : null
+    });
+  }
+
+  ROUTE_REGEX.lastIndex = 0;
+  while ((match = ROUTE_REGEX.exec(code)) !== null) {
+    const open = match.index + match[0].length - 1;
+    const close = findClosing(code, open);
+    const args = splitArguments(content.slice(open + 1, close));
+    const around = groups.filter(group => group.start < match.index && match.index < group.end);
+    const prefix = around.map(group => group.prefix).filter(Boolean);
+    const groupController = around.map(group => group.controller).filter(Boolean).pop() || null;
+    const line = lineAt(match.index);
+    const verb = match[1];
+    const string = arg => {
+      const literal = (arg || '').match(/^(['"])(.*)\1$/);
+      return literal ? literal[2] : null;
+    };
+    const path = value => `/${[...prefix, value].map(part => part.replace(/^\/+|\/+$/g, '')).filter(Boolean).join('/')}`;
+
+    if (verb === 'resource' || verb === 'apiResource') {
+      const name = string(args[0]);
+      const controller = handlerOf(args[1], groupController).controller;
+      if (!name) continue;
+
+      const chained = code.slice(close + 1, code.indexOf(';', close) === -1 ? code.length : code.indexOf(';', close));
+      const listed = method => {
+        const list = content.slice(close + 1, close + 1 + chained.length).match(new RegExp(`->${method}\\s*\\(\\s*\\[?([^\\])]*)`));
+        return list ? list[1].split(',').map(item => item.trim().replace(/^['"]|['"]$/g, '')).filter(Boolean) : null;
+      };
+      const only = listed('only');
+      const except = listed('except') || (verb === 'apiResource' ? ['create', 'edit'] : []);
+
+      // 'photos.comments' nests comments under /photos/{photo}
+      const segments = name.split('.');
+      const base = segments.map((segment, index) =>
+        index < segments.length - 1 ? `${segment}/{${singularize(segment)}}` : segment).join('/');
+      const parameter = `{${singularize(segments[segments.length - 1])}}`;
+
+      for (const [action, method, suffix] of RESOURCE_ROUTES) {
+        if ((only && !only.includes(action)) || except.includes(action)) continue;
+        routes.push({
+          method,
+          path: path(base) + suffix.replace('{id}', parameter),
+          controller,
+          action,
+          line
+        });
+      }
+      continue;
+    }
+
+    const methods = verb === 'match'
+      ? (args[0] || '').replace(/[[\]'"\s]/g, '').split(',').filter(Boolean).map(method => method.toUpperCase())
+      : verb === 'view' || verb === 'redirect' ? ['GET'] : [verb.toUpperCase()];
+    const uri = string(verb === 'match' ? args[1] : args[0]);
+    if (uri === null) continue;
+
+    const handler = verb === 'view' || verb === 'redirect'
+      ? { controller: null, action: null }
+      : handlerOf(verb === 'match' ? args[2] : args[1], groupController);
+    for (const method of methods) {
+      routes.push({ method, path: path(uri), controller: handler.controller, action: handler.action, line });
+    }
+  }
+
+  return routes;
+}
+
+// [UserController::class, 'index'], 'UserController@index', an invokable
+// UserController::class, or an action name inside a controller group
+function handlerOf(arg, groupController) {
+  const text = (arg || '').trim();
+  let match;
+
+  if ((match = text.match(/^\[\s*([\w\\]+)::class\s*,\s*(['"])(\w+)\2\s*\]$/))) {
+    return { controller: match[1].split('\\').pop(), action: match[3] };
+  }
+  if ((match = text.match(/^(['"])([\w\\]+)@(\w+)\1$/))) {
+    return { controller: match[2].split('\\').pop(), action: match[3] };
+  }
+  if ((match = text.match(/^([\w\\]+)::class$/))) {
+    return { controller: match[1].split('\\').pop(), action: '__invoke' };
+  }
+  if ((match = text.match(/^(['"])(\w+)\1$/)) && groupController) {
+    return { controller: groupController, action: match[2] };
+  }
+  return { controller: null, action: null };
+}
+
+function singularize(word) {
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(?:ss|sh|ch|x|z)es$/.test(word)) return word.slice(0, -2);
+  return word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+}
+
+// Splits on commas outside brackets and string literals
+function splitArguments(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') {
+        current += char + (text[i + 1] || '');
+        i++;
+        continue;
+      }
+      if (char === quote) quote = null;
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current.trim());
+
+  return parts.filter(Boolean);
+}
+
+// Blanks out everything outside <?php ... ?> tags, comments (but not
+// #[Attributes]) and the contents of strings, heredocs and nowdocs, keeping
+// offsets and newlines. Collects the comments.
+function maskPhp(content) {
+  const chars = content.split('');
+  const comments = [];
+  const lineAt = createLineIndex(content);
+  let inPhp = false;
+  let i = 0;
+
+  const blank = (from, to) => {
+    for (let j = from; j < to; j++) {
+      if (chars[j] !== '\n') chars[j] = ' ';
+    }
+  };
+  const lineEnd = from => {
+    const newline = content.indexOf('\n', from);
+    return newline === -1 ? content.length : newline;
+  };
+
+  while (i < content.length) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if (!inPhp) {
+      const open = content.indexOf('<?', i);
+      const end = open === -1 ? content.length : open;
+      blank(i, end);
+      if (open === -1) break;
+      const tag = content.slice(open).match(/^<\?(?:php\b|=)?/);
+      inPhp = true;
+      i = open + tag[0].length;
+    } else if (char === '?' && next === '>') {
+      inPhp = false;
+      i += 2;
+    } else if ((char === '/' && next === '/') || (char === '#' && next !== '[')) {
+      // A line comment also ends at a closing tag
+      const close = content.indexOf('?>', i);
+      const end = close !== -1 && close < lineEnd(i) ? close : lineEnd(i);
+      comments.push({ text: content.slice(i, end), line: lineAt(i), type: 'single' });
+      blank(i, end);
+      i = end;
+    } else if (char === '/' && next === '*') {
+      const close = content.indexOf('*/', i + 2);
+      const end = close === -1 ? content.length : close + 2;
+      comments.push({ text: content.slice(i, end), line: lineAt(i), type: 'multi' });
+      blank(i, end);
+      i = end;
+    } else if (char === '<' && content.startsWith('<<<', i)) {
+      const heredoc = content.slice(i).match(/^<<<[ \t]*(['"]?)(\w+)\1/);
+      if (!heredoc) {
+        i += 3;
+        continue;
+      }
+      const bodyStart = lineEnd(i) + 1;
+      const terminator = new RegExp(`^[ \\t]*${heredoc[2]}\\b`, 'm');
+      const found = terminator.exec(content.slice(bodyStart));
+      const end = found ? bodyStart + found.index : content.length;
+      blank(bodyStart, end);
+      i = found ? end + found[0].length : end;
+    } else if (char === '\'' || char === '"' || char === '`') {
+      let j = i + 1;
+      while (j < content.length && content[j] !== char) {
+        if (content[j] === '\\') j++;
+        j++;
+      }
+      blank(i + 1, j);
+      i = j + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return { code: chars.join(''), comments };
+}
+
+module.exports = {
+  parsePhp
+};
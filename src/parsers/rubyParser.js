@@ -0,0 +1,493 @@
+const { createLineIndex } = require('./sourceText');
+
+const BLOCK_KEYWORDS = ['if', 'unless', 'while', 'until', 'case', 'begin', 'for'];
+const REGEX_PRECEDERS = /(?:^|[(,=~[{|&!]|\b(?:when|if|unless|and|or|not|return))\s*$/;
+
+const RESOURCE_ROUTES = {
+  plural: [
+    ['index', 'GET', ''],
+    ['create', 'POST', ''],
+    ['new', 'GET', '/new'],
+    ['edit', 'GET', '/:id/edit'],
+    ['show', 'GET', '/:id'],
+    ['update', 'PATCH', '/:id'],
+    ['destroy', 'DELETE', '/:id']
+  ],
+  singular: [
+    ['create', 'POST', ''],
+    ['new', 'GET', '/new'],
+    ['edit', 'GET', '/edit'],
+    ['show', 'GET', ''],
+    ['update', 'PATCH', ''],
+    ['destroy', 'DELETE', '']
+  ]
+};
+
+// Parses Ruby source into the FileParser result shape. Comments, strings,
+// heredocs and literals are masked out, then statements are read line by
+// line against a stack of open `class`/`module`/`def`/`do` ... `end`
+// blocks. A config/routes.rb also yields its Rails routes.
+function parseRuby(content, filePath = '') {
+  const { code, comments } = maskRuby(content);
+  const result = {
+    type: 'ruby',
+    modules: [],
+    functions: [],
+    classes: [],
+    imports: [],
+    importDetails: [],
+    comments
+  };
+  const isRoutes = /(?:^|[\\/])config[\\/]routes\.rb$/.test(filePath) || /\broutes\.draw\b/.test(code);
+  if (isRoutes) {
+    result.routes = [];
+  }
+
+  const codeLines = code.split('\n');
+  const lines = content.split('\n');
+  const stack = [];
+
+  const enclosing = (...kinds) => {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (kinds.includes(stack[i].kind)) return stack[i];
+    }
+    return null;
+  };
+  const namespace = () => stack.filter(frame => frame.kind === 'class' || frame.kind === 'module').map(frame => frame.name);
+
+  codeLines.forEach((codeLine, index) => {
+    const lineNumber = index + 1;
+    let offset = 0;
+
+    for (const segment of codeLine.split(';')) {
+      const start = offset;
+      offset += segment.length + 1;
+      const statement = segment.trim();
+      if (!statement) continue;
+
+      const source = lines[index].slice(start, start + segment.length).trim();
+      const frame = readStatement(statement, source, lineNumber);
+      // The optional `do` of `while cond do` belongs to the loop itself
+      let loopDo = /^(?:while|until|for)\b/.test(statement);
+      let doFrame = null;
+      if (frame && frame.opens) {
+        stack.push(frame);
+      } else {
+        doFrame = frame;
+      }
+
+      const tokens = /(?<![.\w:@$])(end|do)\b(?![?!:])|=\s*(?:if|unless|case|begin|while|until)\b/g;
+      let token;
+      while ((token = tokens.exec(statement)) !== null) {
+        if (token[1] === 'end') {
+          closeFrame(stack.pop(), lineNumber);
+        } else if (token[1] === 'do' && loopDo) {
+          loopDo = false;
+        } else {
+          stack.push(doFrame || { kind: 'block' });
+          doFrame = null;
+        }
+      }
+    }
+  });
+
+  for (const frame of stack.reverse()) {
+    closeFrame(frame, codeLines.length);
+  }
+  return result;
+
+  // Records what a statement declares and returns the block frame it opens,
+  // if any (`opens` for keyword blocks, otherwise the frame for its `do`)
+  function readStatement(statement, source, lineNumber) {
+    let match;
+
+    if ((match = statement.match(/^class\s*<<\s*self\b/))) {
+      return { kind: 'singleton', opens: true };
+    }
+
+    if ((match = statement.match(/^(class|module)\s+((?:::)?[A-Z][\w]*(?:::[A-Z]\w*)*)(?:\s*<\s*([A-Z][\w:]*))?/))) {
+      const segments = match[2].replace(/^::/, '').split('::');
+      const name = segments.pop();
+      const qualified = [...namespace(), ...segments];
+      const entry = {
+        name,
+        kind: match[1],
+        line: lineNumber,
+        endLine: lineNumber,
+        extends: match[3] ? match[3].split('::').pop() : null,
+        superclass: match[3] || null,
+        implements: [],
+        mixins: [],
+        namespace: qualified.length > 0 ? qualified.join('::') : null
+      };
+      result.classes.push(entry);
+      if (match[1] === 'module') {
+        result.modules.push({ name, line: lineNumber, namespace: entry.namespace });
+      }
+      return { kind: match[1], name: [...segments, name].join('::'), entry, visibility: 'public', opens: true };
+    }
+
+    const visibility = statement.match(/^(private|protected|public)(?:\s+(def\b.*))?$/);
+    if (visibility && !visibility[2]) {
+      const owner = enclosing('class', 'module', 'singleton');
+      if (owner) owner.visibility = visibility[1];
+      return null;
+    }
+
+    const definition = visibility ? visibility[2] : statement;
+    const def = definition.match(/^def\s+(self\.)?([\w]+[?!=]?|\[\]=?|[+\-*\/%<>=!~^&|]+)\s*(\(([^)]*)\)|[^=;]*)?/);
+    if (def) {
+      const owner = enclosing('class', 'module', 'singleton', 'def');
+      const singleton = owner && owner.kind === 'singleton';
+      const type = singleton ? enclosing('class', 'module') : owner && owner.kind !== 'def' ? owner : null;
+      const params = (def[4] !== undefined ? def[4] : (def[3] || '')).trim();
+      const endless = /^def\s+(?:self\.)?\w+[?!]?(?:\([^)]*\))?\s*=(?![=~(])/.test(definition);
+      const entry = {
+        name: def[2],
+        line: lineNumber,
+        endLine: lineNumber,
+        type: type ? 'method' : 'function',
+        ...(type ? { className: type.entry.name } : {}),
+        static: Boolean(def[1] || singleton),
+        visibility: visibility ? visibility[1] : (owner && owner.kind !== 'def' ? owner.visibility || 'public' : 'public'),
+        params: params ? splitArguments(params) : []
+      };
+      result.functions.push(entry);
+      return endless ? null : { kind: 'def', entry, opens: true };
+    }
+
+    const mixin = statement.match(/^(include|extend|prepend)\s+([A-Z][\w:]*(?:\s*,\s*[A-Z][\w:]*)*)/);
+    if (mixin) {
+      const owner = enclosing('class', 'module');
+      if (owner) {
+        for (const name of mixin[2].split(',')) {
+          owner.entry.mixins.push({ name: name.trim().split('::').pop(), kind: mixin[1] });
+        }
+      }
+      return null;
+    }
+
+    const require = source.match(/^(require|require_relative|load|autoload)\b\s*\(?\s*(?::\w+\s*,\s*)?(['"])([^'"]+)\2/);
+    if (require) {
+      result.imports.push(require[3]);
+      result.importDetails.push({ source: require[3], kind: require[1], names: [], line: lineNumber });
+      return null;
+    }
+
+    if (BLOCK_KEYWORDS.some(keyword => new RegExp(`^${keyword}\\b`).test(statement))) {
+      return { kind: 'block', opens: true };
+    }
+
+    return isRoutes ? readRoute(statement, source, lineNumber) : null;
+  }
+
+  // Rails routing DSL: verbs, root, resources and the namespace, scope,
+  // member and collection blocks that nest them. Returns the frame for a
+  // block the statement opens with `do`.
+  function readRoute(statement, source, lineNumber) {
+    const context = routeContext(stack);
+    const options = parseOptions(source);
+    let match;
+
+    if ((match = source.match(/^namespace\s+:(\w+)/))) {
+      return { kind: 'block', route: { path: `/${match[1]}`, module: match[1] } };
+    }
+
+    if ((match = source.match(/^scope\b\s*\(?\s*(?:(['"])([^'"]*)\1)?/))) {
+      return {
+        kind: 'block',
+        route: {
+          path: joinPath('', match[2] || options.path || ''),
+          module: options.module || null
+        }
+      };
+    }
+
+    if ((match = source.match(/^(member|collection)\b/))) {
+      return { kind: 'block', route: { scope: match[1] } };
+    }
+
+    if ((match = source.match(/^controller\s+:(\w+)/))) {
+      return { kind: 'block', route: { controller: match[1] } };
+    }
+
+    if ((match = source.match(/^(resources|resource)\s+((?::\w+\s*,?\s*)+)/))) {
+      const singular = match[1] === 'resource';
+      const names = match[2].split(',').map(name => name.trim().replace(/^:/, '')).filter(Boolean);
+      const actions = RESOURCE_ROUTES[singular ? 'singular' : 'plural']
+        .filter(([action]) => (!options.only || options.only.includes(action)) &&
+          (!options.except || !options.except.includes(action)));
+
+      for (const name of names) {
+        const base = joinPath(context.path, options.path || name);
+        const controller = controllerName(context.module, options.controller || (singular ? pluralize(name) : name));
+        for (const [action, method, suffix] of actions) {
+          result.routes.push({ method, path: base + suffix, controller, action, line: lineNumber });
+        }
+      }
+
+      const name = names[names.length - 1];
+      const nestedPath = singular ? `/${options.path || name}` : `/${options.path || name}/:${singularize(name)}_id`;
+      return { kind: 'block', route: { path: nestedPath, controller: options.controller || (singular ? pluralize(name) : name), resource: !singular } };
+    }
+
+    if ((match = source.match(/^root\b\s*\(?\s*(?:(['"])([\w/]+#\w+)\1)?/))) {
+      const target = match[2] || options.to;
+      if (target) {
+        const [controller, action] = target.split('#');
+        result.routes.push({
+          method: 'GET',
+          path: context.path || '/',
+          controller: controllerName(context.module, controller),
+          action,
+          line: lineNumber
+        });
+      }
+      return null;
+    }
+
+    if ((match = source.match(/^(get|post|put|patch|delete|match)\b\s*\(?\s*(?:(['"])([^'"]*)\2|:(\w+))(?:\s*=>\s*(['"])([\w/]+#\w+)\5)?/))) {
+      const target = match[6] || options.to || null;
+      const path = match[3] !== undefined ? match[3] : match[4];
+      let controller = context.controller;
+      let action = options.action || (match[4] || path.split('/').filter(part => part && !part.startsWith(':')).pop());
+
+      if (target) {
+        [controller, action] = target.split('#');
+      } else if (!controller) {
+        const parts = path.replace(/^\//, '').split('/').filter(part => part && !part.startsWith(':'));
+        controller = parts.length > 1 ? parts.slice(0, -1).join('/') : null;
+      }
+
+      const methods = match[1] === 'match' ? options.via || ['GET'] : [match[1].toUpperCase()];
+      for (const method of methods) {
+        result.routes.push({
+          method: method.toUpperCase(),
+          path: joinPath(context.path, path),
+          controller: controller ? controllerName(context.module, options.controller || controller) : null,
+          action: action || null,
+          line: lineNumber
+        });
+      }
+      return null;
+    }
+
+    return null;
+  }
+}
+
+function closeFrame(frame, lineNumber) {
+  if (frame && frame.entry) {
+    frame.entry.endLine = lineNumber;
+  }
+}
+
+// Path, module and controller of the route blocks on the stack
+function routeContext(stack) {
+  const context = { path: '', module: [], controller: null };
+
+  for (const frame of stack) {
+    const route = frame.route;
+    if (!route) continue;
+
+    if (route.scope) {
+      // Member routes act on `/photos/:id`, collection routes on `/photos`
+      context.path = route.scope === 'member'
+        ? context.path.replace(/\/:\w+_id$/, '/:id')
+        : context.path.replace(/\/:\w+_id$/, '');
+      continue;
+    }
+    context.path = joinPath(context.path, route.path || '');
+    if (route.module) context.module.push(route.module);
+    if (route.controller) context.controller = route.controller;
+  }
+
+  return context;
+}
+
+// `to:`, `only:`, `via:`, ... options of a routing call (strings, symbols
+// and arrays of either)
+function parseOptions(source) {
+  const options = {};
+  const optionRegex = /(\w+):\s*(?:(['"])([^'"]*)\2|:(\w+)|\[([^\]]*)\]|%[iw][[(]([^\])]*)[\])])/g;
+  let match;
+
+  while ((match = optionRegex.exec(source)) !== null) {
+    if (match[3] !== undefined) {
+      options[match[1]] = match[3];
+    } else if (match[4] !== undefined) {
+      options[match[1]] = ['only', 'except', 'via'].includes(match[1]) ? [match[4]] : match[4];
+    } else {
+      const list = match[5] !== undefined
+        ? match[5].split(',').map(item => item.trim().replace(/^:|^['"]|['"]$/g, ''))
+        : match[6].trim().split(/\s+/);
+      options[match[1]] = list.filter(Boolean);
+    }
+  }
+
+  return options;
+}
+
+function joinPath(base, path) {
+  const suffix = path.replace(/^\/+|\/+$/g, '');
+  return suffix ? `${base}/${suffix}` : base;
+}
+
+// 'admin/user_sessions' in the `admin` namespace -> 'Admin::UserSessionsController'
+function controllerName(modules, controller) {
+  return [...modules, ...controller.split('/')]
+    .map(part => part.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(''))
+    .join('::') + 'Controller';
+}
+
+function singularize(word) {
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(?:ss|sh|ch|x|z)es$/.test(word)) return word.slice(0, -2);
+  return word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+}
+
+function pluralize(word) {
+  if (/[^aeiou]y$/.test(word)) return `${word.slice(0, -1)}ies`;
+  if (/(?:s|sh|ch|x|z)$/.test(word)) return `${word}es`;
+  return `${word}s`;
+}
+
+// Splits on commas outside brackets
+function splitArguments(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if ('([{'.includes(char)) depth++;
+    if (')]}'.includes(char)) depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+
+  return parts.filter(Boolean);
+}
+
+// Blanks out comments (`#` and =begin/=end), the contents of strings,
+// heredocs, %-literals and regex literals, and everything after __END__,
+// keeping offsets and newlines. Collects the comments.
+function maskRuby(content) {
+  const chars = content.split('');
+  const comments = [];
+  const lineAt = createLineIndex(content);
+  let heredocs = [];
+  let i = 0;
+
+  const blank = (from, to) => {
+    for (let j = from; j < to; j++) {
+      if (chars[j] !== '\n') chars[j] = ' ';
+    }
+  };
+  const lineEnd = from => {
+    const newline = content.indexOf('\n', from);
+    return newline === -1 ? content.length : newline;
+  };
+  // Offset just past the literal whose opening delimiter is at `open`
+  const skipLiteral = (open, close, interpolates) => {
+    const opener = content[open];
+    let depth = 1;
+    let j = open + 1;
+    while (j < content.length) {
+      if (content[j] === '\\') {
+        j += 2;
+        continue;
+      }
+      if (interpolates && content.startsWith('#{', j)) {
+        let braces = 1;
+        j += 2;
+        while (j < content.length && braces > 0) {
+          if (content[j] === '{') braces++;
+          if (content[j] === '}') braces--;
+          j++;
+        }
+        continue;
+      }
+      if (content[j] === close && opener !== close) depth--;
+      else if (content[j] === opener && opener !== close) depth++;
+      else if (content[j] === close) depth = 0;
+      if (depth === 0) return j + 1;
+      j++;
+    }
+    return content.length;
+  };
+
+  while (i < content.length) {
+    const char = content[i];
+    const atLineStart = i === 0 || content[i - 1] === '\n';
+    const before = () => content.slice(content.lastIndexOf('\n', i - 1) + 1, i);
+
+    if (atLineStart && /^=begin\b/.test(content.slice(i, i + 7))) {
+      const close = content.indexOf('\n=end', i);
+      const end = close === -1 ? content.length : lineEnd(close + 1);
+      comments.push({ text: content.slice(i, end), line: lineAt(i), type: 'multi' });
+      blank(i, end);
+      i = end;
+    } else if (atLineStart && /^__END__$/.test(content.slice(i, lineEnd(i)))) {
+      blank(i, content.length);
+      break;
+    } else if (char === '\n' && heredocs.length > 0) {
+      let j = i + 1;
+      for (const terminator of heredocs) {
+        while (j < content.length) {
+          const end = lineEnd(j);
+          const isTerminator = content.slice(j, end).trim() === terminator;
+          if (!isTerminator) blank(j, end);
+          j = end + 1;
+          if (isTerminator) break;
+        }
+      }
+      heredocs = [];
+      i = j - 1;
+    } else if (char === '#') {
+      const end = lineEnd(i);
+      comments.push({ text: content.slice(i, end), line: lineAt(i), type: 'single' });
+      blank(i, end);
+      i = end;
+    } else if (char === '<' && /^<<[~-]?(['"`]?)[A-Z_]\w*\1/.test(content.slice(i, i + 64)) &&
+      (content[i + 2] === '~' || content[i + 2] === '-' || /(?:^|[\s(,=])$/.test(before()))) {
+      const heredoc = content.slice(i).match(/^<<[~-]?(['"`]?)([A-Z_]\w*)\1/);
+      heredocs.push(heredoc[2]);
+      i += heredoc[0].length;
+    } else if (char === '"' || char === '`') {
+      const end = skipLiteral(i, char, true);
+      blank(i + 1, end - 1);
+      i = end;
+    } else if (char === '\'') {
+      const end = skipLiteral(i, '\'', false);
+      blank(i + 1, end - 1);
+      i = end;
+    } else if (char === '%' && /^%[qQwWiIrsx]?[[({<|!/]/.test(content.slice(i, i + 3)) &&
+      (/[qQwWiIrsx]/.test(content[i + 1]) ? /(?:^|[^\w)\]])$/.test(before()) : /(?:^|[(,=[{]\s*)$/.test(before()))) {
+      const open = /[qQwWiIrsx]/.test(content[i + 1]) ? i + 2 : i + 1;
+      const pairs = { '[': ']', '(': ')', '{': '}', '<': '>' };
+      const end = skipLiteral(open, pairs[content[open]] || content[open], !/[qwi]/.test(content[i + 1]));
+      blank(open + 1, end - 1);
+      i = end;
+    } else if (char === '/' && REGEX_PRECEDERS.test(before()) && content[i + 1] !== ' ' && content[i + 1] !== '=') {
+      const end = skipLiteral(i, '/', true);
+      blank(i + 1, end - 1);
+      i = end;
+    } else if (char === '?' && /\w/.test(content[i + 1] || '') && !/\w/.test(content[i + 2] || '') && /[\s(,]$/.test(before())) {
+      // Character literal such as ?a
+      i += 2;
+    } else {
+      i++;
+    }
+  }
+
+  return { code: chars.join(''), comments };
+}
+
+module.exports = {
+  parseRuby
+};
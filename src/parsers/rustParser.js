@@ -0,0 +1,582 @@
+const { parseToml, cargoDependencies } = require('../utils/toml');
+const { createLineIndex, findClosing, findAngleClosing } = require('./sourceText');
+
+// Visibility, qualifiers and the keyword that starts an item
+const ITEM_REGEX = /(?:(pub(?:\s*\([^)]*\))?)\s+)?((?:(?:default|const|async|unsafe|extern(?:\s*"[^"]*")?)\s+)*)(?:(fn|struct|enum|union|trait|impl|mod|use|type|const|static|extern\s+crate)\b|(macro_rules)!)/y;
+
+// Parses Rust source into the FileParser result shape. Comments, string
+// and char literals are masked out first; items are then read block by
+// block, so methods know the impl or trait they belong to and items in
+// inline modules know their module.
+function parseRust(content, filePath = '') {
+  const { code, comments } = maskRust(content);
+  const state = {
+    code,
+    lineAt: createLineIndex(content),
+    result: {
+      type: 'rust',
+      modulePath: modulePathFor(filePath),
+      modules: [],
+      functions: [],
+      classes: [],
+      impls: [],
+      imports: [],
+      importDetails: [],
+      exports: [],
+      comments
+    }
+  };
+
+  parseItems(state, 0, code.length, { module: [], impl: null, trait: null });
+  return state.result;
+}
+
+// `crate::models::user` for src/models/user.rs (or src/models/user/mod.rs);
+// lib.rs and main.rs are the crate root
+function modulePathFor(filePath) {
+  const parts = filePath.split(/[\\/]/);
+  const src = parts.lastIndexOf('src');
+  const modules = src === -1 ? parts.slice(-1) : parts.slice(src + 1);
+  const file = modules.pop().replace(/\.rs$/, '');
+
+  if (file && file !== 'mod' && !(modules.length === 0 && (file === 'lib' || file === 'main'))) {
+    modules.push(file);
+  }
+  return ['crate', ...modules].join('::');
+}
+
+function parseItems(state, from, to, scope) {
+  const { code } = state;
+  let attributes = [];
+  let i = from;
+
+  while (i < to) {
+    while (i < to && /\s/.test(code[i])) i++;
+    if (i >= to) break;
+
+    if (code[i] === '#' && (code[i + 1] === '[' || code.startsWith('![', i + 1))) {
+      const open = code.indexOf('[', i);
+      const close = findClosing(code, open);
+      attributes.push(code.slice(open + 1, close));
+      i = close + 1;
+      continue;
+    }
+
+    ITEM_REGEX.lastIndex = i;
+    const match = ITEM_REGEX.exec(code);
+    if (!match || ITEM_REGEX.lastIndex > to) {
+      i = skipStatement(code, i, to);
+    } else {
+      const item = {
+        start: i,
+        visibility: match[1] ? match[1].replace(/\s+/g, '') : null,
+        qualifiers: match[2].trim().split(/\s+/).filter(Boolean),
+        keyword: (match[3] || match[4]).replace(/\s+/g, ' '),
+        attributes
+      };
+      i = parseItem(state, item, ITEM_REGEX.lastIndex, to, scope);
+    }
+    attributes = [];
+  }
+}
+
+function parseItem(state, item, from, to, scope) {
+  const { code, result } = state;
+  const exported = item.visibility === 'pub' && !scope.impl && !scope.trait;
+  const nameMatch = code.slice(from, from + 200).match(/^\s*(?:mut\s+)?(\w+)/);
+  const name = nameMatch ? nameMatch[1] : null;
+  let i = nameMatch ? from + nameMatch[0].length : from;
+
+  switch (item.keyword) {
+    case 'fn':
+      return parseFunction(state, item, name, i, to, scope, exported);
+
+    case 'struct':
+    case 'enum':
+    case 'union':
+    case 'trait':
+      return parseType(state, item, name, i, to, scope, exported);
+
+    case 'impl':
+      return parseImpl(state, item, from, to, scope);
+
+    case 'mod': {
+      i = skipWhitespace(code, i);
+      const inline = code[i] === '{';
+      const end = inline ? findClosing(code, i) : code.indexOf(';', i);
+      result.modules.push({
+        name,
+        line: state.lineAt(item.start),
+        endLine: state.lineAt(end),
+        inline,
+        visibility: item.visibility
+      });
+      if (exported) {
+        result.exports.push(name);
+      }
+      if (inline) {
+        parseItems(state, i + 1, end, { ...scope, module: [...scope.module, name] });
+      }
+      return end + 1;
+    }
+
+    case 'use': {
+      const semicolon = code.indexOf(';', from);
+      const end = semicolon === -1 || semicolon > to ? to : semicolon + 1;
+      const reexport = Boolean(item.visibility) && !scope.impl && !scope.trait;
+      for (const use of expandUseTree(code.slice(from, end - 1))) {
+        const imported = use.glob ? '*' : use.path[use.path.length - 1];
+        const local = use.glob ? '*' : use.alias || imported;
+        result.imports.push(use.path.join('::'));
+        result.importDetails.push({
+          source: use.path.join('::'),
+          kind: reexport ? 'reexport' : 'use',
+          names: local === '_' ? [] : [{ imported, local }],
+          line: state.lineAt(item.start)
+        });
+        if (reexport && item.visibility === 'pub' && !use.glob && local !== '_') {
+          result.exports.push(local);
+        }
+      }
+      return end;
+    }
+
+    case 'extern crate': {
+      const end = skipStatement(code, from, to);
+      const alias = code.slice(from, end).match(/\bas\s+(\w+)/);
+      result.imports.push(name);
+      result.importDetails.push({
+        source: name,
+        kind: 'extern',
+        names: [{ imported: name, local: alias ? alias[1] : name }],
+        line: state.lineAt(item.start)
+      });
+      return end;
+    }
+
+    case 'type': {
+      const end = skipStatement(code, from, to);
+      if (!scope.impl && !scope.trait && name) {
+        const alias = code.slice(i, end - 1).match(/^\s*(?:<[^=]*>)?\s*=\s*([\s\S]*)$/);
+        result.classes.push({
+          ...typeEntry(state, item, name, end - 1, scope),
+          kind: 'type',
+          underlying: alias ? alias[1].trim() : null
+        });
+        if (exported) {
+          result.exports.push(name);
+        }
+      }
+      return end;
+    }
+
+    case 'macro_rules': {
+      const end = skipStatement(code, i, to);
+      if (item.attributes.some(attribute => /^\s*macro_export\b/.test(attribute))) {
+        result.exports.push(name);
+      }
+      return end;
+    }
+
+    default: {
+      // const and static
+      const end = skipStatement(code, from, to);
+      if (exported && name) {
+        result.exports.push(name);
+      }
+      return end;
+    }
+  }
+}
+
+function parseFunction(state, item, name, from, to, scope, exported) {
+  const { code, result } = state;
+  let i = skipWhitespace(code, from);
+  let generics = null;
+  if (code[i] === '<') {
+    const close = findAngleClosing(code, i);
+    generics = code.slice(i + 1, close).trim();
+    i = skipWhitespace(code, close + 1);
+  }
+  if (code[i] !== '(') {
+    return skipStatement(code, i, to);
+  }
+
+  const paramsClose = findClosing(code, i);
+  const params = splitTopLevel(code.slice(i + 1, paramsClose)).map(param => param.replace(/\s+/g, ' '));
+  const bodyStart = findBodyStart(code, paramsClose + 1, to);
+  const signatureEnd = bodyStart === -1 ? skipStatement(code, paramsClose + 1, to) - 1 : bodyStart;
+  const returns = code.slice(paramsClose + 1, signatureEnd).split(/\bwhere\b/)[0].trim();
+  const end = bodyStart === -1 ? signatureEnd : findClosing(code, bodyStart);
+  const owner = scope.impl ? scope.impl.type : scope.trait;
+  const selfParam = params.length > 0 && /^&?\s*(?:'\w+\s+)?(?:mut\s+)?self\b/.test(params[0]) ? params[0] : null;
+
+  result.functions.push({
+    name,
+    line: state.lineAt(item.start),
+    endLine: state.lineAt(end),
+    type: owner ? 'method' : 'function',
+    ...(owner ? { className: owner, static: !selfParam } : {}),
+    ...(scope.impl && scope.impl.trait ? { trait: scope.impl.trait } : {}),
+    ...(scope.module.length > 0 ? { module: scope.module.join('::') } : {}),
+    visibility: item.visibility,
+    async: item.qualifiers.includes('async'),
+    const: item.qualifiers.includes('const'),
+    unsafe: item.qualifiers.includes('unsafe'),
+    ...(generics ? { generics } : {}),
+    params,
+    results: returns.startsWith('->') ? returns.slice(2).trim() : null,
+    ...(bodyStart === -1 ? { declaration: true } : {})
+  });
+
+  if (exported) {
+    result.exports.push(name);
+  }
+  return end + 1;
+}
+
+// struct, enum, union and trait definitions
+function parseType(state, item, name, from, to, scope, exported) {
+  const { code, result } = state;
+  let i = skipWhitespace(code, from);
+  let generics = null;
+  if (code[i] === '<') {
+    const close = findAngleClosing(code, i);
+    generics = code.slice(i + 1, close).trim();
+    i = close + 1;
+  }
+
+  let tuple = null;
+  i = skipWhitespace(code, i);
+  if (code[i] === '(') {
+    const close = findClosing(code, i);
+    tuple = code.slice(i + 1, close);
+    i = close + 1;
+  }
+
+  const bodyStart = tuple === null ? findBodyStart(code, i, to) : -1;
+  const end = bodyStart === -1 ? skipStatement(code, i, to) - 1 : findClosing(code, bodyStart);
+  const type = {
+    ...typeEntry(state, item, name, end, scope),
+    kind: item.keyword,
+    ...(generics ? { generics } : {})
+  };
+
+  if (item.keyword === 'struct' || item.keyword === 'union') {
+    type.fields = tuple !== null
+      ? splitTopLevel(stripAttributes(tuple)).map((field, index) => ({
+        name: String(index),
+        type: field.replace(/^pub(?:\s*\([^)]*\))?\s+/, '').trim()
+      }))
+      : bodyStart === -1 ? [] : structFields(code.slice(bodyStart + 1, end));
+  } else if (item.keyword === 'enum') {
+    type.variants = bodyStart === -1 ? [] : splitTopLevel(stripAttributes(code.slice(bodyStart + 1, end)))
+      .map(variant => (variant.match(/^\w+/) || [null])[0])
+      .filter(Boolean);
+  } else {
+    const header = code.slice(i, bodyStart === -1 ? end : bodyStart).split(/\bwhere\b/)[0];
+    const supertraits = header.match(/^\s*:\s*([\s\S]*)$/);
+    type.supertraits = supertraits
+      ? splitTopLevel(supertraits[1], '+')
+        .filter(bound => !/^['?]/.test(bound))
+        .map(bound => typeName(bound))
+        .filter(Boolean)
+      : [];
+
+    const before = result.functions.length;
+    if (bodyStart !== -1) {
+      parseItems(state, bodyStart + 1, end, { ...scope, impl: null, trait: name });
+    }
+    type.methods = result.functions.slice(before).map(func => func.name);
+  }
+
+  result.classes.push(type);
+  if (exported) {
+    result.exports.push(name);
+  }
+  return end + 1;
+}
+
+function typeEntry(state, item, name, end, scope) {
+  const derives = [];
+  for (const attribute of item.attributes) {
+    const derive = attribute.match(/^\s*derive\s*\(([\s\S]*)\)\s*$/);
+    if (derive) {
+      derives.push(...splitTopLevel(derive[1]).map(trait => typeName(trait)));
+    }
+  }
+
+  return {
+    name,
+    line: state.lineAt(item.start),
+    endLine: state.lineAt(end),
+    extends: null,
+    implements: [],
+    visibility: item.visibility,
+    ...(scope.module.length > 0 ? { module: scope.module.join('::') } : {}),
+    ...(derives.length > 0 ? { derives } : {})
+  };
+}
+
+// `impl<T> Trait<T> for Type<T> where ... { ... }` or an inherent
+// `impl Type { ... }`. The methods inside are parsed with the impl's type
+// (and trait) as their scope.
+function parseImpl(state, item, from, to, scope) {
+  const { code, result } = state;
+  let i = skipWhitespace(code, from);
+  let generics = null;
+  if (code[i] === '<') {
+    const close = findAngleClosing(code, i);
+    generics = code.slice(i + 1, close).trim();
+    i = close + 1;
+  }
+
+  const bodyStart = findBodyStart(code, i, to);
+  if (bodyStart === -1) {
+    return skipStatement(code, i, to);
+  }
+  const end = findClosing(code, bodyStart);
+  const header = code.slice(i, bodyStart).split(/\bwhere\b/)[0].trim();
+  const parts = splitTopLevel(header, ' for ');
+  const negative = parts.length === 2 && parts[0].startsWith('!');
+  const impl = {
+    type: typeName(parts[parts.length - 1]),
+    trait: parts.length === 2 ? typeName(parts[0].replace(/^!/, '')) : null,
+    line: state.lineAt(item.start),
+    endLine: state.lineAt(end),
+    ...(generics ? { generics } : {}),
+    ...(negative ? { negative: true } : {}),
+    ...(scope.module.length > 0 ? { module: scope.module.join('::') } : {})
+  };
+
+  result.impls.push(impl);
+  parseItems(state, bodyStart + 1, end, { ...scope, impl: negative ? null : impl, trait: null });
+  return end + 1;
+}
+
+// `std::collections::HashMap<K, V>` -> 'HashMap', `&'a mut dyn Trait` -> 'Trait'
+function typeName(text) {
+  const bare = text.trim()
+    .replace(/^&\s*(?:'\w+\s*)?/, '')
+    .replace(/^(?:mut|dyn|impl)\s+/, '')
+    .replace(/<[\s\S]*$/, '')
+    .trim();
+  const segments = bare.split('::');
+  return segments[segments.length - 1].trim() || null;
+}
+
+function structFields(body) {
+  const fields = [];
+  for (const field of splitTopLevel(stripAttributes(body))) {
+    const match = field.match(/^(?:(pub(?:\s*\([^)]*\))?)\s+)?(\w+)\s*:\s*([\s\S]+)$/);
+    if (match) {
+      fields.push({
+        name: match[2],
+        type: match[3].replace(/\s+/g, ' ').trim(),
+        visibility: match[1] ? match[1].replace(/\s+/g, '') : null
+      });
+    }
+  }
+  return fields;
+}
+
+// Expands a use tree into one entry per imported path, e.g.
+// `std::{io::{self, Read}, fmt as f}` -> std::io, std::io::Read, std::fmt (as f)
+function expandUseTree(text, prefix = []) {
+  const match = text.trim().replace(/^::/, '').match(/^((?:\w+\s*::\s*)*)([\s\S]*)$/);
+  const base = [...prefix, ...match[1].split('::').map(part => part.trim()).filter(Boolean)];
+  const rest = match[2].trim();
+
+  if (rest.startsWith('{')) {
+    const inner = rest.slice(1, findClosing(rest, 0));
+    return splitTopLevel(inner).flatMap(part => expandUseTree(part, base));
+  }
+  if (rest === '*') {
+    return [{ path: base, glob: true }];
+  }
+
+  const leaf = rest.match(/^(\w+)(?:\s+as\s+(\w+))?$/);
+  if (!leaf) {
+    return [];
+  }
+  return [{
+    path: leaf[1] === 'self' ? base : [...base, leaf[1]],
+    alias: leaf[2] || null
+  }];
+}
+
+function stripAttributes(text) {
+  let result = text;
+  let start;
+  while ((start = result.search(/#\s*\[/)) !== -1) {
+    const close = findClosing(result, result.indexOf('[', start));
+    result = result.slice(0, start) + result.slice(close + 1);
+  }
+  return result;
+}
+
+// Splits on `separator` outside brackets and generic argument lists
+function splitTopLevel(text, separator = ',') {
+  const parts = [];
+  let depth = 0;
+  let last = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    } else if (char === '<') {
+      depth++;
+    } else if (char === '>' && text[i - 1] !== '-' && text[i - 1] !== '=') {
+      depth--;
+    } else if (depth === 0 && text.startsWith(separator, i)) {
+      parts.push(text.slice(last, i));
+      last = i + separator.length;
+      i = last - 1;
+    }
+  }
+  parts.push(text.slice(last));
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// Offset of the `{` opening an item's body, or -1 when the item ends with
+// `;` first
+function findBodyStart(code, from, to) {
+  for (let i = from; i < to; i++) {
+    if (code[i] === '{') return i;
+    if (code[i] === ';') return -1;
+    if (code[i] === '(' || code[i] === '[') i = findClosing(code, i);
+  }
+  return -1;
+}
+
+// Offset just past the statement starting at `from`: its `;`, or the block
+// that ends it (e.g. a `macro! { ... }` invocation)
+function skipStatement(code, from, to) {
+  for (let i = from; i < to; i++) {
+    if (code[i] === ';') return i + 1;
+    if (code[i] === '{') return findClosing(code, i) + 1;
+    if (code[i] === '(' || code[i] === '[') i = findClosing(code, i);
+  }
+  return to;
+}
+
+function skipWhitespace(code, from) {
+  let i = from;
+  while (i < code.length && /\s/.test(code[i])) i++;
+  return i;
+}
+
+// Blanks out comments (which nest in Rust) and the contents of string,
+// raw string and char literals, keeping offsets and newlines, and collects
+// the comments. A quote that does not close a char literal starts a
+// lifetime or label and is left alone.
+function maskRust(content) {
+  const chars = content.split('');
+  const comments = [];
+  const lineAt = createLineIndex(content);
+  let i = 0;
+
+  const blank = (from, to) => {
+    for (let j = from; j < to; j++) {
+      if (chars[j] !== '\n') chars[j] = ' ';
+    }
+  };
+
+  while (i < content.length) {
+    const char = content[i];
+    const next = content[i + 1];
+    const rawString = /b?r(#*)"/y;
+    rawString.lastIndex = i;
+    const raw = (char === 'r' || char === 'b') && (i === 0 || !/\w/.test(content[i - 1])) &&
+      rawString.exec(content);
+
+    if (char === '/' && next === '/') {
+      const newline = content.indexOf('\n', i);
+      const end = newline === -1 ? content.length : newline;
+      comments.push({ text: content.slice(i, end), line: lineAt(i), type: 'single' });
+      blank(i, end);
+      i = end;
+    } else if (char === '/' && next === '*') {
+      let depth = 0;
+      let j = i;
+      while (j < content.length) {
+        if (content.startsWith('/*', j)) {
+          depth++;
+          j += 2;
+        } else if (content.startsWith('*/', j)) {
+          depth--;
+          j += 2;
+          if (depth === 0) break;
+        } else {
+          j++;
+        }
+      }
+      comments.push({ text: content.slice(i, j), line: lineAt(i), type: 'multi' });
+      blank(i, j);
+      i = j;
+    } else if (raw) {
+      const close = content.indexOf(`"${raw[1]}`, i + raw[0].length);
+      const end = close === -1 ? content.length : close;
+      blank(i + raw[0].length, end);
+      i = end + 1 + raw[1].length;
+    } else if (char === '"') {
+      let j = i + 1;
+      while (j < content.length && content[j] !== '"') {
+        if (content[j] === '\\') j++;
+        j++;
+      }
+      blank(i + 1, j);
+      i = j + 1;
+    } else if (char === '\'') {
+      const width = next === undefined ? 1 : String.fromCodePoint(content.codePointAt(i + 1)).length;
+      if (next === '\\') {
+        const close = content.indexOf('\'', i + 3);
+        const end = close === -1 || close - i > 12 ? i + 1 : close;
+        blank(i + 1, end);
+        i = end + 1;
+      } else if (content[i + 1 + width] === '\'') {
+        blank(i + 1, i + 1 + width);
+        i += 2 + width;
+      } else {
+        i++;
+      }
+    } else {
+      i++;
+    }
+  }
+
+  return { code: chars.join(''), comments };
+}
+
+// Cargo.toml: the crate it declares (as a `crate` node) and its
+// dependencies. Workspace roots without a [package] declare no crate.
+function parseCargoManifest(content) {
+  const toml = parseToml(content);
+  const pkg = toml.package && typeof toml.package.name === 'string' ? toml.package : null;
+  const dependencies = cargoDependencies(toml);
+  const crate = pkg ? {
+    name: pkg.name,
+    // The name Rust code refers to the library by
+    crateName: (toml.lib && typeof toml.lib.name === 'string' ? toml.lib.name : pkg.name).replace(/-/g, '_'),
+    version: typeof pkg.version === 'string' ? pkg.version : null,
+    edition: typeof pkg.edition === 'string' ? pkg.edition : null,
+    dependencies
+  } : null;
+
+  return {
+    type: 'cargo',
+    crate,
+    dependencies,
+    workspaceMembers: toml.workspace && Array.isArray(toml.workspace.members) ? toml.workspace.members : [],
+    nodes: crate ? [{ key: 'crate', type: 'crate', data: crate }] : []
+  };
+}
+
+module.exports = {
+  parseRust,
+  parseCargoManifest
+};
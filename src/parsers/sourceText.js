@@ -0,0 +1,58 @@
+// Maps an offset in `content` to its 1-based line number
+function createLineIndex(content) {
+  const starts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') starts.push(i + 1);
+  }
+
+  return offset => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
+}
+
+// Offset of the bracket closing the one at `open`
+function findClosing(code, open) {
+  const pairs = { '(': ')', '[': ']', '{': '}' };
+  const stack = [];
+
+  for (let i = open; i < code.length; i++) {
+    if (pairs[code[i]]) {
+      stack.push(pairs[code[i]]);
+    } else if (code[i] === stack[stack.length - 1]) {
+      stack.pop();
+      if (stack.length === 0) return i;
+    }
+  }
+  return code.length - 1;
+}
+
+// Offset of the `>` closing the generic or template parameter list opened
+// at `open` (arrows such as `Fn() -> T` are not brackets)
+function findAngleClosing(code, open) {
+  let depth = 0;
+  for (let i = open; i < code.length; i++) {
+    const char = code[i];
+    if (char === '(' || char === '[' || char === '{') {
+      i = findClosing(code, i);
+    } else if (char === '<') {
+      depth++;
+    } else if (char === '>' && code[i - 1] !== '-' && code[i - 1] !== '=') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return code.length - 1;
+}
+
+module.exports = {
+  createLineIndex,
+  findClosing,
+  findAngleClosing
+};
@@ -0,0 +1,283 @@
+const path = require('path');
+const { parseAllDocuments, LineCounter, isMap, isSeq, isScalar } = require('yaml');
+
+// Kinds whose pods come from a template, and where that pod spec lives
+const POD_SPEC_PATHS = {
+  Pod: ['spec'],
+  CronJob: ['spec', 'jobTemplate', 'spec', 'template', 'spec']
+};
+const DEFAULT_POD_SPEC_PATH = ['spec', 'template', 'spec'];
+
+// Parses every document of a YAML file (anchors, aliases and `<<` merge
+// keys resolved) and recognizes the formats the graph knows about, each
+// recognized document adding plugin-style `nodes` and `edges` for it:
+//
+// - GitHub Actions workflows -> a `workflow` node with its triggers, jobs,
+//   steps and the actions they use
+// - Kubernetes manifests (including `List`s) -> a `k8s_resource` node per
+//   object, with its labels, selector and container images
+// - docker-compose files -> a `service` node per service, with depends_on
+//   edges between them
+// - Helm values files -> a `helm_values` node with the images they set
+//
+// `keys` lists every mapping key in source order as { key, indent, line }.
+// `documents` holds the plain values for FileParser to describe.
+function parseYaml(content, filePath = '') {
+  const lineCounter = new LineCounter();
+  const lineAt = offset => lineCounter.linePos(offset).line;
+  const result = {
+    type: 'yaml',
+    format: null,
+    documents: [],
+    keys: [],
+    nodes: [],
+    edges: []
+  };
+  const errors = [];
+
+  for (const doc of parseAllDocuments(content, { lineCounter, merge: true })) {
+    for (const error of doc.errors) {
+      errors.push({ message: error.message.split('\n')[0], line: error.linePos ? error.linePos[0].line : null });
+    }
+
+    collectKeys(doc.contents, lineCounter, result.keys);
+
+    let value;
+    try {
+      value = doc.toJS();
+    } catch (error) {
+      errors.push({ message: error.message, line: doc.contents ? lineAt(doc.contents.range[0]) : null });
+      continue;
+    }
+    if (value === null || value === undefined) {
+      continue;
+    }
+
+    result.documents.push(value);
+    if (isPlainObject(value)) {
+      const format = recognize(value, filePath, doc.contents, lineAt, result);
+      result.format = result.format || format;
+    }
+  }
+
+  if (errors.length > 0) {
+    result.error = 'Invalid YAML';
+    result.message = errors[0].message;
+    result.errors = errors;
+  }
+
+  return result;
+}
+
+function recognize(value, filePath, contents, lineAt, result) {
+  const fileName = path.basename(filePath);
+  const line = lineAt(contents.range[0]);
+  const lines = keyLines(contents, lineAt);
+
+  if (isPlainObject(value.jobs) && ('on' in value || /(^|[\\/])\.github[\\/]workflows[\\/]/.test(filePath))) {
+    result.nodes.push({ key: `workflow:${result.nodes.length}`, type: 'workflow', data: readWorkflow(value, fileName, line) });
+    return 'github-actions';
+  }
+
+  if (typeof value.apiVersion === 'string' && typeof value.kind === 'string') {
+    const items = /List$/.test(value.kind) && Array.isArray(value.items) ? value.items : [value];
+    for (const item of items.filter(isPlainObject)) {
+      result.nodes.push({ key: `k8s:${result.nodes.length}`, type: 'k8s_resource', data: readK8sResource(item, line) });
+    }
+    return 'kubernetes';
+  }
+
+  const composeFile = /^(?:docker-)?compose(?:[.-][\w.-]+)?\.ya?ml$/.test(fileName);
+  if (isPlainObject(value.services) && (composeFile || Object.values(value.services)
+    .some(service => isPlainObject(service) && (service.image || service.build)))) {
+    const serviceLines = keyLines(mapValue(contents, 'services'), lineAt);
+    for (const [name, service] of Object.entries(value.services)) {
+      result.nodes.push({ key: `service:${name}`, type: 'service', data: readComposeService(name, service, serviceLines.get(name) || lines.get('services')) });
+    }
+    for (const [name, service] of Object.entries(value.services)) {
+      for (const dependency of dependsOn(service)) {
+        if (value.services[dependency]) {
+          result.edges.push({ source: `service:${name}`, target: `service:${dependency}`, relationship: 'depends_on' });
+        }
+      }
+    }
+    return 'docker-compose';
+  }
+
+  if (/^values(?:[.-][\w.-]+)?\.ya?ml$/.test(fileName)) {
+    result.nodes.push({
+      key: 'helm_values',
+      type: 'helm_values',
+      data: {
+        name: path.basename(path.dirname(filePath)),
+        chart: path.basename(path.dirname(filePath)),
+        images: collectImages(value),
+        keys: Object.keys(value),
+        line
+      }
+    });
+    return 'helm-values';
+  }
+
+  return null;
+}
+
+function readWorkflow(value, fileName, line) {
+  const jobs = Object.entries(value.jobs).filter(([, job]) => isPlainObject(job)).map(([id, job]) => ({
+    id,
+    name: typeof job.name === 'string' ? job.name : id,
+    runsOn: job['runs-on'] !== undefined ? job['runs-on'] : null,
+    needs: toList(job.needs),
+    environment: isPlainObject(job.environment) ? job.environment.name || null : job.environment || null,
+    ...(job.uses ? { uses: job.uses } : {}),
+    steps: (Array.isArray(job.steps) ? job.steps : []).filter(isPlainObject).map(step => ({
+      name: step.name || null,
+      ...(step.uses ? { uses: step.uses } : {}),
+      ...(step.run ? { run: String(step.run) } : {}),
+      ...(isPlainObject(step.with) ? { with: step.with } : {})
+    }))
+  }));
+
+  const actions = [];
+  for (const job of jobs) {
+    for (const uses of [job.uses, ...job.steps.map(step => step.uses)]) {
+      if (uses && !actions.includes(uses)) actions.push(uses);
+    }
+  }
+
+  return {
+    name: typeof value.name === 'string' ? value.name : fileName.replace(/\.ya?ml$/, ''),
+    triggers: isPlainObject(value.on) ? Object.keys(value.on) : toList(value.on),
+    jobs,
+    actions,
+    line
+  };
+}
+
+function readK8sResource(item, line) {
+  const metadata = isPlainObject(item.metadata) ? item.metadata : {};
+  const spec = isPlainObject(item.spec) ? item.spec : {};
+  const podSpec = dig(item, POD_SPEC_PATHS[item.kind] || DEFAULT_POD_SPEC_PATH);
+  const template = item.kind === 'Pod' ? item : dig(item, (POD_SPEC_PATHS[item.kind] || DEFAULT_POD_SPEC_PATH).slice(0, -1));
+  const containers = isPlainObject(podSpec)
+    ? [...toList(podSpec.initContainers), ...toList(podSpec.containers)].filter(isPlainObject)
+    : [];
+  const selector = item.kind === 'Service'
+    ? spec.selector
+    : isPlainObject(spec.selector) ? spec.selector.matchLabels : null;
+
+  return {
+    name: metadata.name || null,
+    kind: item.kind,
+    apiVersion: item.apiVersion || null,
+    namespace: metadata.namespace || null,
+    labels: isPlainObject(metadata.labels) ? metadata.labels : {},
+    selector: isPlainObject(selector) ? selector : null,
+    podLabels: template && isPlainObject(template.metadata) && isPlainObject(template.metadata.labels)
+      ? template.metadata.labels
+      : null,
+    images: unique(containers.map(container => container.image).filter(image => typeof image === 'string')),
+    line
+  };
+}
+
+function readComposeService(name, service, line) {
+  const definition = isPlainObject(service) ? service : {};
+  const build = isPlainObject(definition.build) ? definition.build.context || '.' : definition.build;
+
+  return {
+    name,
+    image: typeof definition.image === 'string' ? definition.image : null,
+    build: typeof build === 'string' ? build : null,
+    ports: toList(definition.ports).map(String),
+    dependsOn: dependsOn(definition),
+    line
+  };
+}
+
+function dependsOn(service) {
+  if (!isPlainObject(service)) {
+    return [];
+  }
+  return isPlainObject(service.depends_on) ? Object.keys(service.depends_on) : toList(service.depends_on);
+}
+
+// Images set in Helm values: `image: repo:tag` strings and the common
+// `image: { registry, repository, tag }` maps
+function collectImages(value, images = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectImages(item, images));
+  } else if (isPlainObject(value)) {
+    for (const [key, inner] of Object.entries(value)) {
+      if (key === 'image' && typeof inner === 'string') {
+        images.push(inner);
+      } else if (key === 'image' && isPlainObject(inner) && typeof inner.repository === 'string') {
+        const repository = inner.registry ? `${inner.registry}/${inner.repository}` : inner.repository;
+        images.push(inner.tag !== undefined && inner.tag !== '' ? `${repository}:${inner.tag}` : repository);
+      } else {
+        collectImages(inner, images);
+      }
+    }
+  }
+  return unique(images);
+}
+
+// Every key of the mappings under `node`, with its column as `indent`
+function collectKeys(node, lineCounter, keys) {
+  if (isMap(node)) {
+    for (const pair of node.items) {
+      if (isScalar(pair.key) && pair.key.range) {
+        const { line, col } = lineCounter.linePos(pair.key.range[0]);
+        keys.push({ key: String(pair.key.value), indent: col - 1, line });
+      }
+      collectKeys(pair.value, lineCounter, keys);
+    }
+  } else if (isSeq(node)) {
+    node.items.forEach(item => collectKeys(item, lineCounter, keys));
+  }
+  return keys;
+}
+
+// Key -> line of each entry of a YAML map node
+function keyLines(node, lineAt) {
+  const lines = new Map();
+  if (isMap(node)) {
+    for (const pair of node.items) {
+      if (isScalar(pair.key) && pair.key.range) {
+        lines.set(String(pair.key.value), lineAt(pair.key.range[0]));
+      }
+    }
+  }
+  return lines;
+}
+
+function mapValue(node, key) {
+  if (!isMap(node)) {
+    return null;
+  }
+  const pair = node.items.find(item => isScalar(item.key) && item.key.value === key);
+  return pair ? pair.value : null;
+}
+
+function dig(value, keys) {
+  return keys.reduce((current, key) => isPlainObject(current) ? current[key] : undefined, value);
+}
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  parseYaml
+};
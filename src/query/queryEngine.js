@@ -1,4 +1,5 @@
 const natural = require('natural');
+const { Operation } = require('../utils/abort');
 
 class QueryEngine {
   constructor(knowledgeGraph) {
@@ -65,10 +66,30 @@ class QueryEngine {
     this.classifier.addDocument('exports', 'import_search');
     this.classifier.addDocument('api', 'import_search');
     
+    // Ownership searches (need history)
+    this.classifier.addDocument('who owns', 'ownership_search');
+    this.classifier.addDocument('who wrote', 'ownership_search');
+    this.classifier.addDocument('who maintains', 'ownership_search');
+    this.classifier.addDocument('who worked on', 'ownership_search');
+    this.classifier.addDocument('who is the expert on', 'ownership_search');
+    this.classifier.addDocument('owner of', 'ownership_search');
+    this.classifier.addDocument('who owns the code', 'ownership_search');
+    this.classifier.addDocument('who wrote this code', 'ownership_search');
+    
+    // Change history searches (need history)
+    this.classifier.addDocument('what changed recently', 'history_search');
+    this.classifier.addDocument('recent changes', 'history_search');
+    this.classifier.addDocument('latest commits', 'history_search');
+    this.classifier.addDocument('what was modified lately', 'history_search');
+    this.classifier.addDocument('commit history of', 'history_search');
+    
     this.classifier.train();
   }
 
-  async query(naturalLanguageQuery) {
+  // options.signal and options.timeout (ms) abort the search between nodes;
+  // options.package (and options.repository) scope it to one workspace member
+  async query(naturalLanguageQuery, options = {}) {
+    const operation = new Operation(options);
     const queryType = this.classifyQuery(naturalLanguageQuery);
     const keywords = this.extractKeywords(naturalLanguageQuery);
     
@@ -76,32 +97,42 @@ class QueryEngine {
     
     switch (queryType) {
       case 'function_search':
-        results = await this.searchFunctions(keywords);
+        results = await this.searchFunctions(keywords, operation);
         break;
       case 'class_search':
-        results = await this.searchClasses(keywords);
+        results = await this.searchClasses(keywords, operation);
         break;
       case 'file_search':
-        results = await this.searchFiles(keywords);
+        results = await this.searchFiles(keywords, operation);
         break;
       case 'pattern_search':
-        results = await this.searchPatterns(naturalLanguageQuery, keywords);
+        results = await this.searchPatterns(naturalLanguageQuery, keywords, operation);
         break;
       case 'relationship_search':
-        results = await this.searchRelationships(keywords);
+        results = await this.searchRelationships(keywords, operation);
         break;
       case 'documentation_search':
-        results = await this.searchDocumentation(keywords);
+        results = await this.searchDocumentation(keywords, operation);
         break;
       case 'import_search':
-        results = await this.searchImports(keywords);
+        results = await this.searchImports(keywords, operation);
+        break;
+      case 'ownership_search':
+        results = await this.searchOwnership(keywords, operation);
+        break;
+      case 'history_search':
+        results = await this.searchHistory(keywords, operation);
         break;
       default:
-        results = await this.generalSearch(keywords);
+        results = await this.generalSearch(keywords, operation);
+    }
+    
+    if (options.package) {
+      results = this.scopeToPackage(results, options.package, options.repository);
     }
     
     // Enhance results with code context for vibe coding
-    results = await this.enhanceWithCodeContext(results);
+    results = await this.enhanceWithCodeContext(results, operation);
     
     return {
       query: naturalLanguageQuery,
@@ -137,11 +168,12 @@ class QueryEngine {
     return stemmedKeywords;
   }
 
-  async searchFunctions(keywords) {
+  async searchFunctions(keywords, operation = new Operation()) {
     const functionNodes = this.knowledgeGraph.findNodesByType('function');
     const results = [];
     
     for (const node of functionNodes) {
+      operation.throwIfAborted();
       const relevance = this.calculateRelevance(node, keywords);
       if (relevance > 0) {
         results.push({
@@ -155,11 +187,12 @@ class QueryEngine {
     return results;
   }
 
-  async searchClasses(keywords) {
+  async searchClasses(keywords, operation = new Operation()) {
     const classNodes = this.knowledgeGraph.findNodesByType('class');
     const results = [];
     
     for (const node of classNodes) {
+      operation.throwIfAborted();
       const relevance = this.calculateRelevance(node, keywords);
       if (relevance > 0) {
         const context = await this.getNodeContext(node.id);
@@ -180,11 +213,12 @@ class QueryEngine {
     return results;
   }
 
-  async searchFiles(keywords) {
+  async searchFiles(keywords, operation = new Operation()) {
     const fileNodes = this.knowledgeGraph.findNodesByType('file');
     const results = [];
     
     for (const node of fileNodes) {
+      operation.throwIfAborted();
       const relevance = this.calculateRelevance(node, keywords);
       if (relevance > 0) {
         const context = await this.getNodeContext(node.id);
@@ -205,11 +239,12 @@ class QueryEngine {
     return results;
   }
 
-  async searchRelationships(keywords) {
+  async searchRelationships(keywords, operation = new Operation()) {
     const results = [];
     const allNodes = this.knowledgeGraph.searchNodes(keywords.map(k => k.original).join(' '));
     
     for (const node of allNodes.slice(0, 10)) {
+      operation.throwIfAborted();
       const connections = this.knowledgeGraph.getNodeConnections(node.id);
       
       for (const edge of connections) {
@@ -230,12 +265,15 @@ class QueryEngine {
     return results;
   }
 
-  async searchDocumentation(keywords) {
+  async searchDocumentation(keywords, operation = new Operation()) {
     const docNodes = this.knowledgeGraph.findNodesByType('documentation');
     const headingNodes = this.knowledgeGraph.findNodesByType('heading');
+    const issueNodes = this.knowledgeGraph.findNodesByType('issue');
+    const pullRequestNodes = this.knowledgeGraph.findNodesByType('pull_request');
     const results = [];
     
-    for (const node of [...docNodes, ...headingNodes]) {
+    for (const node of [...docNodes, ...headingNodes, ...issueNodes, ...pullRequestNodes]) {
+      operation.throwIfAborted();
       const relevance = this.calculateRelevance(node, keywords);
       if (relevance > 0) {
         const context = await this.getNodeContext(node.id);
@@ -250,12 +288,13 @@ class QueryEngine {
     return results;
   }
 
-  async searchImports(keywords) {
+  async searchImports(keywords, operation = new Operation()) {
     const importNodes = this.knowledgeGraph.findNodesByType('import');
     const exportNodes = this.knowledgeGraph.findNodesByType('export');
     const results = [];
     
     for (const node of [...importNodes, ...exportNodes]) {
+      operation.throwIfAborted();
       const relevance = this.calculateRelevance(node, keywords);
       if (relevance > 0) {
         const context = await this.getNodeContext(node.id);
@@ -276,7 +315,106 @@ class QueryEngine {
     return results;
   }
 
-  async searchPatterns(query, keywords) {
+  // Ranks authors by how much of the matching files and functions they
+  // wrote: commits to files plus blamed lines in functions
+  async searchOwnership(keywords, operation = new Operation()) {
+    const topics = this.getHistoryTopics(keywords);
+    const authored = new Map();
+    
+    for (const [id, edge] of this.knowledgeGraph.edges) {
+      operation.throwIfAborted();
+      if (!Array.isArray(edge) && edge.relationship === 'authored') {
+        if (!authored.has(edge.target)) {
+          authored.set(edge.target, []);
+        }
+        authored.get(edge.target).push(edge);
+      }
+    }
+    
+    const owners = new Map();
+    const candidates = [
+      ...this.knowledgeGraph.findNodesByType('file'),
+      ...this.knowledgeGraph.findNodesByType('function')
+    ];
+    
+    for (const node of candidates) {
+      operation.throwIfAborted();
+      if (!authored.has(node.id) || this.matchTopics(node, topics) === 0) continue;
+      
+      for (const edge of authored.get(node.id)) {
+        if (!owners.has(edge.source)) {
+          owners.set(edge.source, { commits: 0, lines: 0, files: [], functions: [] });
+        }
+        const owner = owners.get(edge.source);
+        if (node.type === 'file') {
+          owner.commits += edge.metadata.commits || 0;
+          owner.files.push(node.data.relativePath || node.data.path);
+        } else {
+          owner.lines += edge.metadata.lines || 0;
+          owner.functions.push(node.data.name);
+        }
+      }
+    }
+    
+    const results = [];
+    for (const [authorId, owner] of owners) {
+      operation.throwIfAborted();
+      results.push({
+        node: this.knowledgeGraph.nodes.get(authorId),
+        relevance: owner.commits + owner.lines / 10,
+        ...owner
+      });
+    }
+    
+    return results;
+  }
+
+  // Finds commits that touched files (or mention topics) matching the
+  // query, favouring the most recent ones
+  async searchHistory(keywords, operation = new Operation()) {
+    const topics = this.getHistoryTopics(keywords);
+    const commits = this.knowledgeGraph.findNodesByType('commit')
+      .sort((a, b) => new Date(b.data.date) - new Date(a.data.date));
+    const results = [];
+    
+    commits.forEach((node, index) => {
+      operation.throwIfAborted();
+      const files = (node.data.files || []).filter(filePath => this.matchTopics(filePath, topics) > 0);
+      const matches = files.length + this.matchTopics(node.data.message || '', topics);
+      
+      if (topics.length > 0 && matches === 0) return;
+      
+      results.push({
+        node,
+        relevance: Math.min(matches, 5) * 2 + 5 * (1 - index / commits.length),
+        files
+      });
+    });
+    
+    return results;
+  }
+
+  getHistoryTopics(keywords) {
+    const intentWords = new Set([
+      'who', 'own', 'owns', 'owner', 'owners', 'wrote', 'written', 'maintains', 'maintain',
+      'expert', 'experts', 'worked', 'work', 'author', 'authors', 'code',
+      'changed', 'change', 'changes', 'recently', 'recent', 'latest', 'lately', 'last',
+      'commit', 'commits', 'history', 'modified', 'were'
+    ]);
+    return keywords.filter(keyword => !intentWords.has(keyword.original));
+  }
+
+  // Counts topics that appear in a path/name (or in a plain string)
+  matchTopics(target, topics) {
+    const text = typeof target === 'string'
+      ? target.toLowerCase()
+      : [target.data.relativePath, target.data.path, target.data.name, target.data.file]
+        .filter(Boolean).join(' ').toLowerCase();
+    
+    return topics.filter(topic => text.includes(topic.original) || text.includes(topic.stemmed)).length;
+  }
+
+  async searchPatterns(query, keywords, operation = new Operation()) {
     // Search for code patterns and implementation examples
     const results = [];
     
@@ -289,6 +427,7 @@ class QueryEngine {
     const allNodes = [...functionNodes, ...classNodes, ...fileNodes];
     
     for (const node of allNodes) {
+      operation.throwIfAborted();
       let relevance = this.calculatePatternRelevance(node, query, keywords);
       
       if (relevance > 0) {
@@ -377,6 +516,11 @@ class QueryEngine {
     const lines = fileData.raw.split('\n');
     const startLine = (targetNode.data.line || 1) - 1;
     
+    // Parsers that know where a definition ends record it
+    if (targetNode.data.endLine) {
+      return lines.slice(startLine, targetNode.data.endLine).join('\n');
+    }
+    
     // Find the end of the function/class
     let endLine = startLine + 1;
     let braceCount = 0;
@@ -454,9 +598,10 @@ class QueryEngine {
     return merged;
   }
 
-  async enhanceWithCodeContext(results) {
+  async enhanceWithCodeContext(results, operation = new Operation()) {
     // Add actual code snippets to results for better vibe coding context
     for (const result of results) {
+      operation.throwIfAborted();
       if (!result.codeSnippet && result.node) {
         // Try to get code for this result
         if (result.node.type === 'file' && result.node.data && result.node.data.raw) {
@@ -473,12 +618,13 @@ class QueryEngine {
     return results;
   }
 
-  async generalSearch(keywords) {
+  async generalSearch(keywords, operation = new Operation()) {
     const queryString = keywords.map(k => k.original).join(' ');
     const searchResults = this.knowledgeGraph.searchNodes(queryString);
     
     const results = [];
     for (const node of searchResults.slice(0, 20)) {
+      operation.throwIfAborted();
       const context = await this.getNodeContext(node.id);
       results.push({
         node,
@@ -527,6 +673,24 @@ class QueryEngine {
     return context;
   }
 
+  // Keeps results inside a workspace member: its package node, files and
+  // their symbols, plus nodes pointing into them such as the commits and
+  // authors that touched those files
+  scopeToPackage(results, name, repository = null) {
+    const scope = this.knowledgeGraph.getPackageScope(name, repository);
+    const connected = new Set();
+    for (const [id, edge] of this.knowledgeGraph.edges) {
+      if (!Array.isArray(edge) && scope.has(edge.target)) {
+        connected.add(edge.source);
+      }
+    }
+    const inScope = node => Boolean(node) && (scope.has(node.id) || connected.has(node.id));
+    
+    return results.filter(result => result.node
+      ? inScope(result.node)
+      : inScope(result.source) || inScope(result.target));
+  }
+
   rankResults(results, keywords) {
     results.sort((a, b) => {
       const scoreA = a.relevance || 0;
@@ -573,6 +737,7 @@ class QueryEngine {
       if (node.data.path) parts.push(node.data.path);
       if (node.data.file) parts.push(node.data.file);
       if (node.data.text) parts.push(node.data.text);
+      if (node.data.title) parts.push(node.data.title);
       if (node.data.module) parts.push(node.data.module);
     }
     
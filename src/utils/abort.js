@@ -0,0 +1,55 @@
+// One cancellable unit of work: a caller's AbortSignal combined with an
+// optional timeout in ms. `signal` aborts on either, for handing to git
+// child processes and HTTP requests. The deadline is also checked against
+// the clock in throwIfAborted(), because CPU-bound loops never yield to the
+// timer that would abort the signal.
+class Operation {
+  constructor(options = {}) {
+    this.controller = new AbortController();
+    this.timeout = options.timeout || null;
+    this.deadline = this.timeout ? Date.now() + this.timeout : Infinity;
+
+    const signals = [this.controller.signal];
+    if (options.signal) {
+      signals.push(options.signal);
+    }
+    this.signal = signals.length === 1 ? signals[0] : AbortSignal.any(signals);
+
+    if (this.timeout) {
+      const timer = setTimeout(() => this.expire(), this.timeout);
+      timer.unref();
+    }
+  }
+
+  expire() {
+    if (!this.signal.aborted) {
+      this.controller.abort(createTimeoutError(this.timeout));
+    }
+  }
+
+  throwIfAborted() {
+    if (Date.now() >= this.deadline) {
+      this.expire();
+    }
+    this.signal.throwIfAborted();
+  }
+
+  // Time left before the deadline, for handing the rest of the budget to a
+  // component that takes its own timeout
+  remaining() {
+    return this.deadline === Infinity ? null : Math.max(1, this.deadline - Date.now());
+  }
+}
+
+function createTimeoutError(timeout) {
+  return new DOMException(`Operation timed out after ${timeout}ms`, 'TimeoutError');
+}
+
+function isAbortError(error) {
+  return Boolean(error) && (error.name === 'AbortError' || error.name === 'TimeoutError');
+}
+
+module.exports = {
+  Operation,
+  isAbortError
+};
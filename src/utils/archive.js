@@ -0,0 +1,182 @@
+const tar = require('tar');
+const yauzl = require('yauzl');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Works out the archive format from its first bytes, falling back to the
+// file extension for uncompressed tarballs without a ustar header
+async function detectArchiveFormat(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(262);
+    const { bytesRead } = await handle.read(header, 0, header.length, 0);
+
+    if (bytesRead >= 4 && header.readUInt32LE(0) === 0x04034b50) {
+      return 'zip';
+    }
+    if (bytesRead >= 2 && header[0] === 0x1f && header[1] === 0x8b) {
+      return 'tar.gz';
+    }
+    if (bytesRead >= 262 && header.toString('ascii', 257, 262) === 'ustar') {
+      return 'tar';
+    }
+  } finally {
+    await handle.close();
+  }
+
+  if (/\.zip$/i.test(filePath)) return 'zip';
+  if (/\.(tar\.gz|tgz)$/i.test(filePath)) return 'tar.gz';
+  if (/\.tar$/i.test(filePath)) return 'tar';
+  return null;
+}
+
+async function computeChecksum(filePath, algorithm = 'sha256') {
+  const hash = crypto.createHash(algorithm);
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+// Returns the normalized relative path of an archive member, or null when
+// it would land outside the extraction directory
+function safeEntryPath(entryPath) {
+  const normalized = path.posix.normalize(entryPath.replace(/\\/g, '/'));
+
+  if (path.posix.isAbsolute(normalized) || /^[a-zA-Z]:/.test(normalized) ||
+      normalized === '..' || normalized.startsWith('../')) {
+    return null;
+  }
+
+  return normalized.replace(/\/+$/, '');
+}
+
+function assertInside(root, relativePath) {
+  const target = path.resolve(root, ...relativePath.split('/'));
+  if (target !== root && !target.startsWith(root + path.sep)) {
+    throw new Error(`Unsafe path in archive: ${relativePath}`);
+  }
+  return target;
+}
+
+// Extracts regular files and directories into destination. An archive with
+// a member outside the destination is rejected as a whole; links are never
+// extracted and members over maxFileSize are left out. Returns what was
+// skipped and why.
+async function extractArchive(filePath, destination, options = {}) {
+  const format = options.format || await detectArchiveFormat(filePath);
+  const maxFileSize = options.maxFileSize || Infinity;
+  const root = path.resolve(destination);
+
+  await fs.promises.mkdir(root, { recursive: true });
+
+  if (format === 'zip') {
+    return extractZip(filePath, root, maxFileSize);
+  }
+  if (format === 'tar' || format === 'tar.gz') {
+    return extractTar(filePath, root, maxFileSize, format);
+  }
+  throw new Error(`Unsupported archive format: ${path.basename(filePath)}`);
+}
+
+async function extractTar(filePath, root, maxFileSize, format) {
+  const skipped = [];
+
+  // Check every member before anything is written
+  const unsafe = [];
+  await tar.t({
+    file: filePath,
+    onentry: entry => {
+      if (safeEntryPath(entry.path) === null) {
+        unsafe.push(entry.path);
+      }
+    }
+  });
+  if (unsafe.length > 0) {
+    throw new Error(`Unsafe path in archive: ${unsafe[0]}`);
+  }
+
+  await tar.x({
+    file: filePath,
+    cwd: root,
+    filter: (entryPath, entry) => {
+      const relativePath = safeEntryPath(entryPath);
+      if (entry.type !== 'File' && entry.type !== 'OldFile' && entry.type !== 'Directory') {
+        skipped.push({ path: relativePath, reason: /Link/.test(entry.type) ? 'link' : 'unsupported-entry' });
+        return false;
+      }
+      if (entry.type !== 'Directory' && entry.size > maxFileSize) {
+        skipped.push({ path: relativePath, reason: 'too-large', size: entry.size });
+        return false;
+      }
+      assertInside(root, relativePath);
+      return true;
+    }
+  });
+
+  return { format, skipped };
+}
+
+function extractZip(filePath, root, maxFileSize) {
+  const skipped = [];
+
+  return new Promise((resolve, reject) => {
+    yauzl.open(filePath, { lazyEntries: true }, (openError, zipfile) => {
+      if (openError) {
+        reject(openError);
+        return;
+      }
+
+      const fail = error => {
+        zipfile.close();
+        // yauzl validates member names itself before we see the entry
+        const invalidName = error.message.match(/^(?:invalid )?(?:relative|absolute) path: (.*)$/);
+        reject(invalidName ? new Error(`Unsafe path in archive: ${invalidName[1]}`) : error);
+      };
+
+      zipfile.on('error', fail);
+      zipfile.on('end', () => resolve({ format: 'zip', skipped }));
+      zipfile.on('entry', entry => {
+        handleZipEntry(zipfile, entry, root, maxFileSize, skipped)
+          .then(() => zipfile.readEntry(), fail);
+      });
+      zipfile.readEntry();
+    });
+  });
+}
+
+async function handleZipEntry(zipfile, entry, root, maxFileSize, skipped) {
+  const relativePath = safeEntryPath(entry.fileName);
+  if (relativePath === null) {
+    throw new Error(`Unsafe path in archive: ${entry.fileName}`);
+  }
+
+  const target = assertInside(root, relativePath);
+  // Unix file type bits live in the high half of the external attributes
+  const mode = (entry.externalFileAttributes >>> 16) & 0o170000;
+
+  if (entry.fileName.endsWith('/')) {
+    await fs.promises.mkdir(target, { recursive: true });
+    return;
+  }
+  if (mode === 0o120000) {
+    skipped.push({ path: relativePath, reason: 'link' });
+    return;
+  }
+  if (entry.uncompressedSize > maxFileSize) {
+    skipped.push({ path: relativePath, reason: 'too-large', size: entry.uncompressedSize });
+    return;
+  }
+
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  const stream = await new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (error, readStream) => error ? reject(error) : resolve(readStream));
+  });
+  await pipeline(stream, fs.createWriteStream(target));
+}
+
+module.exports = {
+  detectArchiveFormat,
+  computeChecksum,
+  extractArchive
+};
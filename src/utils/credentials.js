@@ -0,0 +1,66 @@
+// Environment for git child processes that authenticates as `credentials`.
+// A token travels as an http.extraHeader scoped to the repository's origin
+// through GIT_CONFIG_* variables, so it never reaches .git/config, the
+// command line or a remote URL; an SSH key is passed via GIT_SSH_COMMAND.
+// Prompts are disabled so missing credentials fail instead of hanging.
+function buildGitEnvironment(credentials, baseEnv = process.env) {
+  const env = { ...baseEnv, GIT_TERMINAL_PROMPT: '0' };
+
+  if (credentials.token && credentials.origin) {
+    const index = parseInt(baseEnv.GIT_CONFIG_COUNT || '0', 10) || 0;
+    const basic = Buffer.from(`${credentials.username}:${credentials.token}`).toString('base64');
+
+    env.GIT_CONFIG_COUNT = String(index + 1);
+    env[`GIT_CONFIG_KEY_${index}`] = `http.${credentials.origin}/.extraHeader`;
+    env[`GIT_CONFIG_VALUE_${index}`] = `Authorization: Basic ${basic}`;
+  }
+
+  if (credentials.sshKey) {
+    env.GIT_SSH_COMMAND = `ssh -i ${quoteShellArgument(credentials.sshKey)} -o IdentitiesOnly=yes -o BatchMode=yes`;
+  }
+
+  return env;
+}
+
+function quoteShellArgument(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// user:password embedded in an http(s) URL, if any
+function credentialsFromUrl(url) {
+  if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+    return null;
+  }
+
+  try {
+    const parsed = new URL(url);
+    return parsed.password
+      ? { username: decodeURIComponent(parsed.username), token: decodeURIComponent(parsed.password) }
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+function redactUrl(url) {
+  return typeof url === 'string' ? url.replace(/(\/\/)[^/@\s]+@/g, '$1***@') : url;
+}
+
+// Scrubs URL userinfo and the token itself from text headed for logs or
+// error messages
+function redactSecrets(text, credentials) {
+  let redacted = redactUrl(String(text));
+
+  if (credentials && credentials.token) {
+    redacted = redacted.split(credentials.token).join('***');
+  }
+
+  return redacted;
+}
+
+module.exports = {
+  buildGitEnvironment,
+  credentialsFromUrl,
+  redactUrl,
+  redactSecrets
+};
@@ -0,0 +1,92 @@
+const fs = require('fs').promises;
+
+// Same window git uses when deciding whether a blob is binary
+const SNIFF_LENGTH = 8000;
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+function decodeBuffer(buffer) {
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return { content: buffer.subarray(3).toString('utf-8'), encoding: 'utf-8' };
+  }
+
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return { content: buffer.subarray(2).toString('utf16le'), encoding: 'utf-16le' };
+  }
+
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return { content: swapBytes(buffer.subarray(2)).toString('utf16le'), encoding: 'utf-16be' };
+  }
+
+  const sample = buffer.subarray(0, SNIFF_LENGTH);
+  const utf16 = detectUtf16(sample);
+
+  if (utf16 === 'utf-16le') {
+    return { content: buffer.toString('utf16le'), encoding: utf16 };
+  }
+  if (utf16 === 'utf-16be') {
+    return { content: swapBytes(buffer).toString('utf16le'), encoding: utf16 };
+  }
+
+  if (sample.includes(0)) {
+    return { binary: true };
+  }
+
+  try {
+    return { content: utf8Decoder.decode(buffer), encoding: 'utf-8' };
+  } catch {
+    // Not valid UTF-8; treat it as Latin-1, which can decode any byte sequence
+    return { content: buffer.toString('latin1'), encoding: 'latin1' };
+  }
+}
+
+// UTF-16 text without a BOM is mostly ASCII with a NUL in every other byte
+function detectUtf16(sample) {
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs === 0) {
+    return null;
+  }
+
+  let evenNuls = 0;
+  let oddNuls = 0;
+  for (let i = 0; i < pairs * 2; i += 2) {
+    if (sample[i] === 0) evenNuls++;
+    if (sample[i + 1] === 0) oddNuls++;
+  }
+
+  if (oddNuls / pairs > 0.3 && evenNuls / pairs < 0.05) {
+    return 'utf-16le';
+  }
+  if (evenNuls / pairs > 0.3 && oddNuls / pairs < 0.05) {
+    return 'utf-16be';
+  }
+  return null;
+}
+
+function swapBytes(buffer) {
+  const swapped = Buffer.from(buffer.subarray(0, buffer.length - (buffer.length % 2)));
+  return swapped.swap16();
+}
+
+// Reads a text file for indexing. Returns { skipped } instead of content for
+// files that are larger than maxFileSize or look binary.
+async function readTextFile(fullPath, maxFileSize = Infinity) {
+  const stats = await fs.stat(fullPath);
+
+  if (stats.size > maxFileSize) {
+    return { skipped: 'too-large', size: stats.size };
+  }
+
+  const decoded = decodeBuffer(await fs.readFile(fullPath));
+
+  if (decoded.binary) {
+    return { skipped: 'binary', size: stats.size };
+  }
+
+  return { content: decoded.content, encoding: decoded.encoding, size: stats.size };
+}
+
+module.exports = {
+  decodeBuffer,
+  readTextFile
+};
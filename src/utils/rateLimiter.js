@@ -0,0 +1,173 @@
+// Shared limiter for HTTP API calls. It spaces requests by minDelay, pauses
+// everything once the API reports an exhausted quota (X-RateLimit-Remaining /
+// X-RateLimit-Reset), honors Retry-After, and retries secondary rate limits,
+// 5xx responses and network errors with exponential backoff and full jitter.
+class RateLimiter {
+  constructor(options = {}) {
+    this.minDelay = options.minDelay || 0;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+    this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : 1000;
+    this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 60000;
+    this.random = options.random || Math.random;
+
+    this.nextSlot = 0;
+    this.blockedUntil = 0;
+    this.remaining = null;
+    this.resetAt = null;
+  }
+
+  // options.signal cancels the wait for a slot and any further retries
+  async schedule(fn, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForSlot(options.signal);
+
+      try {
+        const response = await fn();
+        this.updateFromHeaders(response && response.headers);
+        return response;
+      } catch (error) {
+        const response = error.response;
+        if (response) {
+          this.updateFromHeaders(response.headers);
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        if (delay === null || attempt >= this.maxRetries || (options.signal && options.signal.aborted)) {
+          throw error;
+        }
+
+        this.blockedUntil = Math.max(this.blockedUntil, Date.now() + delay);
+      }
+    }
+  }
+
+  async waitForSlot(signal) {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+
+    const now = Date.now();
+    const start = Math.max(now, this.nextSlot, this.blockedUntil);
+
+    this.nextSlot = start + this.minDelay;
+
+    if (start > now) {
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+          resolve();
+        }, start - now);
+
+        if (signal) {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+      });
+    }
+  }
+
+  updateFromHeaders(headers) {
+    if (!headers) {
+      return;
+    }
+
+    const remaining = getHeader(headers, 'x-ratelimit-remaining');
+    const reset = getHeader(headers, 'x-ratelimit-reset');
+
+    if (remaining !== undefined) {
+      this.remaining = parseInt(remaining, 10);
+    }
+    if (reset !== undefined) {
+      this.resetAt = parseInt(reset, 10) * 1000;
+    }
+
+    if (this.remaining === 0 && this.resetAt) {
+      this.blockedUntil = Math.max(this.blockedUntil, this.resetAt);
+    }
+  }
+
+  // Returns how long to wait before retrying, or null when the error should
+  // not be retried.
+  getRetryDelay(error, attempt) {
+    const response = error.response;
+
+    if (!response) {
+      return error.code && RETRYABLE_NETWORK_ERRORS.includes(error.code)
+        ? this.getBackoffDelay(attempt)
+        : null;
+    }
+
+    const retryAfter = parseRetryAfter(getHeader(response.headers, 'retry-after'));
+
+    if (response.status === 403 || response.status === 429) {
+      if (retryAfter !== null) {
+        return retryAfter;
+      }
+      if (getHeader(response.headers, 'x-ratelimit-remaining') === '0' && this.resetAt) {
+        return Math.max(0, this.resetAt - Date.now());
+      }
+      if (response.status === 429 || isSecondaryRateLimit(response)) {
+        return this.getBackoffDelay(attempt);
+      }
+      return null;
+    }
+
+    if (response.status >= 500) {
+      return retryAfter !== null ? retryAfter : this.getBackoffDelay(attempt);
+    }
+
+    return null;
+  }
+
+  getBackoffDelay(attempt) {
+    const ceiling = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+    return Math.floor(this.random() * ceiling);
+  }
+
+  getStatus() {
+    return {
+      remaining: this.remaining,
+      resetAt: this.resetAt ? new Date(this.resetAt).toISOString() : null,
+      blockedUntil: this.blockedUntil > Date.now() ? new Date(this.blockedUntil).toISOString() : null
+    };
+  }
+}
+
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+function getHeader(headers, name) {
+  if (!headers) {
+    return undefined;
+  }
+  if (typeof headers.get === 'function') {
+    const value = headers.get(name);
+    return value === null ? undefined : value;
+  }
+  return headers[name];
+}
+
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isSecondaryRateLimit(response) {
+  const message = response.data && typeof response.data === 'object' ? response.data.message : response.data;
+  return typeof message === 'string' && /secondary rate limit|abuse/i.test(message);
+}
+
+module.exports = RateLimiter;
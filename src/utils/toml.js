@@ -0,0 +1,120 @@
+// Just enough TOML for Cargo manifests: tables, dotted keys, strings,
+// booleans, (multi-line) string arrays and inline tables kept as raw text
+function parseToml(content) {
+  const result = {};
+  let table = result;
+  let pending = null;
+
+  const assign = (target, key, value) => {
+    const parts = key.split('.').map(part => part.trim().replace(/^["']|["']$/g, ''));
+    let current = target;
+    for (const part of parts.slice(0, -1)) {
+      if (typeof current[part] !== 'object' || current[part] === null) {
+        current[part] = {};
+      }
+      current = current[part];
+    }
+    current[parts[parts.length - 1]] = value;
+  };
+
+  for (const rawLine of content.split('\n')) {
+    const line = stripComment(rawLine).trim();
+
+    if (pending) {
+      pending.text += ` ${line}`;
+      if (line.includes(']')) {
+        assign(table, pending.key, parseTomlValue(pending.text));
+        pending = null;
+      }
+      continue;
+    }
+    if (!line) continue;
+
+    const header = line.match(/^\[\[?([^\]]+)\]\]?$/);
+    if (header) {
+      table = result;
+      for (const part of header[1].split('.').map(p => p.trim().replace(/^["']|["']$/g, ''))) {
+        if (typeof table[part] !== 'object' || table[part] === null) {
+          table[part] = {};
+        }
+        table = table[part];
+      }
+      continue;
+    }
+
+    const pair = line.match(/^([^=]+?)\s*=\s*(.*)$/);
+    if (!pair) continue;
+
+    if (pair[2].startsWith('[') && !pair[2].includes(']')) {
+      pending = { key: pair[1], text: pair[2] };
+    } else {
+      assign(table, pair[1], parseTomlValue(pair[2]));
+    }
+  }
+
+  return result;
+}
+
+// Drops a `# comment`, leaving `#` inside basic ("...") and literal
+// ('...') strings alone
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '#') {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+function parseTomlValue(text) {
+  const value = text.trim();
+  if (value.startsWith('[')) {
+    return [...value.matchAll(/"([^"]*)"|'([^']*)'/g)].map(match => match[1] !== undefined ? match[1] : match[2]);
+  }
+  if (/^".*"$|^'.*'$/.test(value)) {
+    return value.slice(1, -1);
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return value;
+}
+
+const CARGO_DEPENDENCY_TABLES = {
+  dependencies: 'runtime',
+  'dev-dependencies': 'dev',
+  'build-dependencies': 'build'
+};
+
+function cargoDependencies(toml) {
+  const dependencies = [];
+  const collect = (table, type) => {
+    for (const [name, spec] of Object.entries(table || {})) {
+      // `alias = { package = "real-name", ... }` depends on real-name
+      const renamed = typeof spec === 'string' && spec.match(/package\s*=\s*["']([^"']+)["']/);
+      const packageName = spec && typeof spec === 'object' && spec.package;
+      dependencies.push({ name: packageName || (renamed ? renamed[1] : name), type });
+    }
+  };
+
+  for (const [table, type] of Object.entries(CARGO_DEPENDENCY_TABLES)) {
+    collect(toml[table], type);
+    for (const target of Object.values(toml.target || {})) {
+      collect(target[table], type);
+    }
+  }
+
+  return dependencies;
+}
+
+module.exports = {
+  parseToml,
+  cargoDependencies
+};